@@ -5,7 +5,32 @@
 console.log('Background script starting initialization...');
 
 // Imports must be at the top level
-import { getSettings } from './utils/storage.js';
+import {
+  DEFAULT_GENERIC_IMPROVE_PROMPT,
+  FEATURE_SETTINGS,
+  getSettings,
+  getTemplateChoice,
+  setCachedModels,
+  setTemplateChoice
+} from './utils/storage.js';
+import {
+  callProvider,
+  canListModels,
+  getProvider,
+  getProviderBaseUrl,
+  getProviderConfigError,
+  isFallbackError,
+  listProviderModels
+} from './utils/providers.js';
+import { getModelCapabilities } from './utils/capabilities.js';
+import { fitMessagesToBudget, getContextBudget } from './utils/context-budget.js';
+import { buildVariantPrompts, getVariantCount } from './utils/variants.js';
+import { formatThreadMessages } from './utils/thread.js';
+import { cleanThreadMessages } from './utils/context-cleanup.js';
+import { buildPlaceholderValues } from './utils/placeholders.js';
+import { renderTemplate } from './utils/template.js';
+import { findPromptTemplate, getPromptTemplates, getSenderDomain } from './utils/prompt-library.js';
+import { findReplyRule, getReplyRules } from './utils/reply-rules.js';
 
 // Wrap in try/catch to catch any initialization errors
 try {
@@ -14,7 +39,8 @@ try {
   console.log('Setting up icon state management...');
 
   const defaultIconPath = "icons/logo.png"; // Assuming your default icon is here
-  let iconState = 'idle'; // Can be 'idle', 'loading', 'error', 'inactive'
+  let iconState = 'idle'; // Can be 'idle', 'loading', 'retrying', 'error', 'inactive'
+  let retryProgress = null; // { attempt, maxRetries } while iconState is 'retrying'
   let errorTimeout = null; // Timeout for clearing temporary states like 'inactive'
 
   async function updateActionIcon() {
@@ -33,6 +59,12 @@ try {
         await chrome.action.setBadgeText({ text: '...' });
         await chrome.action.setBadgeBackgroundColor({ color: '#FFA500' }); // Orange
         await chrome.action.setTitle({ title: 'Processing...' });
+      } else if (iconState === 'retrying' && retryProgress) {
+        const { attempt, maxRetries } = retryProgress;
+        await chrome.action.setIcon({ path: defaultIconPath });
+        await chrome.action.setBadgeText({ text: `${attempt}/${maxRetries}` });
+        await chrome.action.setBadgeBackgroundColor({ color: '#FFA500' }); // Orange, like loading
+        await chrome.action.setTitle({ title: `Retrying (${attempt}/${maxRetries})...` });
       } else if (iconState === 'error') {
         await chrome.action.setIcon({ path: defaultIconPath }); // Keep default icon
         await chrome.action.setBadgeText({ text: '!' });
@@ -71,66 +103,418 @@ try {
 
   // --- End Icon State Management ---
 
+  const STREAM_PORT_NAME = 'ai-reply-stream';
+  // Used when a feature's output limit is missing from the stored settings
+  const DEFAULT_MAX_OUTPUT_TOKENS = 1000;
+  const CANCELLED_JOB_TTL_MS = 60000;
+
+  // --- Job Cancellation ---
+  // Content scripts tag generate/improve requests with a jobId. CANCEL_JOB aborts the
+  // in-flight request for that id, and any late result for it is discarded.
+
+  const activeJobs = new Map(); // jobId -> AbortController
+  const cancelledJobs = new Set();
+
   /**
-   * Calls the OpenAI API to generate a response based on the provided prompt.
-   * @param {string} apiKey - The OpenAI API key.
-   * @param {string} model - The model to use (e.g., 'gpt-4.1').
-   * @param {string} prompt - The prompt to send to the API.
-   * @returns {Promise<string>} - The generated text response.
-   * @throws {Error} - If the API request fails.
+   * Registers a job and returns the AbortSignal for its model call.
+   * A job cancelled before it started is aborted straight away.
+   * @param {string} [jobId] - The id sent by the content script (optional).
+   * @returns {AbortSignal}
    */
-  async function callOpenAI(apiKey, model, prompt, reasoningEffort) {
-    async function doRequest(includeReasoning) {
-      const body = {
-        model: model,
-        messages: [
-          { role: 'system', content: 'You are an email assistant that helps draft professional, contextually appropriate replies.' },
-          { role: 'user', content: prompt }
-        ],
-        // For newer models use max_completion_tokens; omit temperature (some models only support default)
-        max_completion_tokens: 1000,
-        ...(includeReasoning && reasoningEffort ? { reasoning: { effort: reasoningEffort } } : {})
-      };
-      return fetch('https://api.openai.com/v1/chat/completions', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${apiKey}`
-        },
-        body: JSON.stringify(body)
+  function startJob(jobId) {
+    const controller = new AbortController();
+    if (jobId) {
+      activeJobs.set(jobId, controller);
+      if (cancelledJobs.has(jobId)) controller.abort();
+    }
+    return controller.signal;
+  }
+
+  function finishJob(jobId) {
+    if (jobId) activeJobs.delete(jobId);
+  }
+
+  function isJobCancelled(jobId) {
+    return !!jobId && cancelledJobs.has(jobId);
+  }
+
+  /**
+   * Aborts a job and remembers its id so a late result is dropped.
+   * @param {string} jobId - The id of the job to cancel.
+   */
+  function cancelJob(jobId) {
+    if (!jobId) return;
+    console.log(`[Jobs] Cancelling job ${jobId}`);
+    cancelledJobs.add(jobId);
+    setTimeout(() => cancelledJobs.delete(jobId), CANCELLED_JOB_TTL_MS);
+    const controller = activeJobs.get(jobId);
+    if (controller) controller.abort();
+    activeJobs.delete(jobId);
+  }
+
+  const CANCELLED_RESPONSE = { success: false, cancelled: true, error: 'Request cancelled.' };
+
+  // --- End Job Cancellation ---
+
+  // --- Draft Conversations ---
+  // Each reply modal has a conversationId. Its conversation (the compose prompt and every
+  // revision of the draft) is kept here so follow-up instructions such as "shorter" are
+  // sent to the model with the whole exchange. Conversations are in memory only: they end
+  // when the modal closes (END_CONVERSATION) or the service worker is stopped.
+
+  const MAX_CONVERSATIONS = 20;
+  const conversations = new Map(); // conversationId -> { prompt, templateId, ruleId, revisions: [{ instruction, text }] }
+
+  /**
+   * Starts (or restarts) a modal's conversation with a freshly generated draft.
+   * @param {string} [conversationId] - The modal's id; nothing is kept without one.
+   * @param {string} prompt - The compose prompt.
+   * @param {string} text - The draft.
+   * @param {string} templateId - The reply template, whose model overrides refinements keep using.
+   * @param {string} [ruleId] - The reply rule applied in the modal, same as the template.
+   */
+  function startConversation(conversationId, prompt, text, templateId, ruleId) {
+    if (!conversationId) return;
+    conversations.delete(conversationId);
+    conversations.set(conversationId, { prompt, templateId, ruleId, revisions: [{ instruction: null, text }] });
+    // Forget the oldest conversations of modals that were never closed cleanly
+    while (conversations.size > MAX_CONVERSATIONS) {
+      conversations.delete(conversations.keys().next().value);
+    }
+  }
+
+  /**
+   * Builds the turns that follow the compose prompt when refining a revision: each
+   * revision as an assistant turn, preceded by the instruction that produced it,
+   * then the new instruction.
+   * @param {{instruction: string|null, text: string}[]} revisions - Revisions up to the refined one.
+   * @param {string} instruction - The follow-up instruction.
+   * @returns {Array<{role: string, content: string}>}
+   */
+  function buildRefinementTurns(revisions, instruction) {
+    const turns = [];
+    revisions.forEach(revision => {
+      if (revision.instruction) turns.push({ role: 'user', content: revision.instruction });
+      turns.push({ role: 'assistant', content: revision.text });
+    });
+    turns.push({ role: 'user', content: `${instruction}\n\nReturn only the revised email.` });
+    return turns;
+  }
+
+  // --- End Draft Conversations ---
+
+  /**
+   * Resolves the provider, model (or deployment), reasoning effort and sampling
+   * parameters configured for a feature.
+   * @param {object} settings - The extension settings.
+   * @param {string} feature - A key of FEATURE_SETTINGS ('compose', 'gmailImprove', 'generalImprove').
+   * @returns {{provider: object, model: string, reasoningEffort: string, temperature: ?number, topP: ?number}}
+   */
+  function getFeatureConfig(settings, feature) {
+    const keys = FEATURE_SETTINGS[feature];
+    const provider = getProvider(settings[keys.provider]);
+    return {
+      provider,
+      // Providers like Azure read a per-feature deployment name instead of the model
+      model: settings[keys[provider.modelSetting || 'model']],
+      reasoningEffort: settings[keys.effort],
+      temperature: settings[keys.temperature] ?? null,
+      topP: settings[keys.topP] ?? null,
+      systemPrompt: settings[keys.systemPrompt] ?? '',
+      maxOutputTokens: settings[keys.maxOutputTokens] || DEFAULT_MAX_OUTPUT_TOKENS
+    };
+  }
+
+  /**
+   * Applies a reply template's model and reasoning effort overrides to the compose
+   * settings. The model replaces the compose model (or Azure deployment) of the
+   * compose provider; empty overrides keep the configured values.
+   * @param {object} settings - The extension settings.
+   * @param {{model?: string, reasoningEffort?: string}} template - From the template library (or a reply rule).
+   * @returns {object} - The settings to use for the request.
+   */
+  function applyTemplateOverrides(settings, template) {
+    const keys = FEATURE_SETTINGS.compose;
+    const provider = getProvider(settings[keys.provider]);
+    const overrides = {};
+    if (template?.model) overrides[keys[provider.modelSetting || 'model']] = template.model;
+    if (template?.reasoningEffort) overrides[keys.effort] = template.reasoningEffort;
+    return { ...settings, ...overrides };
+  }
+
+  /**
+   * Returns the reply template of a compose request and the settings to use: the
+   * template's overrides, then those of the reply rule applied when the modal
+   * opened (see utils/reply-rules.js), which win.
+   * @param {object} storedSettings - The extension settings.
+   * @param {string} [templateId] - The template picked in the modal.
+   * @param {string} [ruleId] - The rule applied in the modal.
+   * @returns {{template: object, settings: object}}
+   */
+  function getComposeSettings(storedSettings, templateId, ruleId) {
+    const template = findPromptTemplate(getPromptTemplates(storedSettings), templateId);
+    const rule = ruleId ? getReplyRules(storedSettings).find(({ id }) => id === ruleId) : null;
+    return { template, settings: applyTemplateOverrides(applyTemplateOverrides(storedSettings, template), rule) };
+  }
+
+  /**
+   * Returns the models to try for a feature: the configured one, then its fallbacks in order.
+   * Fallbacks whose provider is not configured (e.g. no API key) are skipped.
+   * @param {object} settings - The extension settings.
+   * @param {string} feature - A key of FEATURE_SETTINGS.
+   * @returns {Array<{provider: object, model: string, reasoningEffort: string, temperature: ?number,
+   *   topP: ?number, systemPrompt: string, maxOutputTokens: number}>} - Fallbacks share the
+   *   feature's prompt and sampling settings.
+   */
+  function getFeatureChain(settings, feature) {
+    const primary = getFeatureConfig(settings, feature);
+    const fallbacks = (settings[FEATURE_SETTINGS[feature].fallbacks] || [])
+      .filter(entry => entry && entry.model)
+      .map(entry => ({ ...primary, provider: getProvider(entry.provider), model: entry.model }))
+      .filter(({ provider, model }) => {
+        const configError = getProviderConfigError(provider, settings);
+        if (configError) console.warn(`Skipping fallback ${provider.label} ${model}: ${configError}`);
+        return !configError;
       });
+    return [primary, ...fallbacks];
+  }
+
+  /**
+   * Builds the retry policy from the settings, reporting retries on the action badge
+   * and to the caller.
+   * @param {object} settings - The extension settings.
+   * @param {function(object): void} [onRetry] - Receives `{ attempt, maxRetries, delayMs, reason }`.
+   * @returns {object} - Options for fetchWithRetry.
+   */
+  function getRetryPolicy(settings, onRetry) {
+    return {
+      maxRetries: settings.maxRetries ?? 3,
+      timeoutMs: (settings.requestTimeoutSeconds ?? 120) * 1000,
+      onRetry: (progress) => {
+        iconState = 'retrying';
+        retryProgress = { attempt: progress.attempt, maxRetries: progress.maxRetries };
+        updateActionIcon();
+        if (onRetry) onRetry(progress);
+      }
+    };
+  }
+
+  /**
+   * Clears the retry badge once a request has finished.
+   */
+  function clearRetryState() {
+    retryProgress = null;
+    if (iconState === 'retrying') {
+      iconState = 'idle';
+      updateActionIcon();
     }
+  }
+
+  /**
+   * Calls the LLM provider configured for a feature to generate a response for the prompt.
+   * If the model is unavailable (not found, overloaded or timed out) the feature's
+   * fallback models are tried in order.
+   * @param {object} settings - The extension settings.
+   * @param {string} feature - A key of FEATURE_SETTINGS.
+   * @param {string} prompt - The prompt to send to the API.
+   * @param {object} [options]
+   * @param {function(string): void} [options.onDelta] - Streams text chunks to the caller when given.
+   * @param {AbortSignal} [options.signal] - Aborts the request when the job is cancelled.
+   * @param {function(object): void} [options.onRetry] - Notified before each retry.
+   * @param {function(object): void} [options.onFallback] - Notified with `{ provider, model }`
+   *   before switching to a fallback model; text streamed so far should be discarded.
+   * @param {Array<{role: string, content: string}>} [options.turns] - Conversation turns that
+   *   follow the prompt (see buildRefinementTurns).
+   * @returns {Promise<{text: string, generatedBy: {provider: string, model: string, fallback: boolean},
+   *   usage: object|null, reasoningSummary: string|undefined, incomplete: boolean}>} - `usage` and
+   *   `reasoningSummary` are as reported by callProvider's onDetails; `incomplete` is true if
+   *   the text is still cut off by the output token limit after the allowed continuations.
+   * @throws {Error} - If the API request fails for every model of the chain.
+   */
+  async function callModel(settings, feature, prompt, { onDelta, signal, onRetry, onFallback, turns } = {}) {
+    const chain = getFeatureChain(settings, feature);
     try {
-      // First attempt: include reasoning if provided
-      let response = await doRequest(true);
-
-      if (!response.ok) {
-        const errorText = await response.text();
-        // If reasoning parameter is unsupported, retry without it once
-        if (response.status === 400 && /reasoning/i.test(errorText)) {
-          response = await doRequest(false);
-          if (!response.ok) {
-            const retryText = await response.text();
-            throw new Error(`OpenAI API error (${response.status}) after retry: ${retryText}`);
+      for (let index = 0; index < chain.length; index++) {
+        const { provider, model, reasoningEffort, temperature, topP, systemPrompt, maxOutputTokens } = chain[index];
+        try {
+          let details = {};
+          const text = await callProvider(settings, {
+            provider: provider.id,
+            model,
+            systemPrompt,
+            prompt,
+            turns,
+            reasoningEffort,
+            temperature,
+            topP,
+            maxOutputTokens
+          }, {
+            onDelta,
+            signal,
+            retry: getRetryPolicy(settings, onRetry),
+            maxContinuations: settings.maxContinuations ?? 0,
+            onDetails: (result) => { details = result; }
+          });
+          if (details.continuations > 0) {
+            console.log(`${provider.label} ${model} answer continued ${details.continuations} time(s)${details.truncated ? ', still incomplete' : ''}.`);
+          }
+          if (details.usage) {
+            const { inputTokens, outputTokens, reasoningTokens } = details.usage;
+            console.log(`${provider.label} ${model} usage: ${inputTokens} input, ${outputTokens} output (${reasoningTokens} reasoning) tokens`);
           }
-        } else if (response.status === 400 && /temperature/i.test(errorText)) {
-          // We already omit temperature; surface the error
-          throw new Error(`OpenAI API error (${response.status}): ${errorText}`);
-        } else {
-          throw new Error(`OpenAI API error (${response.status}): ${errorText}`);
+          return {
+            text,
+            generatedBy: { provider: provider.label, model, fallback: index > 0 },
+            usage: details.usage || null,
+            reasoningSummary: details.reasoningSummary,
+            incomplete: !!details.truncated
+          };
+        } catch (error) {
+          if (signal && signal.aborted) throw error;
+          console.error(`Error calling ${provider.label} API (${model}):`, error);
+          const next = chain[index + 1];
+          if (!next || !isFallbackError(error)) throw error;
+          console.warn(`Falling back from ${provider.label} ${model} to ${next.provider.label} ${next.model}`);
+          if (onFallback) onFallback({ provider: next.provider.label, model: next.model });
         }
       }
+    } finally {
+      clearRetryState();
+    }
+  }
 
-      const data = await response.json();
-      
-      if (!data.choices || !data.choices[0] || !data.choices[0].message || !data.choices[0].message.content) {
-        throw new Error('Invalid response format from OpenAI API');
+  /**
+   * Writes several drafts of the compose prompt in parallel, one per tone (see
+   * utils/variants.js). Variants that fail are left out as long as one succeeds.
+   * Nothing is streamed: the drafts are shown side by side once they are all done.
+   * @param {object} settings - The extension settings.
+   * @param {string} prompt - The compose prompt.
+   * @param {number} count - Number of variants (2 or more).
+   * @param {object} [options]
+   * @param {AbortSignal} [options.signal] - Aborts every request when the job is cancelled.
+   * @param {function(object): void} [options.onRetry] - Notified before each retry.
+   * @returns {Promise<{text: string, tone: string|null, generatedBy: object, usage: object|null,
+   *   incomplete: boolean}[]>} - The drafts, in variant order.
+   * @throws {Error} - The first variant's error if every variant fails.
+   */
+  async function generateVariants(settings, prompt, count, { signal, onRetry } = {}) {
+    const variants = buildVariantPrompts(prompt, settings.draftVariantTones, count);
+    const results = await Promise.allSettled(
+      variants.map(variant => callModel(settings, 'compose', variant.prompt, { signal, onRetry }))
+    );
+    const drafts = [];
+    results.forEach((result, index) => {
+      if (result.status === 'rejected') {
+        console.warn(`Draft variant ${index + 1} failed:`, result.reason);
+        return;
       }
+      const { text, generatedBy, usage, incomplete } = result.value;
+      drafts.push({ text, tone: variants[index].tone, generatedBy, usage, incomplete });
+    });
+    if (drafts.length === 0) throw results[0].reason;
+    return drafts;
+  }
 
-      return data.choices[0].message.content.trim();
+  /**
+   * Returns an error message if the provider configured for a feature cannot be used
+   * (missing API key, missing provider settings or no model/deployment selected).
+   * @param {object} settings - The extension settings.
+   * @param {string} feature - A key of FEATURE_SETTINGS.
+   * @returns {string|null} - The error message, or null if requests can be sent.
+   */
+  function getFeatureConfigError(settings, feature) {
+    const { provider, model } = getFeatureConfig(settings, feature);
+    const providerError = getProviderConfigError(provider, settings);
+    if (providerError) return providerError;
+    if (!model) {
+      const what = provider.modelSetting === 'azureDeployment' ? 'deployment' : 'model';
+      return `No ${provider.label} ${what} is configured for this feature. Please set it in the extension options.`;
+    }
+    return null;
+  }
+
+  /**
+   * Fits the email thread into what the feature's models can take. The budget follows
+   * the smallest context window of the feature's fallback chain, so the same prompt
+   * works for every model that may end up answering it.
+   * @param {object} settings - The extension settings.
+   * @param {string} feature - A key of FEATURE_SETTINGS.
+   * @param {string[]} messages - The thread's messages, oldest first.
+   * @param {string} promptText - The rest of the prompt, without the context.
+   * @returns {string} - The context to put in the prompt.
+   */
+  function buildEmailContext(settings, feature, messages, promptText) {
+    const chain = getFeatureChain(settings, feature);
+    const contextWindow = Math.min(...chain.map(({ provider, model }) =>
+      getModelCapabilities(provider.id, model, settings.modelCapabilities).contextWindow));
+    const { systemPrompt, maxOutputTokens } = chain[0];
+    const budget = getContextBudget({
+      contextWindow,
+      maxOutputTokens,
+      promptText: `${systemPrompt}\n${promptText}`
+    });
+    const { text, omitted, truncated } = fitMessagesToBudget(messages, budget);
+    if (omitted > 0 || truncated) {
+      console.log(`Email context trimmed to ~${budget} tokens: ${omitted} earlier message(s) omitted${truncated ? ', newest message truncated' : ''}.`);
+    }
+    return text;
+  }
+
+  /**
+   * Returns the thread messages sent with a generate/improve request, formatted as a
+   * transcript with each message's headers (see utils/thread.js). Unless turned off in
+   * the settings, quoted replies, signatures and footers are removed first (see
+   * utils/context-cleanup.js). Older callers send the whole thread as a single context string.
+   * @param {object} settings - The extension settings.
+   * @param {object} message - The runtime message.
+   * @param {string} [contextText] - The plain context string, if any.
+   * @returns {string[]} - The formatted messages, oldest first.
+   */
+  function getThreadMessages(settings, message, contextText) {
+    let messages = Array.isArray(message.emailMessages) ? message.emailMessages : [contextText].filter(Boolean);
+    if (settings.cleanEmailContext !== false) {
+      messages = cleanThreadMessages(messages, settings.contextFooterPatterns);
+    }
+    return formatThreadMessages(messages);
+  }
+
+  /**
+   * Returns the values of the thread, reply and user placeholders ([Sender_name],
+   * [Today], the [Tone] and [Length] picked in the modal, the profile...) for a
+   * generate/improve request (see utils/placeholders.js).
+   * @param {object} settings - The extension settings.
+   * @param {object} message - The runtime message.
+   * @returns {Object<string, string>}
+   */
+  function getPlaceholderValues(settings, message) {
+    return buildPlaceholderValues({
+      messages: Array.isArray(message.emailMessages) ? message.emailMessages : [],
+      details: message.promptDetails || {},
+      profile: {
+        name: settings.profileName,
+        role: settings.profileRole,
+        company: settings.profileCompany,
+        signOff: settings.profileSignOff,
+        languages: settings.profileLanguages
+      },
+      tone: message.tone,
+      length: message.length
+    });
+  }
+
+  /**
+   * Renders a prompt template (see utils/template.js). Templates saved before the
+   * options page validated them may have unbalanced [#if] blocks.
+   * @param {string} template - The prompt template.
+   * @param {Object<string, string>} values - Placeholder values by name.
+   * @returns {string}
+   * @throws {Error} - If the template is malformed.
+   */
+  function renderPromptTemplate(template, values) {
+    try {
+      return renderTemplate(template, values);
     } catch (error) {
-      console.error('Error calling OpenAI API:', error);
-      throw error;
+      throw new Error(`Invalid prompt template: ${error.message} Please fix it in the extension options.`);
     }
   }
 
@@ -138,17 +522,16 @@ try {
    * Creates a prompt using the template from settings, replacing placeholders with actual content.
    * @param {string} template - The prompt template with placeholders.
    * @param {string} bulletPoints - The user's talking points.
-   * @param {string} emailContext - The context of the email being replied to.
+   * @param {string} emailContext - The context of the email being replied to ('' if there is none).
+   * @param {Object<string, string>} [placeholders] - Values of the other placeholders (see getPlaceholderValues).
    * @returns {string} - The complete prompt for the AI.
    */
-  function createPrompt(template, bulletPoints, emailContext) {
-    let prompt = template;
-    
-    // Replace placeholders with actual content
-    prompt = prompt.replace(/\[Bullet_points\]/g, bulletPoints);
-    prompt = prompt.replace(/\[Email_context\]/g, emailContext);
-    
-    return prompt;
+  function createPrompt(template, bulletPoints, emailContext, placeholders = {}) {
+    return renderPromptTemplate(template, {
+      ...placeholders,
+      Bullet_points: bulletPoints,
+      Email_context: emailContext
+    });
   }
 
   /**
@@ -157,23 +540,16 @@ try {
    * @param {string} selectedText - The text selected by the user.
    * @param {string} emailContext - The context of the email thread.
    * @param {string} source - The source of the request ('gmail' or 'generic').
+   * @param {Object<string, string>} [placeholders] - Values of the other placeholders (see getPlaceholderValues).
    * @returns {string} - The complete prompt for the AI.
    */
-  function createImprovePrompt(template, selectedText, emailContext, source) {
-    let prompt = template;
-    prompt = prompt.replace(/\[Selected_text\]/g, selectedText);
-    
-    if (source === 'gmail') {
-        prompt = prompt.replace(/\[Email_context\]/g, emailContext || 'No conversation context available.');
-    } else {
-        // For generic source, remove or replace the context part of the template
-        // Assuming the template might look like: "Improve text: [Selected_text] Context: [Email_context]"
-        // A simple approach: replace the context placeholder and any preceding label/newline
-        prompt = prompt.replace(/\n*Conversation context \(if any\):\n\[Email_context\]/gi, ''); 
-        prompt = prompt.replace(/\[Email_context\]/g, 'Not applicable.'); // Fallback replacement
-    }
-    
-    return prompt;
+  function createImprovePrompt(template, selectedText, emailContext, source, placeholders = {}) {
+    // Other pages have no conversation, so [#if Email_context] sections are left out
+    return renderPromptTemplate(template, {
+      ...placeholders,
+      Selected_text: selectedText,
+      Email_context: source === 'gmail' ? emailContext || '' : ''
+    });
   }
 
   /**
@@ -181,9 +557,13 @@ try {
    * @param {object} message - The message object.
    * @param {object} sender - Information about the sender.
    * @param {function} sendResponse - Function to send a response.
+   * @param {object} [stream] - Progress callbacks (port requests only).
+   * @param {function(string): void} [stream.onDelta] - Receives streamed text chunks.
+   * @param {function(object): void} [stream.onRetry] - Receives retry progress.
+   * @param {function(object): void} [stream.onFallback] - Told when a fallback model takes over.
    * @returns {boolean|undefined} - True to keep the message channel open for async response.
    */
-  async function handleMessage(message, sender, sendResponse) {
+  async function handleMessage(message, sender, sendResponse, { onDelta, onRetry, onFallback } = {}) {
     console.log('Background script received message:', message);
 
     try {
@@ -192,44 +572,158 @@ try {
         const settings = await getSettings();
         sendResponse({ success: true, settings });
         return; // Handled by async/await
+      } else if (message.type === 'GET_REPLY_DEFAULTS') {
+        // What the reply modal preselects: the first reply rule matching the message
+        // being answered, otherwise the template last used for its sender's domain
+        const settings = await getSettings();
+        const { Sender_email: senderEmail, Subject: subject } = getPlaceholderValues(settings, message);
+        const recipients = (message.promptDetails?.recipients || []).map(recipient => recipient.email);
+        const rule = findReplyRule(getReplyRules(settings), { senderEmail, subject, recipients });
+        const templateId = rule?.templateId || await getTemplateChoice(getSenderDomain(senderEmail));
+        sendResponse({
+          success: true,
+          templateId,
+          tone: rule?.tone || '',
+          rule: rule ? { id: rule.id, name: rule.name } : null
+        });
+        return;
       } else if (message.type === 'generate') {
         // Get user settings (needed for model, template, AND API key)
-        const settings = await getSettings();
+        const storedSettings = await getSettings();
 
         // Check if settings were fetched and API key exists
-        if (!settings) { 
+        if (!storedSettings) { 
           sendResponse({ success: false, error: 'Could not retrieve extension settings.' });
           return;
         }
-        if (!settings.apiKey) {
-          sendResponse({ success: false, error: 'API Key is missing. Please set it in the extension options.' });
+        // The reply template picked in the modal and the rule applied, with their model/effort overrides
+        const { template, settings } = getComposeSettings(storedSettings, message.templateId, message.ruleId);
+        const configError = getFeatureConfigError(settings, 'compose');
+        if (configError) {
+          sendResponse({ success: false, error: configError });
           return;
         }
         
         // Create prompt from template and user input
-        const { bulletPoints, emailContext } = message;
-        const prompt = createPrompt(settings.promptTemplate, bulletPoints, emailContext);
+        const { bulletPoints } = message;
+        const placeholders = getPlaceholderValues(settings, message);
+        // Only templates the user picked become the sender's "last used" one, not those
+        // preselected by a reply rule
+        if (message.templateId && message.templatePicked) {
+          await setTemplateChoice(getSenderDomain(placeholders.Sender_email), template.id);
+        }
+        const emailContext = buildEmailContext(
+          settings,
+          'compose',
+          getThreadMessages(settings, message, message.emailContext),
+          createPrompt(template.template, bulletPoints, '', placeholders)
+        );
+        const prompt = createPrompt(template.template, bulletPoints, emailContext, placeholders);
         
-        console.log('Generated prompt for OpenAI:', prompt);
+        console.log('Generated prompt for compose:', prompt);
         
+        const { jobId } = message;
+        const signal = startJob(jobId);
+        const variantCount = getVariantCount(message.variants ?? settings.draftVariants);
         try {
-          // Call OpenAI API using the key and specific model from settings
-          const draftText = await callOpenAI(
-            settings.apiKey,
-            settings.composeModel,
-            prompt,
-            settings.composeReasoningEffort
-          );
+          if (variantCount > 1) {
+            const drafts = await generateVariants(settings, prompt, variantCount, { signal, onRetry });
+            if (isJobCancelled(jobId)) {
+              console.log(`Discarding drafts for cancelled job ${jobId}.`);
+              sendResponse(CANCELLED_RESPONSE);
+              return;
+            }
+            const [first] = drafts;
+            // The variant the user picks replaces this text when it is refined
+            startConversation(message.conversationId, prompt, first.text, template.id, message.ruleId);
+            sendResponse({ success: true, draft: first.text, drafts, generatedBy: first.generatedBy, usage: first.usage, incomplete: first.incomplete });
+            console.log(`${drafts.length} draft variants sent to content script.`);
+            return;
+          }
+
+          // Call the compose provider/model from settings
+          const { text: draftText, generatedBy, usage, reasoningSummary, incomplete } = await callModel(settings, 'compose', prompt, { onDelta, signal, onRetry, onFallback });
+          if (isJobCancelled(jobId)) {
+            console.log(`Discarding draft for cancelled job ${jobId}.`);
+            sendResponse(CANCELLED_RESPONSE);
+            return;
+          }
           
           // Send successful response with generated draft
-          sendResponse({ success: true, draft: draftText });
+          startConversation(message.conversationId, prompt, draftText, template.id, message.ruleId);
+          sendResponse({ success: true, draft: draftText, generatedBy, usage, reasoningSummary, incomplete });
           console.log('Draft sent to content script.');
         } catch (error) {
-          console.error('Error during OpenAI call:', error);
+          if (signal.aborted || isJobCancelled(jobId)) {
+            sendResponse(CANCELLED_RESPONSE);
+            return;
+          }
+          console.error('Error during compose model call:', error);
           sendResponse({ success: false, error: `Error generating draft: ${error.message}` });
+        } finally {
+          finishJob(jobId);
         }
         
         return; // Handled by async/await
+      } else if (message.type === 'REFINE_DRAFT') {
+        // Revise a draft of the modal's conversation with a follow-up instruction
+        const { jobId, conversationId, revision, draft } = message;
+        const instruction = (message.instruction || '').trim();
+        const conversation = conversations.get(conversationId);
+        if (!conversation) {
+          sendResponse({ success: false, error: 'This draft conversation has expired. Please generate the draft again.' });
+          return;
+        }
+        if (!instruction) {
+          sendResponse({ success: false, error: 'Please enter an instruction to refine the draft.' });
+          return;
+        }
+        if (!Number.isInteger(revision) || revision < 0 || revision >= conversation.revisions.length) {
+          sendResponse({ success: false, error: 'Unknown draft revision.' });
+          return;
+        }
+        const storedSettings = await getSettings();
+        const { settings } = getComposeSettings(storedSettings, conversation.templateId, conversation.ruleId);
+        const configError = getFeatureConfigError(settings, 'compose');
+        if (configError) {
+          sendResponse({ success: false, error: configError });
+          return;
+        }
+
+        // Refining an earlier revision drops the ones after it; the user's edits to the
+        // refined revision are what the model revises
+        const revisions = conversation.revisions.slice(0, revision + 1);
+        if (typeof draft === 'string' && draft.trim()) {
+          revisions[revision] = { ...revisions[revision], text: draft };
+        }
+        const turns = buildRefinementTurns(revisions, instruction);
+
+        const signal = startJob(jobId);
+        try {
+          const { text, generatedBy, usage, reasoningSummary, incomplete } = await callModel(settings, 'compose', conversation.prompt, { onDelta, signal, onRetry, onFallback, turns });
+          if (isJobCancelled(jobId)) {
+            console.log(`Discarding refinement for cancelled job ${jobId}.`);
+            sendResponse(CANCELLED_RESPONSE);
+            return;
+          }
+          conversation.revisions = [...revisions, { instruction, text }];
+          sendResponse({ success: true, draft: text, revision: conversation.revisions.length - 1, generatedBy, usage, reasoningSummary, incomplete });
+          console.log(`Draft revision ${conversation.revisions.length - 1} sent to content script.`);
+        } catch (error) {
+          if (signal.aborted || isJobCancelled(jobId)) {
+            sendResponse(CANCELLED_RESPONSE);
+            return;
+          }
+          console.error('Error during draft refinement:', error);
+          sendResponse({ success: false, error: `Error refining draft: ${error.message}` });
+        } finally {
+          finishJob(jobId);
+        }
+        return;
+      } else if (message.type === 'END_CONVERSATION') {
+        conversations.delete(message.conversationId);
+        sendResponse({ success: true });
+        return;
       } else if (message.type === 'IMPROVE_TEXT') {
         // --- New Improve Text Logic --- 
         iconState = 'loading';
@@ -241,11 +735,6 @@ try {
           sendResponse({ success: false, error: 'Could not retrieve extension settings.' });
           return;
         }
-        if (!settings.apiKey) {
-          iconState = 'error'; updateActionIcon();
-          sendResponse({ success: false, error: 'API Key is missing. Please set it in the extension options.' });
-          return;
-        }
         if (!settings.improvePromptTemplate) {
           iconState = 'error'; updateActionIcon();
           sendResponse({ success: false, error: 'Improve text prompt template is missing. Please check extension options.' });
@@ -255,46 +744,90 @@ try {
         // Ensure generic prompt template exists, using default if necessary (safety check)
         if (!settings.genericImprovePromptTemplate) {
           console.warn('Generic improve prompt template missing, using default.');
-          settings.genericImprovePromptTemplate = DEFAULT_GENERIC_IMPROVE_PROMPT; // Use default defined in storage.js (or redefine here if not accessible)
+          settings.genericImprovePromptTemplate = DEFAULT_GENERIC_IMPROVE_PROMPT;
         }
 
         const { selectedText, context, source } = message;
 
-        // Select the appropriate template based on the source
+        // Select the appropriate template and feature (provider/model/effort) based on the source
         const templateToUse = source === 'gmail' 
             ? settings.improvePromptTemplate 
             : settings.genericImprovePromptTemplate;
-        
-        // Select the appropriate model based on the source
-        let modelToUse;
-        if (source === 'gmail') {
-            modelToUse = settings.gmailImproveModel;
-        } else { // generic
-            modelToUse = settings.generalImproveModel;
+        const feature = source === 'gmail' ? 'gmailImprove' : 'generalImprove';
+
+        const configError = getFeatureConfigError(settings, feature);
+        if (configError) {
+          iconState = 'error'; updateActionIcon();
+          sendResponse({ success: false, error: configError });
+          return;
         }
 
-        const improvePrompt = createImprovePrompt(templateToUse, selectedText, context, source);
+        const placeholders = getPlaceholderValues(settings, message);
+        const threadMessages = getThreadMessages(settings, message, context);
+        const emailContext = source === 'gmail' && threadMessages.length > 0
+          ? buildEmailContext(settings, feature, threadMessages, createImprovePrompt(templateToUse, selectedText, '', source, placeholders))
+          : context;
+        const improvePrompt = createImprovePrompt(templateToUse, selectedText, emailContext, source, placeholders);
         console.log('Generated prompt for Improve Text:', improvePrompt);
 
+        const { jobId } = message;
+        const signal = startJob(jobId);
         try {
-          // Use the selected model for the OpenAI call with per-source effort
-          const effortToUse = source === 'gmail' ? settings.improveReasoningEffort : settings.generalImproveEffort;
-          const improvedText = await callOpenAI(
-            settings.apiKey,
-            modelToUse,
-            improvePrompt,
-            effortToUse
-          );
+          // Use the provider/model/effort configured for this source
+          const { text: improvedText, generatedBy, usage, reasoningSummary, incomplete } = await callModel(settings, feature, improvePrompt, { onDelta, signal, onRetry, onFallback });
           iconState = 'idle'; updateActionIcon(); // Reset icon on success before sending response
+          if (isJobCancelled(jobId)) {
+            console.log(`Discarding improved text for cancelled job ${jobId}.`);
+            sendResponse(CANCELLED_RESPONSE);
+            return;
+          }
           // Send response back in the format expected by content script
-          sendResponse({ success: true, type: 'IMPROVE_TEXT_RESULT', text: improvedText, source: source });
+          sendResponse({ success: true, type: 'IMPROVE_TEXT_RESULT', text: improvedText, source: source, generatedBy, usage, reasoningSummary, incomplete });
           console.log('Improved text sent to content script.');
         } catch (error) {
-          console.error('Error during Improve Text OpenAI call:', error);
+          if (signal.aborted || isJobCancelled(jobId)) {
+            iconState = 'idle'; updateActionIcon();
+            sendResponse(CANCELLED_RESPONSE);
+            return;
+          }
+          console.error('Error during Improve Text model call:', error);
           iconState = 'error'; updateActionIcon();
           sendResponse({ success: false, error: `Error improving text: ${error.message}` });
+        } finally {
+          finishJob(jobId);
         }
         return; // Handled by async/await
+      } else if (message.type === 'LIST_MODELS') {
+        // Fetch the provider's current model list for the options page and cache it.
+        // `message.settings` carries unsaved endpoint/key fields from the options form.
+        const settings = { ...(await getSettings()), ...(message.settings || {}) };
+        const provider = getProvider(message.provider);
+        if (!canListModels(provider)) {
+          sendResponse({ success: false, error: `${provider.label} does not support listing models.` });
+          return;
+        }
+        const configError = getProviderConfigError(provider, settings);
+        if (configError) {
+          sendResponse({ success: false, error: configError });
+          return;
+        }
+        try {
+          const models = await listProviderModels(settings, provider.id, {
+            retry: { maxRetries: 1, timeoutMs: (settings.requestTimeoutSeconds ?? 120) * 1000 }
+          });
+          const entry = { models, fetchedAt: Date.now(), baseUrl: getProviderBaseUrl(provider, settings) };
+          await setCachedModels(provider.id, entry);
+          console.log(`Fetched ${models.length} ${provider.label} models.`);
+          sendResponse({ success: true, ...entry });
+        } catch (error) {
+          console.error(`Error listing ${provider.label} models:`, error);
+          sendResponse({ success: false, error: `Could not load ${provider.label} models: ${error.message}` });
+        }
+        return; // Handled by async/await
+      } else if (message.type === 'CANCEL_JOB') {
+        cancelJob(message.jobId);
+        sendResponse({ success: true });
+        return; // Handled
       } else if (message.type === 'SET_ICON_STATE') {
           if (['idle', 'loading', 'error', 'inactive'].includes(message.state)) {
               iconState = message.state;
@@ -322,6 +855,47 @@ try {
     return true; // Keep the messaging channel open for the async response
   });
 
+  // Streaming requests arrive over a long-lived port: text chunks are relayed as
+  // STREAM_CHUNK messages, retries as STREAM_RETRY, a switch to a fallback model as
+  // STREAM_FALLBACK, and the usual response object is sent as STREAM_DONE.
+  if (chrome.runtime.onConnect) {
+    chrome.runtime.onConnect.addListener((port) => {
+      if (port.name !== STREAM_PORT_NAME) return;
+      console.log('[Background Listener] Stream port connected.');
+
+      const postToPort = (message) => {
+        try {
+          port.postMessage(message);
+        } catch (error) {
+          // The tab navigated away or the content script disconnected
+          console.warn('[Stream port] Could not post message:', error.message);
+        }
+      };
+
+      // Closing the port (modal closed, tab navigated) cancels the jobs it started
+      const portJobs = new Set();
+      port.onDisconnect.addListener(() => {
+        portJobs.forEach(jobId => {
+          if (activeJobs.has(jobId)) cancelJob(jobId);
+        });
+      });
+
+      port.onMessage.addListener((message) => {
+        if (message.jobId) portJobs.add(message.jobId);
+        handleMessage(
+          message,
+          port.sender,
+          (response) => postToPort({ type: 'STREAM_DONE', response }),
+          {
+            onDelta: (delta) => postToPort({ type: 'STREAM_CHUNK', delta }),
+            onRetry: ({ attempt, maxRetries, delayMs }) => postToPort({ type: 'STREAM_RETRY', attempt, maxRetries, delayMs }),
+            onFallback: ({ provider, model }) => postToPort({ type: 'STREAM_FALLBACK', provider, model })
+          }
+        );
+      });
+    });
+  }
+
   // Self-test function to verify background script is running correctly
   function performSelfTest() {
     console.log('Background script self-test running...');
@@ -344,11 +344,21 @@ function showBanner(composeWindow, message, options = {}) {
 
 const AI_REPLY_BUTTON_ID = 'ai-reply-button';
 const MODAL_HOST_ID = 'ai-modal-host';
+const STREAM_PORT_NAME = 'ai-reply-stream'; // Must match background.js
 const GMAIL_COMPOSE_TOOLBAR_SELECTOR = '.aSs, .aDj, [role="toolbar"], .bAK, .btC';
 
 let modalHost = null; // Keep track of the modal host element
 let shadowRoot = null; // Keep track of the shadow root
 let currentComposeWindow = null; // Store reference to the compose window that opened the modal
+let currentJob = null; // In-flight draft generation started from the modal ({ id, controller })
+let currentImproveJob = null; // In-flight improve-text request ({ id, controller })
+let draftVariants = []; // Drafts shown as cards in the modal when several were written
+let selectedVariantIndex = 0; // The card "Use this one" opens in the preview
+let draftRevisions = []; // Revisions of the previewed draft ({ text, instruction, generatedBy, incomplete })
+let currentRevision = 0; // The revision shown in the preview
+let conversationId = null; // Identifies the modal's draft conversation in the background
+let replyRuleId = null; // The reply rule applied when the modal opened, if any
+let templatePicked = false; // Whether the user changed the template in the modal
 
 // Define CSS classes for visibility control
 // const VISIBLE_CLASS = 'visible';
@@ -372,6 +382,105 @@ async function fetchText(url) {
   }
 }
 
+/**
+ * Creates a cancellable job. Its id travels with the request so the background
+ * script can abort the model call and drop a late result.
+ * @returns {{id: string, controller: AbortController}}
+ */
+function createJob() {
+  return { id: createId(), controller: new AbortController() };
+}
+
+/**
+ * Creates a unique id for jobs and draft conversations.
+ * @returns {string}
+ */
+function createId() {
+  // crypto.randomUUID is not available on insecure (http) pages
+  return `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+}
+
+/**
+ * Cancels a job locally and tells the background script to abort it.
+ * @param {{id: string, controller: AbortController}} job - The job to cancel.
+ */
+function cancelJob(job) {
+  if (!job || job.controller.signal.aborted) return;
+  console.log(`Cancelling job ${job.id}`);
+  job.controller.abort();
+  try {
+    chrome.runtime.sendMessage({ type: 'CANCEL_JOB', jobId: job.id }).catch(error => {
+      console.warn('Could not send CANCEL_JOB:', error.message);
+    });
+  } catch (error) {
+    // Extension context invalidated (e.g. the extension was reloaded)
+    console.warn('Could not send CANCEL_JOB:', error.message);
+  }
+}
+
+/**
+ * Sends a request to the background script over a long-lived port so the generated
+ * text can be streamed back. Falls back to a one-shot message if ports are unavailable.
+ * @param {object} message - The request ('generate' or 'IMPROVE_TEXT').
+ * @param {function(string): void} onDelta - Called with each streamed text chunk.
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Resolves the request as cancelled when aborted.
+ * @param {function(object): void} [options.onRetry] - Called with `{ attempt, maxRetries, delayMs }`
+ *   when the background script retries a failed request.
+ * @param {function(object): void} [options.onFallback] - Called with `{ provider, model }` when a
+ *   fallback model takes over; text streamed so far is obsolete.
+ * @returns {Promise<object>} - The final response, same shape as the sendMessage response.
+ */
+function sendStreamingMessage(message, onDelta, { signal, onRetry, onFallback } = {}) {
+  const cancelledResponse = { success: false, cancelled: true, error: 'Request cancelled.' };
+  if (signal?.aborted) {
+    return Promise.resolve(cancelledResponse);
+  }
+  if (typeof chrome.runtime.connect !== 'function') {
+    if (!signal) return chrome.runtime.sendMessage(message);
+    const aborted = new Promise(resolve => {
+      signal.addEventListener('abort', () => resolve(cancelledResponse), { once: true });
+    });
+    return Promise.race([chrome.runtime.sendMessage(message), aborted]);
+  }
+  return new Promise((resolve, reject) => {
+    let settled = false;
+    const port = chrome.runtime.connect({ name: STREAM_PORT_NAME });
+    signal?.addEventListener('abort', () => {
+      if (settled) return;
+      settled = true;
+      // Disconnecting also makes the background script abort the request
+      port.disconnect();
+      resolve(cancelledResponse);
+    }, { once: true });
+    port.onMessage.addListener((streamMessage) => {
+      if (streamMessage.type === 'STREAM_CHUNK') {
+        try {
+          onDelta(streamMessage.delta);
+        } catch (error) {
+          console.error('[sendStreamingMessage] Error rendering chunk:', error);
+        }
+      } else if (streamMessage.type === 'STREAM_RETRY') {
+        if (onRetry) onRetry(streamMessage);
+      } else if (streamMessage.type === 'STREAM_FALLBACK') {
+        if (onFallback) onFallback(streamMessage);
+      } else if (streamMessage.type === 'STREAM_DONE') {
+        if (settled) return;
+        settled = true;
+        port.disconnect();
+        resolve(streamMessage.response);
+      }
+    });
+    port.onDisconnect.addListener(() => {
+      if (!settled) {
+        settled = true;
+        reject(new Error(chrome.runtime.lastError?.message || 'Connection to the background script was lost.'));
+      }
+    });
+    port.postMessage(message);
+  });
+}
+
 /**
  * Simple HTML decoding (handles basic entities like &amp;, &lt;, &gt;, &quot;, &#39;).
  * More robust decoding might require a library or more entities.
@@ -389,6 +498,13 @@ function htmlDecode(text) {
  */
 function closeModal() {
   try {
+    // Closing the modal abandons any draft that is still being generated
+    if (currentJob) {
+      cancelJob(currentJob);
+      currentJob = null;
+    }
+    endConversation();
+
     // Remove keydown listener first while shadowRoot is still defined
     if (shadowRoot) {
       shadowRoot.removeEventListener('keydown', handleKeyDown);
@@ -410,6 +526,8 @@ function closeModal() {
       modalHost = null;
       shadowRoot = null;
       currentComposeWindow = null; // Also clear the compose window reference
+      draftVariants = [];
+      draftRevisions = [];
       console.log('Modal closed successfully');
     }
   } catch (error) {
@@ -430,14 +548,20 @@ function handleKeyDown(event) {
     if (!shadowRoot) return;
 
     if (event.key === 'Escape') {
-        closeModal();
+        // First Escape stops a running generation, the next one closes the modal
+        if (currentJob) {
+            stopGeneration();
+        } else {
+            closeModal();
+        }
         return;
     }
 
     if (event.key === 'Tab') {
-        const focusableElements = shadowRoot.querySelectorAll(
+        // Skip controls that are hidden (e.g. the variant picker before drafts are written)
+        const focusableElements = Array.from(shadowRoot.querySelectorAll(
             'textarea, button, [href], input, select, [tabindex]:not([tabindex="-1"])'
-        );
+        )).filter(element => !element.closest('[hidden]'));
         if (focusableElements.length === 0) return;
 
         const firstElement = focusableElements[0];
@@ -481,25 +605,603 @@ function toggleSpinner(show) {
         console.warn('Spinner element not found in shadow DOM');
     }
     
-    // Disable/enable buttons while spinner is active
+    // Disable the actions while spinner is active; Cancel stays enabled so the modal can be closed
+    shadowRoot.querySelectorAll('.ai-reply-submit, .ai-reply-intent, .ai-reply-insert, .ai-reply-refine-submit, .ai-reply-revisions button')
+        .forEach(button => { button.disabled = show; });
+    if (!show) updateRevisionBar();
+}
+
+/**
+ * Stops the draft generation started from the modal. The modal stays open with the
+ * talking points intact so they can be tweaked and submitted again.
+ */
+function stopGeneration() {
+    if (!currentJob) return;
+    cancelJob(currentJob);
+    currentJob = null;
+    // A stopped refinement goes back to the revision it started from
+    if (draftRevisions.length > 0) {
+        renderRevision();
+    } else {
+        hideDraftPreview();
+    }
+    setModalStreaming(false);
+    toggleSpinner(false);
+    shadowRoot?.querySelector('#ai-talking-points')?.focus();
+    console.log('Generation stopped by user');
+}
+
+/**
+ * Updates the spinner label while text is (or is not yet) streaming into the preview.
+ * @param {boolean} streaming - True while text is streaming in.
+ */
+function setModalStreaming(streaming) {
+    if (!shadowRoot) return;
+    const spinnerLabel = shadowRoot.querySelector('.ai-reply-spinner span');
+    if (spinnerLabel) {
+        spinnerLabel.textContent = streaming ? 'Writing your reply...' : 'Generating your response...';
+    }
+}
+
+/**
+ * Shows retry progress (e.g. "Retrying (2/3)...") in the modal spinner.
+ * @param {{attempt: number, maxRetries: number}} progress
+ */
+function showRetryProgress({ attempt, maxRetries }) {
+    if (!shadowRoot) return;
+    const spinnerLabel = shadowRoot.querySelector('.ai-reply-spinner span');
+    if (spinnerLabel) spinnerLabel.textContent = `Retrying (${attempt}/${maxRetries})...`;
+}
+
+// Shown when a result is still cut off by the output token limit after the allowed continuations
+const INCOMPLETE_HINT = 'Raise "Max Output Tokens" or "Continuation Requests" in the options to allow longer answers.';
+
+/**
+ * Describes the model that produced a result for the success banners,
+ * e.g. "claude-haiku-4-5 (Anthropic)".
+ * @param {{provider: string, model: string}} [generatedBy] - From the background response.
+ * @returns {string} - The description, or an empty string if unknown.
+ */
+function describeModel(generatedBy) {
+    if (!generatedBy || !generatedBy.model) return '';
+    return generatedBy.provider ? `${generatedBy.model} (${generatedBy.provider})` : generatedBy.model;
+}
+
+/**
+ * Inserts a draft into the compose window that opened the modal, closes the modal and
+ * confirms with a banner naming the model (or warns if the draft was cut off).
+ * @param {{text: string, generatedBy: object, incomplete: boolean}} draft - From the background response.
+ * @returns {boolean} - True if the draft was inserted.
+ */
+function insertDraft({ text, generatedBy, incomplete }) {
+    console.log('Draft generated, attempting to append to compose window...');
+    // Store a reference to the compose window before we potentially lose it
+    const composeWindowToUpdate = currentComposeWindow;
+    const success = appendDraft(composeWindowToUpdate, text);
+
+    if (!success) {
+        // Draft wasn't inserted
+        console.error('Failed to insert draft into compose window');
+        displayErrorInModal('Error: Failed to insert draft into compose window.');
+        showBanner(currentComposeWindow, 'AI Reply Error: Failed to insert draft into compose window', {
+            type: 'error',
+            timeout: 8000
+        });
+        toggleSpinner(false);
+        return false;
+    }
+
+    console.log('Draft successfully inserted into compose window');
+
+    // Hide spinner before closing
+    toggleSpinner(false);
+
+    // Close the modal FIRST - this was causing one of the issues
+    const closeSuccess = closeModal();
+    console.log('Modal close result:', closeSuccess);
+
+    // Show success notification
+    // Say which model wrote the draft; keep the banner up longer if it was a fallback
+    const modelDescription = describeModel(generatedBy);
+    const usedFallback = !!generatedBy?.fallback;
+    let bannerMessage = 'AI Reply draft successfully added!';
+    if (usedFallback) {
+        bannerMessage = `AI Reply draft added using fallback model ${modelDescription}.`;
+    } else if (modelDescription) {
+        bannerMessage = `AI Reply draft successfully added! (${modelDescription})`;
+    }
+    if (incomplete) {
+        showBanner(composeWindowToUpdate, `The draft was cut off by the output token limit and may be incomplete. ${INCOMPLETE_HINT}`, {
+            type: 'warning',
+            timeout: 10000
+        });
+    } else {
+        showBanner(composeWindowToUpdate, bannerMessage, {
+            type: 'info',
+            timeout: usedFallback ? 5000 : 1000
+        });
+    }
+
+    return true;
+}
+
+/**
+ * Shows text streamed in for a draft in the preview area. The area stays read-only
+ * until the draft is complete.
+ * @param {string} text - The text generated so far.
+ */
+function showStreamingDraft(text) {
+    if (!shadowRoot) return;
+    const preview = shadowRoot.querySelector('.ai-reply-preview');
+    const editor = shadowRoot.querySelector('#ai-draft-preview');
+    if (!preview || !editor) return;
+    preview.hidden = false;
+    editor.readOnly = true;
+    editor.value = text;
+    editor.scrollTop = editor.scrollHeight;
+}
+
+/**
+ * Shows a finished draft in the preview area so it can be edited, then inserted with
+ * "Insert", dropped with "Discard", written again with "Regenerate" or refined with a
+ * follow-up instruction. The draft becomes the first revision of the modal's conversation.
+ * @param {{text: string, generatedBy: object, incomplete: boolean}} draft - The draft to preview.
+ */
+function showDraftPreview(draft) {
+    if (!shadowRoot) return;
+    if (!shadowRoot.querySelector('.ai-reply-preview') || !shadowRoot.querySelector('#ai-draft-preview')) {
+        console.warn('Draft preview not found in modal, inserting the draft directly.');
+        insertDraft(draft);
+        return;
+    }
+
+    hideDraftVariants();
+    draftRevisions = [{ ...draft, instruction: null }];
+    currentRevision = 0;
+    renderRevision();
+    shadowRoot.querySelector('#ai-draft-preview').focus();
+}
+
+/**
+ * Shows the current revision in the preview, with its position among the revisions
+ * and the instruction that produced it.
+ */
+function renderRevision() {
+    const revision = draftRevisions[currentRevision];
+    if (!shadowRoot || !revision) return;
+    const preview = shadowRoot.querySelector('.ai-reply-preview');
+    const editor = shadowRoot.querySelector('#ai-draft-preview');
+    if (!preview || !editor) return;
+    preview.hidden = false;
+    editor.readOnly = false;
+    editor.value = revision.text;
+    editor.scrollTop = 0;
+
+    const note = shadowRoot.querySelector('.ai-reply-preview-note');
+    if (note) {
+        const modelDescription = describeModel(revision.generatedBy);
+        note.textContent = revision.incomplete
+            ? `Cut off by the output token limit. ${INCOMPLETE_HINT}`
+            : (modelDescription ? `Written by ${modelDescription}` : '');
+    }
+
+    updateRevisionBar();
+    setPreviewActions(true);
+}
+
+/**
+ * Updates the revision bar: shown once the draft has been refined, with the position
+ * of the current revision and the instruction that produced it.
+ */
+function updateRevisionBar() {
+    const revisionBar = shadowRoot?.querySelector('.ai-reply-revisions');
+    const revision = draftRevisions[currentRevision];
+    if (!revisionBar) return;
+    revisionBar.hidden = !revision || draftRevisions.length < 2;
+    if (revisionBar.hidden) return;
+    const label = revisionBar.querySelector('.ai-reply-revision-label');
+    if (label) {
+        const origin = revision.instruction ? `"${revision.instruction}"` : 'Original';
+        label.textContent = `Revision ${currentRevision + 1} of ${draftRevisions.length} · ${origin}`;
+    }
+    const previousButton = revisionBar.querySelector('.ai-reply-revision-prev');
+    const nextButton = revisionBar.querySelector('.ai-reply-revision-next');
+    if (previousButton) previousButton.disabled = currentRevision === 0;
+    if (nextButton) nextButton.disabled = currentRevision === draftRevisions.length - 1;
+}
+
+/**
+ * Keeps the user's edits to the revision shown in the preview.
+ */
+function saveEditorText() {
+    const editor = shadowRoot?.querySelector('#ai-draft-preview');
+    const revision = draftRevisions[currentRevision];
+    if (editor && revision && !editor.readOnly) revision.text = editor.value;
+}
+
+/**
+ * Steps to an earlier or later revision of the draft.
+ * @param {number} step - -1 for the previous revision, 1 for the next one.
+ */
+function showRevision(step) {
+    const index = currentRevision + step;
+    if (currentJob || index < 0 || index >= draftRevisions.length) return;
+    saveEditorText();
+    currentRevision = index;
+    renderRevision();
+}
+
+/**
+ * Hides the preview area and forgets the draft and its revisions.
+ */
+function hideDraftPreview() {
+    draftRevisions = [];
+    currentRevision = 0;
+    if (!shadowRoot) return;
+    const preview = shadowRoot.querySelector('.ai-reply-preview');
+    if (preview) preview.hidden = true;
+    const editor = shadowRoot.querySelector('#ai-draft-preview');
+    if (editor) editor.value = '';
+    updateRevisionBar();
+    setPreviewActions(false);
+}
+
+/**
+ * Switches the modal buttons between the talking points stage (Generate) and the
+ * preview stage (Discard, Insert, Regenerate).
+ * @param {boolean} previewing - True while a finished draft is shown in the preview.
+ */
+function setPreviewActions(previewing) {
+    if (!shadowRoot) return;
+    const discardButton = shadowRoot.querySelector('.ai-reply-discard');
+    const insertButton = shadowRoot.querySelector('.ai-reply-insert');
     const submitButton = shadowRoot.querySelector('.ai-reply-submit');
-    const cancelButton = shadowRoot.querySelector('.ai-reply-cancel');
-    if (submitButton) submitButton.disabled = show;
-    if (cancelButton) cancelButton.disabled = show;
+    if (discardButton) discardButton.hidden = !previewing;
+    if (insertButton) insertButton.hidden = !previewing;
+    if (submitButton) submitButton.textContent = previewing ? 'Regenerate' : 'Generate (⌘/Ctrl+Enter)';
+}
+
+/**
+ * Inserts the (possibly edited) revision shown in the preview into the compose window.
+ */
+function insertPreviewDraft() {
+    const editor = shadowRoot?.querySelector('#ai-draft-preview');
+    const revision = draftRevisions[currentRevision];
+    if (!revision || !editor || currentJob) return;
+    const text = editor.value.trim();
+    if (!text) {
+        displayErrorInModal('The draft is empty. Regenerate it or discard it.');
+        return;
+    }
+    insertDraft({ ...revision, text });
+}
+
+/**
+ * Drops the previewed draft and returns to the talking points, which are kept.
+ */
+function discardPreviewDraft() {
+    hideDraftPreview();
+    shadowRoot?.querySelector('#ai-talking-points')?.focus();
+    console.log('Draft discarded');
+}
+
+/**
+ * Tells the background that the modal's draft conversation is over.
+ */
+function endConversation() {
+    if (!conversationId) return;
+    try {
+        chrome.runtime.sendMessage({ type: 'END_CONVERSATION', conversationId }).catch(error => {
+            console.warn('Could not send END_CONVERSATION:', error.message);
+        });
+    } catch (error) {
+        // Extension context invalidated (e.g. the extension was reloaded)
+        console.warn('Could not send END_CONVERSATION:', error.message);
+    }
+    conversationId = null;
+}
+
+/**
+ * Refines the revision shown in the preview with the instruction typed in the modal
+ * ("shorter", "more formal", "mention Friday"). The background sends the whole
+ * conversation to the model; the result streams into the preview and becomes the
+ * newest revision. Refining an earlier revision drops the revisions after it.
+ */
+async function handleRefine() {
+    if (!shadowRoot || currentJob || draftRevisions.length === 0) return;
+    const input = shadowRoot.querySelector('#ai-refine-instruction');
+    const instruction = input?.value.trim() || '';
+    if (!instruction) {
+        input?.focus();
+        return;
+    }
+
+    saveEditorText();
+    const baseRevision = currentRevision;
+    const job = createJob();
+    currentJob = job;
+    toggleSpinner(true);
+
+    let streamedText = '';
+    const onDelta = (delta) => {
+        if (job.controller.signal.aborted) return;
+        if (!streamedText) setModalStreaming(true);
+        streamedText += delta;
+        showStreamingDraft(streamedText);
+    };
+
+    const showRefineError = (message) => {
+        console.error('Error refining draft:', message);
+        renderRevision();
+        displayErrorInModal(`Error: ${message}`);
+        toggleSpinner(false);
+    };
+
+    try {
+        let response;
+        try {
+            response = await sendStreamingMessage({
+                type: 'REFINE_DRAFT',
+                jobId: job.id,
+                conversationId,
+                revision: baseRevision,
+                draft: draftRevisions[baseRevision].text,
+                instruction
+            }, onDelta, {
+                signal: job.controller.signal,
+                onRetry: showRetryProgress,
+                onFallback: ({ provider, model }) => {
+                    streamedText = '';
+                    showStreamingDraft('');
+                    const spinnerLabel = shadowRoot?.querySelector('.ai-reply-spinner span');
+                    if (spinnerLabel) spinnerLabel.textContent = `Switching to ${model} (${provider})...`;
+                }
+            });
+        } finally {
+            if (currentJob === job) currentJob = null;
+            if (!job.controller.signal.aborted) setModalStreaming(false);
+        }
+
+        if (job.controller.signal.aborted || response?.cancelled) {
+            console.log('Ignoring result of cancelled refinement');
+            return;
+        }
+        if (!response || response.success === false || !response.draft) {
+            showRefineError(response?.error || 'No revised draft was generated.');
+            return;
+        }
+
+        toggleSpinner(false);
+        draftRevisions = [
+            ...draftRevisions.slice(0, baseRevision + 1),
+            { text: response.draft, generatedBy: response.generatedBy, incomplete: response.incomplete, instruction }
+        ];
+        currentRevision = draftRevisions.length - 1;
+        renderRevision();
+        if (input) {
+            input.value = '';
+            input.focus();
+        }
+        console.log(`Draft refined (revision ${currentRevision + 1}): ${instruction}`);
+    } catch (error) {
+        if (job.controller.signal.aborted) return;
+        showRefineError(error.message);
+    }
+}
+
+/**
+ * Labels a draft variant card, e.g. "2 · Concise" or "1 · As written".
+ * @param {{tone: string|null, generatedBy: object, incomplete: boolean}} draft
+ * @param {number} index - Position of the draft.
+ * @returns {string}
+ */
+function describeVariant(draft, index) {
+    const tone = draft.tone ? draft.tone.charAt(0).toUpperCase() + draft.tone.slice(1) : 'As written';
+    let label = `${index + 1} · ${tone}`;
+    if (draft.generatedBy?.fallback) label += ` · ${describeModel(draft.generatedBy)}`;
+    if (draft.incomplete) label += ' · cut off';
+    return label;
+}
+
+/**
+ * Shows the drafts written for the talking points as cards to pick from, with the
+ * first one selected. Arrow keys or 1-N move the selection; Enter, a double click or
+ * "Use this one" opens the selected draft in the preview.
+ * @param {{text: string, tone: string|null, generatedBy: object, incomplete: boolean}[]} drafts
+ */
+function showDraftVariants(drafts) {
+    if (!shadowRoot) return;
+    const list = shadowRoot.querySelector('.ai-reply-variants');
+    const useButton = shadowRoot.querySelector('.ai-reply-use');
+    if (!list || !useButton) {
+        console.warn('Variant picker not found in modal, previewing the first draft.');
+        showDraftPreview(drafts[0]);
+        return;
+    }
+
+    draftVariants = drafts;
+    list.replaceChildren(...drafts.map((draft, index) => {
+        const card = document.createElement('div');
+        card.className = 'ai-reply-variant';
+        card.setAttribute('role', 'option');
+        const label = document.createElement('div');
+        label.className = 'ai-reply-variant-label';
+        label.textContent = describeVariant(draft, index);
+        const text = document.createElement('div');
+        text.className = 'ai-reply-variant-text';
+        text.textContent = draft.text;
+        card.append(label, text);
+        card.addEventListener('click', () => selectDraftVariant(index));
+        card.addEventListener('dblclick', useSelectedVariant);
+        return card;
+    }));
+    list.hidden = false;
+    useButton.hidden = false;
+    selectDraftVariant(0);
+}
+
+/**
+ * Hides the variant picker, e.g. when new drafts are being generated.
+ */
+function hideDraftVariants() {
+    draftVariants = [];
+    if (!shadowRoot) return;
+    const list = shadowRoot.querySelector('.ai-reply-variants');
+    if (list) {
+        list.hidden = true;
+        list.replaceChildren();
+    }
+    const useButton = shadowRoot.querySelector('.ai-reply-use');
+    if (useButton) useButton.hidden = true;
+}
+
+/**
+ * Selects (and focuses) a draft variant card. Only the selected card is in the tab order.
+ * @param {number} index - The card to select.
+ */
+function selectDraftVariant(index) {
+    if (!shadowRoot || draftVariants.length === 0) return;
+    selectedVariantIndex = Math.max(0, Math.min(index, draftVariants.length - 1));
+    const cards = shadowRoot.querySelectorAll('.ai-reply-variant');
+    cards.forEach((card, cardIndex) => {
+        const selected = cardIndex === selectedVariantIndex;
+        card.setAttribute('aria-selected', String(selected));
+        card.tabIndex = selected ? 0 : -1;
+    });
+    cards[selectedVariantIndex]?.focus();
+}
+
+/**
+ * Opens the selected draft variant in the preview.
+ */
+function useSelectedVariant() {
+    const draft = draftVariants[selectedVariantIndex];
+    if (!draft) return;
+    console.log(`Using draft variant ${selectedVariantIndex + 1} of ${draftVariants.length}`);
+    showDraftPreview(draft);
+}
+
+/**
+ * Keyboard navigation of the variant picker.
+ * @param {KeyboardEvent} event
+ */
+function handleVariantKeyDown(event) {
+    if (draftVariants.length === 0) return;
+    const last = draftVariants.length - 1;
+    let index = null;
+    if (event.key === 'ArrowDown' || event.key === 'ArrowRight') {
+        index = selectedVariantIndex === last ? 0 : selectedVariantIndex + 1;
+    } else if (event.key === 'ArrowUp' || event.key === 'ArrowLeft') {
+        index = selectedVariantIndex === 0 ? last : selectedVariantIndex - 1;
+    } else if (event.key === 'Home') {
+        index = 0;
+    } else if (event.key === 'End') {
+        index = last;
+    } else if (/^[1-9]$/.test(event.key) && Number(event.key) <= draftVariants.length) {
+        index = Number(event.key) - 1;
+    } else if (event.key === 'Enter') {
+        event.preventDefault();
+        useSelectedVariant();
+        return;
+    }
+    if (index === null) return;
+    event.preventDefault();
+    selectDraftVariant(index);
+}
+
+/**
+ * Fills the modal's template dropdown with the reply template library. It is only
+ * shown when there is more than one template.
+ * @param {{id: string, name: string}[]} templates - The `promptTemplates` setting.
+ */
+function showTemplatePicker(templates) {
+    const picker = shadowRoot?.querySelector('.ai-reply-template');
+    const select = shadowRoot?.querySelector('#ai-template-select');
+    if (!picker || !select || !Array.isArray(templates)) return;
+    select.innerHTML = '';
+    templates.forEach(template => select.appendChild(new Option(template.name, template.id)));
+    picker.hidden = templates.length < 2;
+    select.addEventListener('change', () => { templatePicked = true; });
+}
+
+/**
+ * Preselects the template and tone for the message being answered: those of the
+ * first matching reply rule, otherwise the template last used for the sender's
+ * domain. Choices the user already changed are kept.
+ * @param {HTMLElement} composeWindow - The compose window the modal was opened for.
+ */
+async function applyReplyDefaults(composeWindow) {
+    const templateSelect = shadowRoot?.querySelector('#ai-template-select');
+    const toneSelect = shadowRoot?.querySelector('#ai-tone-select');
+    if (!templateSelect || !toneSelect) return;
+    const initialTemplate = templateSelect.value;
+    const initialTone = toneSelect.value;
+    const hasOption = (select, value) => Array.from(select.options).some(option => option.value === value);
+    try {
+        const response = await chrome.runtime.sendMessage({
+            type: 'GET_REPLY_DEFAULTS',
+            emailMessages: readStoredEmailMessages(composeWindow),
+            promptDetails: { myEmail: getAccountDetails().email, recipients: getComposeRecipients(composeWindow) }
+        });
+        // The modal was closed or reopened in the meantime
+        if (!response?.success || currentComposeWindow !== composeWindow) return;
+        const { templateId, tone, rule } = response;
+        if (templateId && templateSelect.value === initialTemplate && hasOption(templateSelect, templateId)) {
+            templateSelect.value = templateId;
+        }
+        if (tone && toneSelect.value === initialTone && hasOption(toneSelect, tone)) {
+            toneSelect.value = tone;
+        }
+        replyRuleId = rule?.id || null;
+        const ruleNote = shadowRoot?.querySelector('.ai-reply-rule');
+        if (ruleNote && rule) {
+            ruleNote.textContent = `Rule applied: ${rule.name}`;
+            ruleNote.hidden = false;
+        }
+    } catch (error) {
+        console.warn('Could not get the reply defaults for this message:', error);
+    }
+}
+
+/**
+ * Adds a chip to the modal for each quick intent. A click writes the reply right
+ * away, with the intent's instruction instead of the talking points.
+ * @param {{label: string, instruction: string}[]} intents - The `quickIntents` setting.
+ */
+function showQuickIntents(intents) {
+    const container = shadowRoot?.querySelector('.ai-reply-intents');
+    if (!container) return;
+    container.innerHTML = '';
+    (Array.isArray(intents) ? intents : []).forEach(({ label, instruction }) => {
+        if (!label || !instruction) return;
+        const chip = document.createElement('button');
+        chip.type = 'button';
+        chip.className = 'ai-reply-intent';
+        chip.textContent = label;
+        chip.title = instruction;
+        chip.addEventListener('click', () => handleSubmit(instruction));
+        container.appendChild(chip);
+    });
+    container.hidden = container.childElementCount === 0;
 }
 
 /**
  * Handles the form submission: sends data to background, shows spinner.
+ * @param {string} [instruction] - A quick intent's instruction, sent instead of the talking points.
  */
-async function handleSubmit() {
+async function handleSubmit(instruction) {
     console.log('handleSubmit triggered');
     if (!shadowRoot || !currentComposeWindow) {
         console.error('Cannot submit - shadowRoot or currentComposeWindow is null');
         return;
     }
 
-    // Always show spinner at start of submission
+    // Always show spinner at start of submission; a new draft replaces the previous one
+    hideDraftVariants();
+    hideDraftPreview();
     toggleSpinner(true);
+    const job = createJob();
+    currentJob = job;
     
     let settings;
     try {
@@ -511,7 +1213,9 @@ async function handleSubmit() {
         }
         settings = settingsResponse.settings;
         console.log('Settings retrieved for submission:', settings);
+        if (job.controller.signal.aborted) return;
     } catch (error) {
+        if (currentJob === job) currentJob = null;
         console.error('Error getting settings during submit:', error);
         displayErrorInModal(`Error getting settings: ${error.message}`);
         showBanner(currentComposeWindow, `Error getting settings: ${error.message}`, { 
@@ -523,27 +1227,86 @@ async function handleSubmit() {
     }
 
     const textarea = shadowRoot.querySelector('#ai-talking-points');
-    const bulletPoints = textarea?.value.trim() || '';
+    const bulletPoints = instruction ?? (textarea?.value.trim() || '');
     // Retrieve context from the dataset of the compose window that opened the modal
     const emailContext = currentComposeWindow?.dataset?.emailContext || 'Context not found';
+    const emailMessages = readStoredEmailMessages(currentComposeWindow);
+    const templateId = shadowRoot.querySelector('#ai-template-select')?.value || undefined;
+    const tone = shadowRoot.querySelector('#ai-tone-select')?.value || '';
+    const length = shadowRoot.querySelector('#ai-length-select')?.value || '';
+    const promptDetails = await getPromptDetails(currentComposeWindow, emailMessages || []);
+    if (job.controller.signal.aborted) return;
     console.log('Using email context from compose window dataset:', emailContext);
 
     console.log('Submitting request with talking points:', bulletPoints);
 
+    // Several drafts are written side by side and are not streamed
+    const variants = settings.draftVariants || 1;
+    if (variants > 1) {
+        const spinnerLabel = shadowRoot.querySelector('.ai-reply-spinner span');
+        if (spinnerLabel) spinnerLabel.textContent = `Writing ${variants} drafts...`;
+    }
+
+    // Stream the draft into the modal's preview while it is generated. This replaces
+    // streaming into the compose window: a draft can now be discarded or regenerated,
+    // and text streamed into Gmail's editor would have to be cleaned out of it again.
+    // The compose window still only changes once, when the draft is inserted.
+    let streamedText = '';
+    const onDelta = (delta) => {
+        if (job.controller.signal.aborted) return;
+        if (!streamedText) setModalStreaming(true);
+        streamedText += delta;
+        showStreamingDraft(streamedText);
+    };
+
     try {
         // Call API to generate draft
         console.log('Sending message to background script...');
-        const response = await chrome.runtime.sendMessage({
-            type: "generate",
-            bulletPoints,
-            emailContext
-        });
+        let response;
+        try {
+            response = await sendStreamingMessage({
+                type: "generate",
+                jobId: job.id,
+                bulletPoints,
+                emailContext,
+                emailMessages,
+                promptDetails,
+                templateId,
+                tone,
+                length,
+                templatePicked,
+                ruleId: replyRuleId,
+                variants,
+                conversationId
+            }, onDelta, {
+                signal: job.controller.signal,
+                onRetry: showRetryProgress,
+                onFallback: ({ provider, model }) => {
+                    // Start the preview over with the fallback model's text
+                    streamedText = '';
+                    hideDraftPreview();
+                    setModalStreaming(false);
+                    const spinnerLabel = shadowRoot?.querySelector('.ai-reply-spinner span');
+                    if (spinnerLabel) spinnerLabel.textContent = `Switching to ${model} (${provider})...`;
+                }
+            });
+        } finally {
+            if (currentJob === job) currentJob = null;
+            if (!job.controller.signal.aborted) setModalStreaming(false);
+        }
         console.log('Received response from background:', response);
 
+        // Stopped or modal closed: the UI was already reset, drop the result
+        if (job.controller.signal.aborted || response?.cancelled) {
+            console.log('Ignoring result of cancelled generation');
+            return false;
+        }
+
         // Handle explicit failure
         if (!response || response.success === false) {
             const errorMessage = response?.error || 'API returned an error or no response.';
             console.error('API error:', errorMessage);
+            hideDraftPreview();
             displayErrorInModal(`Error: ${errorMessage}`);
             showBanner(currentComposeWindow, `AI Reply Error: ${errorMessage}`, {
                 type: 'error',
@@ -553,41 +1316,26 @@ async function handleSubmit() {
             return;
         }
         
-        // Check if we have a valid draft to insert
+        if (response.reasoningSummary) {
+            console.log('Model reasoning summary:', response.reasoningSummary);
+        }
+
+        // Several drafts: let the user pick one before anything is inserted
+        if (Array.isArray(response.drafts) && response.drafts.length > 1) {
+            toggleSpinner(false);
+            showDraftVariants(response.drafts);
+            return true;
+        }
+
+        // Show the draft for review; nothing reaches the compose window before "Insert"
         if (response.draft) {
-            console.log('Draft generated, attempting to append to compose window...');
-            // Store a reference to the compose window before we potentially lose it
-            const composeWindowToUpdate = currentComposeWindow;
-            const success = appendDraft(composeWindowToUpdate, response.draft);
-            
-            if (success) {
-                console.log('Draft successfully inserted into compose window');
-                
-                // Hide spinner before closing
-                toggleSpinner(false);
-                
-                // Close the modal FIRST - this was causing one of the issues
-                const closeSuccess = closeModal();
-                console.log('Modal close result:', closeSuccess);
-                
-                // Show success notification
-                showBanner(composeWindowToUpdate, 'AI Reply draft successfully added!', {
-                    type: 'info',
-                    timeout: 1000
-                });
-                
-                return true;
-            } else {
-                // Draft wasn't inserted
-                console.error('Failed to insert draft into compose window');
-                displayErrorInModal('Error: Failed to insert draft into compose window.');
-                showBanner(currentComposeWindow, 'AI Reply Error: Failed to insert draft into compose window', {
-                    type: 'error',
-                    timeout: 8000
-                });
-                toggleSpinner(false);
-                return false;
-            }
+            toggleSpinner(false);
+            showDraftPreview({
+                text: response.draft,
+                generatedBy: response.generatedBy,
+                incomplete: response.incomplete
+            });
+            return true;
         } else {
             // Invalid response
             console.error('Invalid response from background:', response);
@@ -601,8 +1349,10 @@ async function handleSubmit() {
             return false;
         }
     } catch (error) {
+        if (job.controller.signal.aborted) return false;
         // Network or other errors
         console.error('Error in handleSubmit:', error);
+        hideDraftPreview();
         displayErrorInModal(`Error: ${error.message}`);
         showBanner(currentComposeWindow, `AI Reply Error: ${error.message}`, {
             type: 'error',
@@ -736,15 +1486,51 @@ async function openModal(triggeringComposeWindow) {
     const modalContentElement = shadowRoot.querySelector('.ai-reply-modal');
     const cancelButton = shadowRoot.querySelector('.ai-reply-cancel');
     const submitButton = shadowRoot.querySelector('.ai-reply-submit');
+    const stopButton = shadowRoot.querySelector('.ai-reply-stop');
+    const useButton = shadowRoot.querySelector('.ai-reply-use');
+    const variantList = shadowRoot.querySelector('.ai-reply-variants');
+    const insertButton = shadowRoot.querySelector('.ai-reply-insert');
+    const discardButton = shadowRoot.querySelector('.ai-reply-discard');
+    const previewEditor = shadowRoot.querySelector('#ai-draft-preview');
+    const refineInput = shadowRoot.querySelector('#ai-refine-instruction');
+    const refineButton = shadowRoot.querySelector('.ai-reply-refine-submit');
+    const previousRevisionButton = shadowRoot.querySelector('.ai-reply-revision-prev');
+    const nextRevisionButton = shadowRoot.querySelector('.ai-reply-revision-next');
     const textarea = shadowRoot.querySelector('#ai-talking-points');
 
     // Add event listeners
     if (cancelButton) cancelButton.addEventListener('click', closeModal);
     else console.warn('Cancel button not found...');
+    if (stopButton) stopButton.addEventListener('click', stopGeneration);
+    if (useButton) useButton.addEventListener('click', useSelectedVariant);
+    if (variantList) variantList.addEventListener('keydown', handleVariantKeyDown);
+    if (insertButton) insertButton.addEventListener('click', insertPreviewDraft);
+    if (discardButton) discardButton.addEventListener('click', discardPreviewDraft);
+    if (refineButton) refineButton.addEventListener('click', handleRefine);
+    if (previousRevisionButton) previousRevisionButton.addEventListener('click', () => showRevision(-1));
+    if (nextRevisionButton) nextRevisionButton.addEventListener('click', () => showRevision(1));
+    // Enter in the refinement input sends the instruction
+    if (refineInput) {
+        refineInput.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter' && !event.isComposing) {
+                event.preventDefault();
+                handleRefine();
+            }
+        });
+    }
+    // Cmd/Ctrl+Enter in the preview inserts the draft
+    if (previewEditor) {
+        previewEditor.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter' && (event.metaKey || event.ctrlKey) && !previewEditor.readOnly) {
+                event.preventDefault();
+                insertPreviewDraft();
+            }
+        });
+    }
 
     // Attach handleSubmit to submit button
     if (submitButton && textarea) {
-      submitButton.addEventListener('click', handleSubmit);
+      submitButton.addEventListener('click', () => handleSubmit());
     } else {
       if (!submitButton) console.warn('Submit button not found...');
       if (!textarea) console.warn('Textarea not found...');
@@ -796,6 +1582,18 @@ async function openModal(triggeringComposeWindow) {
     }
 
     currentComposeWindow = triggeringComposeWindow; // Store the reference
+    conversationId = createId();
+    replyRuleId = null;
+    templatePicked = false;
+    showTemplatePicker(settings.promptTemplates);
+    showQuickIntents(settings.quickIntents);
+    // Preselect the default tone and length; unknown values keep "Default"
+    [['#ai-tone-select', settings.defaultReplyTone], ['#ai-length-select', settings.defaultReplyLength]].forEach(([selector, value]) => {
+      const select = shadowRoot.querySelector(selector);
+      if (select && value && Array.from(select.options).some(option => option.value === value)) select.value = value;
+    });
+    // Reply rules may then change the template and tone
+    applyReplyDefaults(triggeringComposeWindow);
     console.log('AI Reply Modal opened successfully.');
     return true;
   } catch (error) {
@@ -812,49 +1610,298 @@ async function openModal(triggeringComposeWindow) {
   }
 }
 
+// Common containers for email threads/views
+const EMAIL_CONTAINER_SELECTOR = '.nH.Hd, .aia, .Bk, .Bs, .nH.if';
+const EMAIL_MESSAGE_SEPARATOR = '\n\n---\n\n';
+
+// Keep the thread parser in sync with src/utils/gmail.js (content scripts cannot import it)
+// Gmail thread markup. These are Gmail's generated class names and may change.
+const THREAD_SUBJECT_SELECTOR = 'h2.hP';
+// Expanded (.adn) and collapsed (.kv) messages of a thread
+const THREAD_MESSAGE_SELECTOR = '.adn, .kv';
+const MESSAGE_SENDER_SELECTOR = '.gD'; // carries `name` and `email` attributes
+const MESSAGE_RECIPIENT_SELECTOR = '.g2'; // one per recipient, same attributes
+const MESSAGE_DATE_SELECTOR = '.g3'; // `title` holds the full date
+const MESSAGE_BODY_SELECTOR = '.a3s';
+const MESSAGE_SNIPPET_SELECTOR = '.iA.g6, .y2'; // preview line of a collapsed message
+// Interface elements inside a message that are not part of its text: buttons, the
+// "show trimmed content" toggle (.ajR) and drafts being written
+const MESSAGE_CHROME_SELECTOR = 'button, [role="button"], [contenteditable="true"], script, style, .ajR';
+const MESSAGE_SIGNATURE_SELECTOR = '.gmail_signature';
+// Elements that start a new line, and those that are also set apart by a blank line
+const LINE_TAGS = new Set(['ADDRESS', 'DIV', 'LI', 'TR']);
+const PARAGRAPH_TAGS = new Set(['BLOCKQUOTE', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'HR', 'OL', 'P', 'PRE', 'TABLE', 'UL']);
+
 /**
- * Attempts to extract context (Subject, Sender, Body) from the email being replied to.
- * This is complex due to Gmail's changing DOM.
- * @param {HTMLElement} composeWindow - The element representing the compose area (e.g., the editable div).
- * @returns {string} - A formatted string containing the extracted context, or a default message.
+ * Returns the readable text of an element, with line breaks for block elements and
+ * <br>, and without interface elements (see MESSAGE_CHROME_SELECTOR). As in plain-text
+ * email, quoted blocks are prefixed with "> " and signatures follow a "--" line, so
+ * the background can strip them (see utils/context-cleanup.js).
+ * @param {Element} element - The element to read.
+ * @returns {string}
+ */
+function getElementText(element) {
+  let text = '';
+  // Ends the current line (1) or paragraph (2) unless it already is
+  const breakLine = (count) => {
+    text = text.replace(/ +$/, '');
+    const trailing = text.length - text.replace(/\n+$/, '').length;
+    if (text && trailing < count) text += '\n'.repeat(count - trailing);
+  };
+  const walk = (node) => {
+    if (node.nodeType === Node.TEXT_NODE) {
+      // Source formatting is not shown, as in the rendered message
+      text += node.nodeValue.replace(/\s+/g, ' ');
+      return;
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE || node.matches(MESSAGE_CHROME_SELECTOR)) return;
+    if (node.tagName === 'BR') {
+      text += '\n';
+      return;
+    }
+    if (node.tagName === 'BLOCKQUOTE') {
+      const quoted = getElementText(node);
+      breakLine(2);
+      if (quoted) text += quoted.split('\n').map(line => `> ${line}`.trimEnd()).join('\n');
+      breakLine(2);
+      return;
+    }
+    if (node.matches(MESSAGE_SIGNATURE_SELECTOR)) {
+      breakLine(1);
+      text += '--\n';
+    }
+    const breaks = PARAGRAPH_TAGS.has(node.tagName) ? 2 : (LINE_TAGS.has(node.tagName) ? 1 : 0);
+    if (breaks) breakLine(breaks);
+    if (node.tagName === 'LI') text += '- ';
+    node.childNodes.forEach(walk);
+    if (breaks) breakLine(breaks);
+  };
+  walk(element);
+  return text
+    .replace(/ ?\n ?/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Reads a sender or recipient element.
+ * @param {Element} element - An element with `name`/`email` attributes.
+ * @returns {{name: string, email: string}}
+ */
+function parseParticipant(element) {
+  return {
+    name: (element.getAttribute('name') || element.textContent || '').trim(),
+    email: (element.getAttribute('email') || '').trim()
+  };
+}
+
+/**
+ * Reads one message of a thread.
+ * @param {Element} element - An expanded or collapsed message element.
+ * @param {string} subject - The thread subject.
+ * @returns {{senderName: string, senderEmail: string, recipients: {name: string, email: string}[],
+ *   timestamp: string, subject: string, body: string}}
+ */
+function parseThreadMessage(element, subject) {
+  const sender = element.querySelector(MESSAGE_SENDER_SELECTOR);
+  const { name: senderName, email: senderEmail } = sender ? parseParticipant(sender) : { name: '', email: '' };
+
+  const recipients = [];
+  element.querySelectorAll(MESSAGE_RECIPIENT_SELECTOR).forEach(recipientElement => {
+    const recipient = parseParticipant(recipientElement);
+    const key = recipient.email || recipient.name;
+    if (key && !recipients.some(known => (known.email || known.name) === key)) recipients.push(recipient);
+  });
+
+  const date = element.querySelector(MESSAGE_DATE_SELECTOR);
+  const timestamp = (date?.getAttribute('title') || date?.textContent || '').trim();
+
+  // Collapsed messages only show a preview line
+  const bodyElement = element.querySelector(MESSAGE_BODY_SELECTOR) || element.querySelector(MESSAGE_SNIPPET_SELECTOR);
+  const body = bodyElement ? getElementText(bodyElement) : '';
+
+  return { senderName, senderEmail, recipients, timestamp, subject, body };
+}
+
+/**
+ * Parses the messages of a Gmail thread, oldest first. Messages that contain the
+ * compose window (the user's own draft) are skipped. If the layout is not recognized,
+ * the container's text is returned as a single message without headers.
+ * Mirrors parseGmailThread in src/utils/gmail.js, which the tests cover: change both.
+ * @param {Element} container - The thread container.
+ * @param {Element} [composeWindow] - The compose window being written in.
+ * @returns {{senderName: string, senderEmail: string, recipients: {name: string, email: string}[],
+ *   timestamp: string, subject: string, body: string}[]}
  */
-function extractEmailContext(composeWindow) {
-  console.log('[extractEmailContext] Attempting to extract context relative to:', composeWindow);
-  let context = 'Email context could not be determined.'; // Default message
-  const MAX_CONTEXT_LENGTH = 3000; // Limit context size
+function parseGmailThread(container, composeWindow) {
+  const subjectElement = container.querySelector(THREAD_SUBJECT_SELECTOR);
+  const subject = subjectElement ? getElementText(subjectElement) : '';
+  const messageElements = Array.from(container.querySelectorAll(THREAD_MESSAGE_SELECTOR))
+    // Nested matches (a collapsed message inside an expanded one) would be read twice
+    .filter(element => !element.parentElement?.closest(THREAD_MESSAGE_SELECTOR))
+    .filter(element => !(composeWindow && element.contains(composeWindow)));
+  if (messageElements.length > 0) {
+    return messageElements
+      .map(element => parseThreadMessage(element, subject))
+      .filter(message => message.body);
+  }
 
+  const body = getElementText(container);
+  return body ? [{ senderName: '', senderEmail: '', recipients: [], timestamp: '', subject, body }] : [];
+}
+
+
+/**
+ * Extracts the messages of the thread the compose window belongs to, with their
+ * headers (see parseGmailThread). Nothing is truncated here: the background formats
+ * the transcript and fits it to the model's context window, dropping the oldest
+ * messages first.
+ * @param {HTMLElement} composeWindow - The element representing the compose area (e.g., the editable div).
+ * @returns {object[]} - The messages, oldest first (empty if no thread was found).
+ */
+function extractEmailMessages(composeWindow) {
+  console.log('[extractEmailMessages] Attempting to extract messages relative to:', composeWindow);
   try {
     // Find the main container for the entire email view/thread this compose window belongs to.
-    const emailContainer = composeWindow.closest('.nH.Hd, .aia, .Bk, .Bs, .nH.if'); // Common containers for email threads/views
-
+    const emailContainer = composeWindow.closest(EMAIL_CONTAINER_SELECTOR);
     if (!emailContainer) {
-      console.warn('[extractEmailContext] Could not find top-level email container.');
-      return context; // Return default message
+      console.warn('[extractEmailMessages] Could not find top-level email container.');
+      return [];
     }
-    console.log('[extractEmailContext] Found potential email container:', emailContainer);
 
-    // --- Extract ALL text content from the container --- 
-    context = emailContainer.textContent?.trim() || 'Container found but empty';
+    const messages = parseGmailThread(emailContainer, composeWindow);
+    console.log(`[extractEmailMessages] Found ${messages.length} message(s) in the thread.`);
+    return messages;
+  } catch (error) {
+    console.error('[extractEmailMessages] Error during extraction:', error);
+    return [];
+  }
+}
 
-    // Limit context length
-    if (context.length > MAX_CONTEXT_LENGTH) {
-      context = context.substring(0, MAX_CONTEXT_LENGTH) + '... [Full Context Truncated]';
-    }
-    console.log('[extractEmailContext] Extracted full container context (truncated):', context);
+/**
+ * Joins the bodies of parsed thread messages into plain text, for the `context`
+ * field that older background versions read instead of `emailMessages`.
+ * @param {object[]} messages - Messages from extractEmailMessages.
+ * @returns {string}
+ */
+function threadToText(messages) {
+  return messages.map(message => message.body).join(EMAIL_MESSAGE_SEPARATOR);
+}
+
+/**
+ * Extracts the thread's messages and stores them on the compose window, where the
+ * modal reads them when the draft is requested. `emailContext` keeps the whole thread
+ * as plain text.
+ * @param {HTMLElement} composeWindow - The compose window the modal is opened for.
+ */
+function storeEmailContext(composeWindow) {
+  const messages = extractEmailMessages(composeWindow);
+  composeWindow.dataset.emailMessages = JSON.stringify(messages);
+  composeWindow.dataset.emailContext = messages.length > 0
+    ? threadToText(messages)
+    : 'Email context could not be determined.';
+}
 
-    // --- REMOVED specific subject/sender/body extraction logic ---
-    // let subject = ...
-    // let sender = ...
-    // let body = ...
-    // ... etc ...
+/**
+ * Reads the thread messages stored by storeEmailContext.
+ * @param {HTMLElement} [composeWindow] - The compose window the modal was opened for.
+ * @returns {string[]|undefined} - The messages, or undefined if none were stored.
+ */
+function readStoredEmailMessages(composeWindow) {
+  try {
+    const messages = JSON.parse(composeWindow?.dataset?.emailMessages || 'null');
+    return Array.isArray(messages) ? messages : undefined;
+  } catch {
+    // Not written by storeEmailContext
+    return undefined;
+  }
+}
+
+// The compose form around the message body, and its recipient chips (newer and older
+// Gmail markup). Gmail's generated class names may change.
+const COMPOSE_FORM_SELECTOR = '.M9, .iN, [role="dialog"], form';
+const COMPOSE_RECIPIENT_SELECTOR = '[data-hovercard-id*="@"], .vR [email]';
+// The account button's label reads "Google Account: Name (address)"
+const ACCOUNT_BUTTON_SELECTOR = 'a[aria-label*="@"][href*="accounts.google.com"]';
+const EMAIL_ADDRESS_PATTERN = /[\w.+-]+@[\w-]+(\.[\w-]+)+/;
+
+/**
+ * Reads the signed-in Gmail account from the account button, or the address from the
+ * page title ("Inbox - name@example.com - Gmail").
+ * @returns {{name: string, email: string}}
+ */
+function getAccountDetails() {
+  const label = document.querySelector(ACCOUNT_BUTTON_SELECTOR)?.getAttribute('aria-label') || '';
+  const match = label.match(/:\s*([^(]*?)\s*\(([^)]+)\)/);
+  if (match) return { name: match[1].trim(), email: match[2].trim() };
+  return { name: '', email: (document.title.match(EMAIL_ADDRESS_PATTERN) || [''])[0] };
+}
 
+/**
+ * Reads the recipients of the reply being written.
+ * @param {HTMLElement} composeWindow - The compose window's message body.
+ * @returns {{name: string, email: string}[]}
+ */
+function getComposeRecipients(composeWindow) {
+  const form = composeWindow.closest(COMPOSE_FORM_SELECTOR);
+  if (!form) return [];
+  const recipients = [];
+  form.querySelectorAll(COMPOSE_RECIPIENT_SELECTOR).forEach(element => {
+    const email = (element.getAttribute('data-hovercard-id') || element.getAttribute('email') || '').trim();
+    const name = (element.getAttribute('data-name') || element.getAttribute('name') || element.textContent || '').trim();
+    if (email && !recipients.some(known => known.email === email)) recipients.push({ name, email });
+  });
+  return recipients;
+}
+
+/**
+ * Returns what the user has already written in the compose window, without the
+ * quoted thread and the signature Gmail adds.
+ * @param {HTMLElement} composeWindow - The compose window's message body.
+ * @returns {string}
+ */
+function getCurrentDraft(composeWindow) {
+  const copy = composeWindow.cloneNode(true);
+  copy.removeAttribute('contenteditable');
+  copy.querySelectorAll('.gmail_quote, .gmail_signature').forEach(element => element.remove());
+  return getElementText(copy);
+}
+
+/**
+ * Detects the language of the thread from its newest messages.
+ * @param {object[]} messages - Messages from extractEmailMessages.
+ * @returns {Promise<string>} - A language code, or '' if it could not be detected.
+ */
+async function detectThreadLanguage(messages) {
+  const text = messages.slice(-3).map(message => message.body).join('\n').trim();
+  if (!text || !chrome.i18n?.detectLanguage) return '';
+  try {
+    const { languages = [] } = await chrome.i18n.detectLanguage(text);
+    return languages[0]?.language || '';
   } catch (error) {
-    console.error('[extractEmailContext] Error during extraction:', error);
-    context = 'Error extracting email context.';
+    console.warn('Could not detect the thread language:', error);
+    return '';
   }
+}
 
-  // Return the extracted (and potentially truncated) context
-  return context;
+/**
+ * Collects the page details behind the prompt placeholders ([My_name], [Recipients],
+ * [Current_draft], [Thread_language]); the background works out the values (see
+ * utils/placeholders.js).
+ * @param {HTMLElement} composeWindow - The compose window's message body.
+ * @param {object[]} messages - Messages from extractEmailMessages.
+ * @returns {Promise<{myName: string, myEmail: string, recipients: {name: string, email: string}[],
+ *   currentDraft: string, threadLanguage: string}>}
+ */
+async function getPromptDetails(composeWindow, messages) {
+  const { name: myName, email: myEmail } = getAccountDetails();
+  return {
+    myName,
+    myEmail,
+    recipients: getComposeRecipients(composeWindow),
+    currentDraft: getCurrentDraft(composeWindow),
+    threadLanguage: await detectThreadLanguage(messages)
+  };
 }
 
 /**
@@ -904,11 +1951,10 @@ function createAIReplyButton(composeWindow) {
     console.log('AI Reply button clicked for compose window:', composeWindow);
     
     // Extract context before opening modal
-    const emailContext = extractEmailContext(composeWindow);
-    console.log('Extracted email context:', emailContext);
     // Store context in the compose window element's dataset
     try {
-        composeWindow.dataset.emailContext = emailContext;
+        storeEmailContext(composeWindow);
+        console.log('Extracted email context:', composeWindow.dataset.emailContext);
     } catch (e) {
         console.error('Failed to set email context on dataset:', e);
     }
@@ -959,7 +2005,7 @@ function createImproveTextButton(composeWindow) {
   });
 
   // Add event listener - Use mousedown to capture selection before focus shifts
-  button.addEventListener('mousedown', (event) => {
+  button.addEventListener('mousedown', async (event) => {
     // Prevent the mousedown from potentially blurring the editor and losing selection
     event.preventDefault(); 
     
@@ -973,26 +2019,8 @@ function createImproveTextButton(composeWindow) {
       return; // Stop if nothing is selected
     }
 
-    console.log('Selected text detected for improvement:', selectedText);
-    // Show visual feedback
-    showBanner(composeWindow, 'Improving text...', { type: 'info', timeout: 0, customClass: 'ai-reply-banner-improving' });
-
-    const context = extractEmailContext(composeWindow);
-    console.log('Extracted context for improve:', context);
-
-    try {
-      chrome.runtime.sendMessage(
-        { type: 'IMPROVE_TEXT', selectedText: selectedText, context: context },
-        handleImproveTextResult // Pass the existing handler
-      );
-      console.log('IMPROVE_TEXT message sent to background script via button mousedown.');
-    } catch (error) {
-      console.error('Error sending IMPROVE_TEXT message from button:', error);
-      // Remove visual feedback and show error
-      const improvingBanner = composeWindow.querySelector('.ai-reply-banner-improving');
-      if (improvingBanner) improvingBanner.remove();
-      showBanner(composeWindow, `Error initiating improvement: ${error.message}`, { type: 'error' });
-    }
+    // Same flow as the keyboard shortcut: streaming overlay, retries and Escape to cancel
+    await triggerImproveText();
   });
 
   return button;
@@ -1227,8 +2255,20 @@ async function handleImproveTextResult(response) {
 
   console.log('Handling IMPROVE_TEXT_RESULT:', response);
   removeSpinner();
+  if (response.cancelled) {
+    console.log('Improve text request was cancelled; nothing to apply.');
+    removeOverlay();
+    return;
+  }
+  // Drop the streaming preview; the final text is applied below
+  if (currentOverlay && currentOverlay.dataset.streaming === 'true') {
+    removeOverlay();
+  }
 
   if (response.success && response.text) {
+    if (response.reasoningSummary) {
+      console.log('Model reasoning summary:', response.reasoningSummary);
+    }
     const improvedText = response.text;
     const source = response.source;
     let replacementSuccess = false;
@@ -1243,7 +2283,14 @@ async function handleImproveTextResult(response) {
           console.log('Successfully replaced selected text in Gmail composer.');
           replacementSuccess = true;
           // Optional: Show brief success confirmation in Gmail
-          showBanner(activeComposeWindow, 'Text improved!', { type: 'info', timeout: 3000 });
+          const bannerMessage = response.generatedBy?.fallback
+            ? `Text improved using fallback model ${describeModel(response.generatedBy)}.`
+            : 'Text improved!';
+          if (response.incomplete) {
+            showBanner(activeComposeWindow, `The improved text was cut off by the output token limit and may be incomplete. ${INCOMPLETE_HINT}`, { type: 'warning', timeout: 10000 });
+          } else {
+            showBanner(activeComposeWindow, bannerMessage, { type: 'info', timeout: 3000 });
+          }
         } else {
           console.warn('document.execCommand failed for Gmail composer.');
           // Fallback: Show error banner in Gmail
@@ -1307,7 +2354,10 @@ async function handleImproveTextResult(response) {
       await chrome.runtime.sendMessage({ type: 'SET_ICON_STATE', state: 'error' });
     }
   } else {
-    // Error response handling...
+    console.error('Improve text failed:', response.error);
+    if (activeComposeWindow) {
+      showBanner(activeComposeWindow, response.error || 'Failed to improve text.', { type: 'error' });
+    }
   }
   lastSelectionRange = null;
   lastInputSelection = null;
@@ -1393,9 +2443,8 @@ function triggerGenerateReply() {
   }
   
   // Extract context and store it before opening modal
-  const emailContext = extractEmailContext(composeWindow);
   try {
-    composeWindow.dataset.emailContext = emailContext;
+    storeEmailContext(composeWindow);
   } catch (e) {
     console.error('TriggerGenerateReply: Failed to set email context on dataset:', e);
   }
@@ -1407,6 +2456,11 @@ function triggerGenerateReply() {
  */
 async function triggerImproveText() {
   console.log('Triggering Improve Text...');
+  // A new improvement replaces one that is still running
+  if (currentImproveJob) {
+    cancelJob(currentImproveJob);
+    currentImproveJob = null;
+  }
   removeOverlay(); // Clear any previous overlay
   removeSpinner(); // Clear any previous spinner
   lastSelectionRange = null; // Reset stored selection range
@@ -1468,6 +2522,8 @@ async function triggerImproveText() {
     // Determine context: Gmail composer or generic
     let source = 'generic';
     let emailContext = null;
+    let emailMessages;
+    let promptDetails;
     let activeComposeWindow = null;
     try {
       const gmailComposeSelector = 'div[contenteditable="true"][role="textbox"][aria-label="Message Body"]';
@@ -1488,7 +2544,11 @@ async function triggerImproveText() {
       }
       if (activeComposeWindow) {
         source = 'gmail';
-        try { emailContext = extractEmailContext(activeComposeWindow); } catch (e) { console.error('Error extracting Gmail context:', e); }
+        try {
+          emailMessages = extractEmailMessages(activeComposeWindow);
+          emailContext = threadToText(emailMessages);
+          promptDetails = await getPromptDetails(activeComposeWindow, emailMessages);
+        } catch (e) { console.error('Error extracting Gmail context:', e); }
       }
     } catch (e) {
       console.error('Error determining Gmail context:', e);
@@ -1496,30 +2556,49 @@ async function triggerImproveText() {
 
     // Send message to background script
     console.log(`Sending IMPROVE_TEXT message (Source: ${source})`);
-    // Send message fire-and-forget style.
-    // The response will be handled by the main onMessage listener.
-    chrome.runtime.sendMessage({
+    // The improved text streams into an overlay next to the selection; the final
+    // result then replaces the selection in one go (see handleImproveTextResult).
+    let streamedText = '';
+    const job = createJob();
+    currentImproveJob = job;
+    sendStreamingMessage({
       type: 'IMPROVE_TEXT',
+      jobId: job.id,
       selectedText,
       context: emailContext,
+      emailMessages,
+      promptDetails,
       source
-    }, response => {
-       // Check for immediate errors ONLY (like port closed)
-       if (chrome.runtime.lastError) {
-          console.error('IMMEDIATE Error sending IMPROVE_TEXT message:', chrome.runtime.lastError.message);
-          removeSpinner();
-          // Attempt to set error icon state
-          try { chrome.runtime.sendMessage({ type: 'SET_ICON_STATE', state: 'error' }); } catch(e){} 
-          alert(`Error sending message to background: ${chrome.runtime.lastError.message}`);
-          // We cannot reliably get the async response here if there's an immediate error.
-       } else {
-           // This callback might receive the response if the background script is synchronous,
-           // but we are relying on the main listener for the actual IMPROVE_TEXT_RESULT.
-           console.log('[triggerImproveText] sendMessage callback received (response might be handled by main listener):', response);
-           if (response && response.type === 'IMPROVE_TEXT_RESULT') {
-             handleImproveTextResult(response);
-           }
-       }
+    }, (delta) => {
+      if (job.controller.signal.aborted) return;
+      streamedText += delta;
+      updateStreamingOverlay(streamedText);
+    }, {
+      signal: job.controller.signal,
+      onRetry: ({ attempt, maxRetries }) => {
+        currentSpinner?.setAttribute('title', `Retrying (${attempt}/${maxRetries})... (Esc to cancel)`);
+      },
+      onFallback: ({ provider, model }) => {
+        // Discard the preview streamed by the model that failed
+        streamedText = '';
+        if (currentOverlay && currentOverlay.dataset.streaming === 'true') removeOverlay();
+        currentSpinner?.setAttribute('title', `Switching to ${model} (${provider})... (Esc to cancel)`);
+      }
+    }).then(response => {
+      console.log('[triggerImproveText] Received final IMPROVE_TEXT response:', response);
+      if (currentImproveJob === job) currentImproveJob = null;
+      // Cancelled via Escape (or replaced by a newer request): the UI was already reset
+      if (job.controller.signal.aborted) return;
+      handleImproveTextResult(response || { success: false, error: 'No response from background script.' });
+    }).catch(error => {
+      if (currentImproveJob === job) currentImproveJob = null;
+      if (job.controller.signal.aborted) return;
+      console.error('Error receiving IMPROVE_TEXT response:', error);
+      removeSpinner();
+      removeOverlay();
+      // Attempt to set error icon state
+      try { chrome.runtime.sendMessage({ type: 'SET_ICON_STATE', state: 'error' }); } catch { /* best effort */ }
+      alert(`Error sending message to background: ${error.message}`);
     });
     console.log('TriggerImproveText: IMPROVE_TEXT message sent.');
   } catch (error) { // Catch synchronous errors during send attempt
@@ -1652,10 +2731,12 @@ function showSpinnerNearSelection(selection) {
   currentSpinner.style.borderRadius = '50%';
   currentSpinner.style.animation = 'spin 1s linear infinite';
   currentSpinner.style.zIndex = '999999'; // High z-index
-  currentSpinner.setAttribute('aria-label', 'Processing...');
+  currentSpinner.setAttribute('aria-label', 'Processing... (Esc to cancel)');
   currentSpinner.setAttribute('role', 'status');
 
   document.body.appendChild(currentSpinner);
+  // Escape cancels the request while the spinner is showing (capture phase, before the page sees it)
+  document.addEventListener('keydown', handleImproveEscape, true);
 
   // Add keyframes for animation if not already present
   const styleSheetId = 'ai-reply-styles';
@@ -1686,13 +2767,43 @@ function showSpinnerNearSelection(selection) {
 }
 
 function removeSpinner() {
+  document.removeEventListener('keydown', handleImproveEscape, true);
   if (currentSpinner && currentSpinner.parentNode) {
     currentSpinner.parentNode.removeChild(currentSpinner);
   }
   currentSpinner = null;
 }
 
-function showOverlayNearSelection(selection, improvedText) {
+/**
+ * Cancels the running improve-text request when Escape is pressed, removing the
+ * spinner and any streamed preview and resetting the toolbar icon.
+ * @param {KeyboardEvent} event
+ */
+function handleImproveEscape(event) {
+  if (event.key !== 'Escape' || !currentImproveJob) return;
+  event.preventDefault();
+  event.stopPropagation();
+  cancelJob(currentImproveJob);
+  currentImproveJob = null;
+  removeSpinner();
+  removeOverlay();
+  try { chrome.runtime.sendMessage({ type: 'SET_ICON_STATE', state: 'idle' }); } catch { /* best effort */ }
+  console.log('Improve text cancelled by user');
+}
+
+/**
+ * Shows (or updates) the overlay with the improved text generated so far.
+ * @param {string} text - The text streamed so far.
+ */
+function updateStreamingOverlay(text) {
+  if (currentOverlay && currentOverlay.dataset.streaming === 'true') {
+    currentOverlay.querySelector('p').textContent = text;
+    return;
+  }
+  showOverlayNearSelection(window.getSelection(), text, { streaming: true });
+}
+
+function showOverlayNearSelection(selection, improvedText, options = {}) {
   removeOverlay(); // Remove existing overlay
   if (!selection || selection.rangeCount === 0) return;
 
@@ -1744,7 +2855,13 @@ function showOverlayNearSelection(selection, improvedText) {
   });
 
   currentOverlay.appendChild(textElement);
-  currentOverlay.appendChild(copyButton);
+  if (options.streaming) {
+    // No copy action until the text is complete
+    currentOverlay.dataset.streaming = 'true';
+    currentOverlay.setAttribute('aria-live', 'polite');
+  } else {
+    currentOverlay.appendChild(copyButton);
+  }
   document.body.appendChild(currentOverlay);
 
   // Dismissal logic
@@ -1,12 +1,45 @@
-import { getSettings, setSettings } from '../utils/storage.js';
+import { getSettings, setSettings, getModelCache, getSyncSettingsSize, SYNC_ITEM_MAX_BYTES } from '../utils/storage.js';
+import {
+  canListModels,
+  getProvider,
+  getProviderBaseUrl,
+  listProviders,
+  isProviderConfigured,
+  getProviderConfigError,
+  parseCustomHeaders,
+  parseFallbackList,
+  formatFallbackList
+} from '../utils/providers.js';
+import { getModelCapabilities, parseCapabilityOverrides } from '../utils/capabilities.js';
+import { DEFAULT_VARIANT_TONES, MAX_DRAFT_VARIANTS, parseToneList } from '../utils/variants.js';
+import { DEFAULT_FOOTER_PATTERNS, parseFooterPatterns } from '../utils/context-cleanup.js';
+import { TEMPLATE_PLACEHOLDERS } from '../utils/placeholders.js';
+import { validateTemplate } from '../utils/template.js';
+import { DEFAULT_PROMPT_TEMPLATES, createTemplateId, getPromptTemplates } from '../utils/prompt-library.js';
+import { DEFAULT_QUICK_INTENTS, formatQuickIntents, parseQuickIntents } from '../utils/quick-intents.js';
+import { createRuleId, getReplyRules } from '../utils/reply-rules.js';
 
 // Define defaults directly in options for restore functionality
-const DEFAULT_PROMPT_TEMPLATE = `Write a draft response to the emails below in the context. Keep it simple, respect my tone (informal) and the language of the email chain. Use paragraphs wisely, do not over index on them. User may leave specific instructions within <> notation, those are not part of the email but will give you info about how to redact it. Act on those instructions. Sign with Álvaro when appropriate. \n\nThese are talking points:\n[Bullet_points]\n\nEmail context:\n[Email_context]`;
-const DEFAULT_IMPROVE_PROMPT_TEMPLATE = `Correct typos and improve the message, maintaining the tone and length, keeping in mind the conversation context (if available), and the language of the draft. The selected text to improve is:\n\n[Selected_text]\n\nConversation context (if any):\n[Email_context]`;
+const DEFAULT_IMPROVE_PROMPT_TEMPLATE = `Correct typos and improve the message, maintaining the tone and length, keeping in mind the conversation context (if available), and the language of the draft. The selected text to improve is:\n\n[Selected_text]\n\n[#if Email_context]\nConversation context:\n[Email_context]\n[/if]`;
 const DEFAULT_GENERIC_IMPROVE_PROMPT = `Act as a proofreading expert. Carefully review the following text for spelling mistakes, typos, and minor grammatical errors. Correct any issues you find, but do not change the style or meaning of the original message. Return only the corrected version. Simplify when possible, less is more. Do not end sentences with a "." unless there is one already in the selected text. User may leave specific instructions within <> notation. Act on those instructions. \n\n[Selected_text]`
+const DEFAULT_PROVIDER = 'openai';
+const DEFAULT_AZURE_API_VERSION = '2025-04-01-preview';
+const DEFAULT_MAX_RETRIES = 3;
+const DEFAULT_REQUEST_TIMEOUT_SECONDS = 120;
+const MAX_RETRIES_LIMIT = 5;
+const DEFAULT_MAX_CONTINUATIONS = 2;
+const MAX_CONTINUATIONS_LIMIT = 5;
+const DEFAULT_DRAFT_VARIANTS = 1;
+const REQUEST_TIMEOUT_LIMITS = { min: 5, max: 600 };
 const DEFAULT_COMPOSE_MODEL = 'gpt-5-mini';
 const DEFAULT_GMAIL_IMPROVE_MODEL = 'gpt-5-mini';
 const DEFAULT_GENERAL_IMPROVE_MODEL = 'gpt-5-mini';
+const DEFAULT_COMPOSE_SYSTEM_PROMPT = 'You are an email assistant that helps draft professional, contextually appropriate replies.';
+const DEFAULT_GMAIL_IMPROVE_SYSTEM_PROMPT = 'You are an email assistant that polishes drafts while keeping the author\'s voice. Return only the improved text.';
+const DEFAULT_GENERAL_IMPROVE_SYSTEM_PROMPT = 'You are a proofreading assistant. Return only the corrected text, without comments.';
+const DEFAULT_COMPOSE_MAX_OUTPUT_TOKENS = 2000;
+const DEFAULT_IMPROVE_MAX_OUTPUT_TOKENS = 1000;
+const MAX_OUTPUT_TOKENS_LIMIT = 128000;
 const DEFAULT_COMPOSE_EFFORT = 'minimal';
 const DEFAULT_IMPROVE_EFFORT = 'minimal';
 const DEFAULT_GENERAL_IMPROVE_EFFORT = 'minimal';
@@ -14,17 +47,600 @@ const DEFAULT_GENERAL_IMPROVE_EFFORT = 'minimal';
 // DOM Elements
 const form = document.getElementById('settings-form');
 const apiKeyInput = document.getElementById('api-key');
-const composeModelSelect = document.getElementById('compose-model');
-const gmailImproveModelSelect = document.getElementById('gmail-improve-model');
-const generalImproveModelSelect = document.getElementById('general-improve-model');
+const anthropicApiKeyInput = document.getElementById('anthropic-api-key');
+const openaiBaseUrlInput = document.getElementById('openai-base-url');
+const openaiHeadersTextarea = document.getElementById('openai-headers');
+const openaiNoApiKeyCheckbox = document.getElementById('openai-no-api-key');
+const anthropicBaseUrlInput = document.getElementById('anthropic-base-url');
+const anthropicHeadersTextarea = document.getElementById('anthropic-headers');
+const anthropicNoApiKeyCheckbox = document.getElementById('anthropic-no-api-key');
+const azureApiKeyInput = document.getElementById('azure-api-key');
+const azureResourceNameInput = document.getElementById('azure-resource-name');
+const azureApiVersionInput = document.getElementById('azure-api-version');
+const azureHeadersTextarea = document.getElementById('azure-headers');
+const maxRetriesInput = document.getElementById('max-retries');
+const maxContinuationsInput = document.getElementById('max-continuations');
+const draftVariantsInput = document.getElementById('draft-variants');
+const draftVariantTonesTextarea = document.getElementById('draft-variant-tones');
+const cleanEmailContextCheckbox = document.getElementById('clean-email-context');
+const contextFooterPatternsTextarea = document.getElementById('context-footer-patterns');
+const requestTimeoutInput = document.getElementById('request-timeout');
+const modelCapabilitiesTextarea = document.getElementById('model-capabilities');
+const composeDeploymentInput = document.getElementById('compose-deployment');
+const gmailImproveDeploymentInput = document.getElementById('gmail-improve-deployment');
+const generalImproveDeploymentInput = document.getElementById('general-improve-deployment');
+const composeProviderSelect = document.getElementById('compose-provider');
+const gmailImproveProviderSelect = document.getElementById('gmail-improve-provider');
+const generalImproveProviderSelect = document.getElementById('general-improve-provider');
+const composeModelInput = document.getElementById('compose-model');
+const gmailImproveModelInput = document.getElementById('gmail-improve-model');
+const generalImproveModelInput = document.getElementById('general-improve-model');
 const composeEffortSelect = document.getElementById('compose-effort');
 const improveEffortSelect = document.getElementById('improve-effort');
 const generalImproveEffortSelect = document.getElementById('general-improve-effort');
-const promptTemplateTextarea = document.getElementById('prompt-template');
+const composeTemperatureInput = document.getElementById('compose-temperature');
+const gmailImproveTemperatureInput = document.getElementById('gmail-improve-temperature');
+const generalImproveTemperatureInput = document.getElementById('general-improve-temperature');
+const composeTopPInput = document.getElementById('compose-top-p');
+const gmailImproveTopPInput = document.getElementById('gmail-improve-top-p');
+const generalImproveTopPInput = document.getElementById('general-improve-top-p');
+const composeFallbacksTextarea = document.getElementById('compose-fallbacks');
+const gmailImproveFallbacksTextarea = document.getElementById('gmail-improve-fallbacks');
+const generalImproveFallbacksTextarea = document.getElementById('general-improve-fallbacks');
+const promptTemplateList = document.getElementById('prompt-templates');
+const promptTemplateItem = document.getElementById('prompt-template-item');
+const addPromptTemplateButton = document.getElementById('add-prompt-template');
+const replyRuleList = document.getElementById('reply-rules');
+const replyRuleItem = document.getElementById('reply-rule-item');
+const addReplyRuleButton = document.getElementById('add-reply-rule');
+const defaultReplyToneSelect = document.getElementById('default-reply-tone');
+const defaultReplyLengthSelect = document.getElementById('default-reply-length');
+const quickIntentsTextarea = document.getElementById('quick-intents');
+const profileNameInput = document.getElementById('profile-name');
+const profileRoleInput = document.getElementById('profile-role');
+const profileCompanyInput = document.getElementById('profile-company');
+const profileSignOffInput = document.getElementById('profile-sign-off');
+const profileLanguagesInput = document.getElementById('profile-languages');
 const improvePromptTemplateTextarea = document.getElementById('improve-prompt-template');
 const genericImprovePromptTextarea = document.getElementById('generic-improve-prompt');
 const restoreButton = document.getElementById('restore-defaults');
 const statusMessageDiv = document.getElementById('status-message');
+const refreshModelsButtons = document.querySelectorAll('.refresh-models');
+
+// Model lists fetched with "Refresh models", by provider id (see getModelCache)
+let modelCache = {};
+
+// Each feature's provider select drives the suggestions of its model input
+// (or, for Azure, swaps the model input for a deployment name input)
+const featureSelects = [
+  {
+    label: 'Compose',
+    providerSelect: composeProviderSelect,
+    modelInput: composeModelInput,
+    deploymentInput: composeDeploymentInput,
+    effortSelect: composeEffortSelect,
+    systemPromptTextarea: document.getElementById('compose-system-prompt'),
+    maxOutputTokensInput: document.getElementById('compose-max-output-tokens'),
+    defaults: { systemPrompt: DEFAULT_COMPOSE_SYSTEM_PROMPT, maxOutputTokens: DEFAULT_COMPOSE_MAX_OUTPUT_TOKENS },
+    temperatureInput: composeTemperatureInput,
+    topPInput: composeTopPInput,
+    fallbacksTextarea: composeFallbacksTextarea
+  },
+  {
+    label: 'Gmail Improve',
+    providerSelect: gmailImproveProviderSelect,
+    modelInput: gmailImproveModelInput,
+    deploymentInput: gmailImproveDeploymentInput,
+    effortSelect: improveEffortSelect,
+    systemPromptTextarea: document.getElementById('gmail-improve-system-prompt'),
+    maxOutputTokensInput: document.getElementById('gmail-improve-max-output-tokens'),
+    defaults: { systemPrompt: DEFAULT_GMAIL_IMPROVE_SYSTEM_PROMPT, maxOutputTokens: DEFAULT_IMPROVE_MAX_OUTPUT_TOKENS },
+    temperatureInput: gmailImproveTemperatureInput,
+    topPInput: gmailImproveTopPInput,
+    fallbacksTextarea: gmailImproveFallbacksTextarea
+  },
+  {
+    label: 'General Improve',
+    providerSelect: generalImproveProviderSelect,
+    modelInput: generalImproveModelInput,
+    deploymentInput: generalImproveDeploymentInput,
+    effortSelect: generalImproveEffortSelect,
+    systemPromptTextarea: document.getElementById('general-improve-system-prompt'),
+    maxOutputTokensInput: document.getElementById('general-improve-max-output-tokens'),
+    defaults: { systemPrompt: DEFAULT_GENERAL_IMPROVE_SYSTEM_PROMPT, maxOutputTokens: DEFAULT_IMPROVE_MAX_OUTPUT_TOKENS },
+    temperatureInput: generalImproveTemperatureInput,
+    topPInput: generalImproveTopPInput,
+    fallbacksTextarea: generalImproveFallbacksTextarea
+  }
+];
+
+/**
+ * Shows either the model input or the deployment input, depending on the provider.
+ * @param {object} featureSelect - An entry of featureSelects.
+ */
+function updateModelFieldVisibility({ providerSelect, modelInput, deploymentInput }) {
+  const usesDeployment = getProvider(providerSelect.value).modelSetting === 'azureDeployment';
+  modelInput.closest('.form-group').hidden = usesDeployment;
+  deploymentInput.closest('.form-group').hidden = !usesDeployment;
+}
+
+/**
+ * Fills a provider select with all registered providers.
+ * @param {HTMLSelectElement} select - The provider select element.
+ */
+function populateProviderSelect(select) {
+  select.innerHTML = '';
+  listProviders().forEach(provider => {
+    select.appendChild(new Option(provider.label, provider.id));
+  });
+}
+
+/**
+ * Reads the provider endpoint and credential fields from the form.
+ * @returns {object} - The provider settings as they would be saved.
+ */
+function getProviderFormSettings() {
+  return {
+    apiKey: apiKeyInput.value.trim(),
+    anthropicApiKey: anthropicApiKeyInput.value.trim(),
+    openaiBaseUrl: openaiBaseUrlInput.value.trim(),
+    openaiHeaders: openaiHeadersTextarea.value.trim(),
+    openaiNoApiKey: openaiNoApiKeyCheckbox.checked,
+    anthropicBaseUrl: anthropicBaseUrlInput.value.trim(),
+    anthropicHeaders: anthropicHeadersTextarea.value.trim(),
+    anthropicNoApiKey: anthropicNoApiKeyCheckbox.checked,
+    azureApiKey: azureApiKeyInput.value.trim(),
+    azureResourceName: azureResourceNameInput.value.trim(),
+    azureApiVersion: azureApiVersionInput.value.trim() || DEFAULT_AZURE_API_VERSION,
+    azureHeaders: azureHeadersTextarea.value.trim()
+  };
+}
+
+/**
+ * Returns the fetched model list of a provider, if it was fetched from the endpoint
+ * currently entered in the form.
+ * @param {object} provider - The provider definition.
+ * @returns {string[]|null} - Model ids, or null if there is no usable cached list.
+ */
+function getCachedModels(provider) {
+  const entry = modelCache[provider.id];
+  if (!entry || entry.baseUrl !== getProviderBaseUrl(provider, getProviderFormSettings())) return null;
+  return entry.models;
+}
+
+/**
+ * Fills the suggestions of a model input with the provider's fetched model list, or its
+ * built-in list if none was fetched. Any model id can still be typed in.
+ * @param {HTMLInputElement} input - The model input (its datalist is filled).
+ * @param {string} providerId - The selected provider id.
+ * @param {string} [selectedModel] - The model to show, defaults to the provider's first model.
+ */
+function populateModelInput(input, providerId, selectedModel) {
+  const provider = getProvider(providerId);
+  const cachedModels = getCachedModels(provider);
+  const datalist = input.list;
+  datalist.innerHTML = '';
+  if (cachedModels) {
+    cachedModels.forEach(id => {
+      const knownModel = provider.models.find(model => model.id === id);
+      datalist.appendChild(new Option(knownModel ? knownModel.label : id, id));
+    });
+  } else {
+    provider.models.forEach(model => {
+      datalist.appendChild(new Option(model.label, model.id));
+    });
+  }
+  input.value = selectedModel || provider.models[0]?.id || cachedModels?.[0] || '';
+  updateModelWarning(input, providerId);
+  const featureSelect = featureSelects.find(entry => entry.modelInput === input);
+  if (featureSelect) updateCapabilityNotes(featureSelect);
+}
+
+/**
+ * Flags a model that is missing from the provider's fetched model list.
+ * Without a fetched list nothing is flagged: the built-in list is not exhaustive.
+ * @param {HTMLInputElement} input - The model input.
+ * @param {string} providerId - The selected provider id.
+ */
+function updateModelWarning(input, providerId) {
+  const warning = input.closest('.form-group').querySelector('.model-warning');
+  const provider = getProvider(providerId);
+  const cachedModels = getCachedModels(provider);
+  const model = input.value.trim();
+  const missing = !!cachedModels && !!model && !cachedModels.includes(model);
+  warning.hidden = !missing;
+  warning.textContent = missing
+    ? `Not in the latest ${provider.label} model list. It may have been retired or renamed.`
+    : '';
+}
+
+/**
+ * Disables the effort, temperature and top P fields a feature's model does not support,
+ * using the capability table plus the overrides currently being edited.
+ * Values are kept, as they apply again if the model is changed back.
+ * @param {object} featureSelect - An entry of featureSelects.
+ */
+function updateCapabilityNotes({ providerSelect, modelInput, deploymentInput, effortSelect, temperatureInput, topPInput }) {
+  const provider = getProvider(providerSelect.value);
+  const model = (provider.modelSetting === 'azureDeployment' ? deploymentInput.value : modelInput.value).trim();
+  let overrides = {};
+  try {
+    overrides = parseCapabilityOverrides(modelCapabilitiesTextarea.value);
+  } catch {
+    // Reported on save; use the built-in table meanwhile
+  }
+  const capabilities = getModelCapabilities(provider.id, model, overrides);
+  [
+    [effortSelect, capabilities.reasoning],
+    [temperatureInput, capabilities.temperature],
+    [topPInput, capabilities.topP]
+  ].forEach(([field, supported]) => {
+    const note = field.closest('.form-group').querySelector('.capability-note');
+    field.disabled = !supported;
+    note.hidden = supported;
+    note.textContent = supported ? '' : `Not supported by ${model || 'this model'}; not sent.`;
+  });
+}
+
+/**
+ * Reads an optional number field.
+ * @param {HTMLInputElement} input - A number input.
+ * @returns {number|null} - The number, or null if the field is empty.
+ */
+function readOptionalNumber(input) {
+  return input.value.trim() === '' ? null : Number(input.value);
+}
+
+/**
+ * Checks the draft variant count and the per-feature output token limit, temperature and top P values.
+ * @param {object} settings - The settings about to be saved.
+ * @returns {string|null} - An error message, or null if all are valid.
+ */
+function validateGenerationSettings(settings) {
+  if (!Number.isInteger(settings.draftVariants) || settings.draftVariants < 1 || settings.draftVariants > MAX_DRAFT_VARIANTS) {
+    return `Draft variants must be a whole number between 1 and ${MAX_DRAFT_VARIANTS}.`;
+  }
+  for (const { label, temperatureInput, topPInput, maxOutputTokensInput } of featureSelects) {
+    const maxOutputTokens = settings[maxOutputTokensInput.name];
+    if (!Number.isInteger(maxOutputTokens) || maxOutputTokens < 1 || maxOutputTokens > MAX_OUTPUT_TOKENS_LIMIT) {
+      return `${label} max output tokens must be a whole number between 1 and ${MAX_OUTPUT_TOKENS_LIMIT}.`;
+    }
+    const temperature = settings[temperatureInput.name];
+    const topP = settings[topPInput.name];
+    if (temperature !== null && !(temperature >= 0 && temperature <= 2)) {
+      return `${label} temperature must be between 0 and 2.`;
+    }
+    if (topP !== null && !(topP >= 0 && topP <= 1)) {
+      return `${label} top P must be between 0 and 1.`;
+    }
+  }
+  return null;
+}
+
+// Improve prompt template settings, with the section they are edited in
+const PROMPT_TEMPLATE_LABELS = {
+  improvePromptTemplate: 'Gmail Text Improver',
+  genericImprovePromptTemplate: 'General Typo Catcher'
+};
+
+/**
+ * Checks the prompt templates: [#if] blocks, unknown placeholders (such as a
+ * mistyped [Bullet_Points]) and required ones that are missing. Reply templates
+ * also need a unique name.
+ * @param {object} settings - The settings about to be saved.
+ * @returns {string|null} - An error message, or null if the templates are valid.
+ */
+function validatePromptTemplates(settings) {
+  const names = new Set();
+  for (const { name, template } of settings.promptTemplates) {
+    if (!name) return 'Every reply template needs a name.';
+    if (names.has(name.toLowerCase())) return `There are two reply templates named "${name}".`;
+    names.add(name.toLowerCase());
+    const problems = validateTemplate(template, TEMPLATE_PLACEHOLDERS.promptTemplates);
+    if (problems.length > 0) return `Reply template "${name}": ${problems.join(' ')}`;
+  }
+  for (const [key, label] of Object.entries(PROMPT_TEMPLATE_LABELS)) {
+    const problems = validateTemplate(settings[key], TEMPLATE_PLACEHOLDERS[key]);
+    if (problems.length > 0) return `${label} prompt: ${problems.join(' ')}`;
+  }
+  return null;
+}
+
+/**
+ * Adds a reply template to the library editor (see the #prompt-template-item template).
+ * @param {{id: string, name: string, template: string, model: string, reasoningEffort: string}} template
+ */
+function addPromptTemplateItem(template) {
+  const item = promptTemplateItem.content.firstElementChild.cloneNode(true);
+  item.dataset.id = template.id;
+  item.querySelectorAll('[data-field]').forEach(field => {
+    field.value = template[field.dataset.field] ?? '';
+    field.id = `${template.id}-${field.dataset.field}`;
+  });
+  item.querySelectorAll('label[data-for]').forEach(label => {
+    label.htmlFor = `${template.id}-${label.dataset.for}`;
+  });
+  item.querySelector('[data-action="up"]').addEventListener('click', () => {
+    item.previousElementSibling?.before(item);
+    updatePromptTemplateItems();
+  });
+  item.querySelector('[data-action="down"]').addEventListener('click', () => {
+    item.nextElementSibling?.after(item);
+    updatePromptTemplateItems();
+  });
+  item.querySelector('[data-action="remove"]').addEventListener('click', () => {
+    item.remove();
+    updatePromptTemplateItems();
+  });
+  promptTemplateList.appendChild(item);
+}
+
+/**
+ * Fills the library editor with a list of reply templates.
+ * @param {object[]} templates - From getPromptTemplates.
+ */
+function renderPromptTemplates(templates) {
+  promptTemplateList.innerHTML = '';
+  templates.forEach(addPromptTemplateItem);
+  updatePromptTemplateItems();
+}
+
+/**
+ * Labels the default (first) template and enables the move and remove buttons
+ * that apply: the library always keeps one template.
+ */
+function updatePromptTemplateItems() {
+  const items = Array.from(promptTemplateList.children);
+  items.forEach((item, index) => {
+    item.querySelector('legend').textContent = index === 0 ? 'Default template' : `Template ${index + 1}`;
+    item.querySelector('[data-action="up"]').disabled = index === 0;
+    item.querySelector('[data-action="down"]').disabled = index === items.length - 1;
+    item.querySelector('[data-action="remove"]').disabled = items.length === 1;
+  });
+  updateReplyRuleTemplates();
+}
+
+/**
+ * Reads the reply templates from the library editor, in order.
+ * @returns {{id: string, name: string, template: string, model: string, reasoningEffort: string}[]}
+ */
+function readPromptTemplates() {
+  return Array.from(promptTemplateList.children).map(item => {
+    const value = (field) => item.querySelector(`[data-field="${field}"]`).value;
+    return {
+      id: item.dataset.id,
+      name: value('name').trim(),
+      template: value('template'),
+      model: value('model').trim(),
+      reasoningEffort: value('reasoningEffort')
+    };
+  });
+}
+
+/**
+ * Checks the reply rules: each needs a name and something to apply.
+ * @param {object} settings - The settings about to be saved.
+ * @returns {string|null} - An error message, or null if the rules are valid.
+ */
+function validateReplyRules(settings) {
+  for (const rule of settings.replyRules) {
+    if (!rule.name) return 'Every reply rule needs a name.';
+    if (!rule.templateId && !rule.tone && !rule.model && !rule.reasoningEffort) {
+      return `Reply rule "${rule.name}" does not set a template, tone, model or reasoning effort.`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Adds a rule to the reply rule editor (see the #reply-rule-item template).
+ * @param {{id: string, name: string, sender: string, subject: string, recipients: string,
+ *   templateId: string, tone: string, model: string, reasoningEffort: string}} rule
+ */
+function addReplyRuleItem(rule) {
+  const item = replyRuleItem.content.firstElementChild.cloneNode(true);
+  item.dataset.id = rule.id;
+  // The template options are added by updateReplyRuleTemplates
+  item.querySelector('[data-field="templateId"]').dataset.value = rule.templateId;
+  item.querySelectorAll('[data-field]').forEach(field => {
+    field.value = rule[field.dataset.field] ?? '';
+    field.id = `${rule.id}-${field.dataset.field}`;
+  });
+  item.querySelectorAll('label[data-for]').forEach(label => {
+    label.htmlFor = `${rule.id}-${label.dataset.for}`;
+  });
+  item.querySelector('[data-action="up"]').addEventListener('click', () => {
+    item.previousElementSibling?.before(item);
+    updateReplyRuleItems();
+  });
+  item.querySelector('[data-action="down"]').addEventListener('click', () => {
+    item.nextElementSibling?.after(item);
+    updateReplyRuleItems();
+  });
+  item.querySelector('[data-action="remove"]').addEventListener('click', () => {
+    item.remove();
+    updateReplyRuleItems();
+  });
+  replyRuleList.appendChild(item);
+}
+
+/**
+ * Fills the reply rule editor with a list of rules.
+ * @param {object[]} rules - From getReplyRules.
+ */
+function renderReplyRules(rules) {
+  replyRuleList.innerHTML = '';
+  rules.forEach(addReplyRuleItem);
+  updateReplyRuleItems();
+}
+
+/**
+ * Numbers the rules (the first match wins) and enables the move buttons that apply.
+ */
+function updateReplyRuleItems() {
+  const items = Array.from(replyRuleList.children);
+  items.forEach((item, index) => {
+    item.querySelector('legend').textContent = `Rule ${index + 1}`;
+    item.querySelector('[data-action="up"]').disabled = index === 0;
+    item.querySelector('[data-action="down"]').disabled = index === items.length - 1;
+  });
+  updateReplyRuleTemplates();
+}
+
+/**
+ * Lists the reply templates being edited in each rule's template dropdown. A rule
+ * whose template was removed falls back to the one picked in the modal.
+ */
+function updateReplyRuleTemplates() {
+  const templates = readPromptTemplates();
+  replyRuleList.querySelectorAll('select[data-field="templateId"]').forEach(select => {
+    const value = select.dataset.value ?? select.value;
+    delete select.dataset.value;
+    select.innerHTML = '';
+    select.appendChild(new Option('Template picked in the modal', ''));
+    templates.forEach(({ id, name }, index) => select.appendChild(new Option(name || `Template ${index + 1}`, id)));
+    select.value = templates.some(({ id }) => id === value) ? value : '';
+  });
+}
+
+/**
+ * Reads the reply rules from the rule editor, in order.
+ * @returns {{id: string, name: string, sender: string, subject: string, recipients: string,
+ *   templateId: string, tone: string, model: string, reasoningEffort: string}[]}
+ */
+function readReplyRules() {
+  return Array.from(replyRuleList.children).map(item => {
+    const value = (field) => item.querySelector(`[data-field="${field}"]`).value;
+    return {
+      id: item.dataset.id,
+      name: value('name').trim(),
+      sender: value('sender').trim(),
+      subject: value('subject').trim(),
+      recipients: value('recipients').trim(),
+      templateId: value('templateId'),
+      tone: value('tone'),
+      model: value('model').trim(),
+      reasoningEffort: value('reasoningEffort')
+    };
+  });
+}
+
+/**
+ * Shows how many models were fetched for a provider and when.
+ * @param {string} providerId - The provider id.
+ */
+function updateModelsStatus(providerId) {
+  const status = document.querySelector(`.models-status[data-provider="${providerId}"]`);
+  if (!status) return;
+  const entry = modelCache[providerId];
+  status.textContent = getCachedModels(getProvider(providerId))
+    ? `${entry.models.length} models, fetched ${new Date(entry.fetchedAt).toLocaleString()}.`
+    : 'Using the built-in model list.';
+}
+
+/**
+ * Re-fills every model input after the model cache or an endpoint changed,
+ * keeping the entered models.
+ */
+function refreshModelInputs() {
+  featureSelects.forEach(({ providerSelect, modelInput }) => {
+    populateModelInput(modelInput, providerSelect.value, modelInput.value.trim());
+  });
+  listProviders().filter(canListModels).forEach(provider => updateModelsStatus(provider.id));
+}
+
+/**
+ * Asks the background script to fetch a provider's current model list (using the
+ * credentials entered in the form, saved or not) and refreshes the model inputs.
+ * @param {HTMLButtonElement} button - The clicked "Refresh models" button.
+ */
+async function refreshModels(button) {
+  const providerId = button.dataset.provider;
+  const provider = getProvider(providerId);
+  button.disabled = true;
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'LIST_MODELS',
+      provider: providerId,
+      settings: getProviderFormSettings()
+    });
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'No response from the background script.');
+    }
+    modelCache = await getModelCache();
+    refreshModelInputs();
+    displayStatus(`Loaded ${response.models.length} ${provider.label} models.`);
+  } catch (error) {
+    console.error('Error refreshing models:', error);
+    displayStatus(error.message, true);
+  } finally {
+    button.disabled = false;
+  }
+}
+
+/**
+ * Validates endpoint overrides and credentials of the providers.
+ * @param {object} settings - The settings about to be saved.
+ * @returns {string|null} - An error message, or null if everything is valid.
+ */
+function validateProviderSettings(settings) {
+  for (const provider of listProviders()) {
+    const baseUrl = provider.settingKeys.baseUrl && settings[provider.settingKeys.baseUrl];
+    if (baseUrl) {
+      let url = null;
+      try { url = new URL(baseUrl); } catch { /* handled below */ }
+      if (!url || !/^https?:$/.test(url.protocol)) {
+        return `${provider.label} base URL must be a valid http(s) URL.`;
+      }
+    }
+    try {
+      parseCustomHeaders(settings[provider.settingKeys.headers]);
+    } catch (error) {
+      return `${provider.label} extra headers: ${error.message}`;
+    }
+  }
+
+  // Every provider selected by a feature needs its API key (unless marked as not required)
+  const missingKeys = [...new Set(featureSelects.map(({ providerSelect }) => providerSelect.value))]
+    .map(getProvider)
+    .filter(provider => !isProviderConfigured(provider, settings))
+    .map(provider => provider.label);
+  if (missingKeys.length > 0) {
+    return `Please enter an API key for: ${missingKeys.join(', ')}.`;
+  }
+
+  for (const { label, providerSelect, modelInput, deploymentInput } of featureSelects) {
+    const provider = getProvider(providerSelect.value);
+    const configError = getProviderConfigError(provider, settings);
+    if (configError) return configError;
+    if (provider.modelSetting === 'azureDeployment') {
+      if (!deploymentInput.value.trim()) return `Please enter the ${label} deployment name.`;
+    } else if (!modelInput.value.trim()) {
+      return `Please enter the ${label} model.`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Checks the retry count, request timeout and continuation limit.
+ * @param {object} settings - The settings about to be saved.
+ * @returns {string|null} - An error message, or null if all are valid.
+ */
+function validateNetworkSettings(settings) {
+  if (!Number.isInteger(settings.maxRetries) || settings.maxRetries < 0 || settings.maxRetries > MAX_RETRIES_LIMIT) {
+    return `Retries must be a whole number between 0 and ${MAX_RETRIES_LIMIT}.`;
+  }
+  if (!Number.isInteger(settings.maxContinuations) || settings.maxContinuations < 0 || settings.maxContinuations > MAX_CONTINUATIONS_LIMIT) {
+    return `Continuation requests must be a whole number between 0 and ${MAX_CONTINUATIONS_LIMIT}.`;
+  }
+  if (!Number.isFinite(settings.requestTimeoutSeconds)
+    || settings.requestTimeoutSeconds < REQUEST_TIMEOUT_LIMITS.min
+    || settings.requestTimeoutSeconds > REQUEST_TIMEOUT_LIMITS.max) {
+    return `Request timeout must be between ${REQUEST_TIMEOUT_LIMITS.min} and ${REQUEST_TIMEOUT_LIMITS.max} seconds.`;
+  }
+  return null;
+}
 
 /**
  * Loads settings and populates the form.
@@ -33,16 +649,65 @@ async function loadSettings() {
   console.log('Loading settings...');
   try {
     const settings = await getSettings();
+    modelCache = await getModelCache();
     apiKeyInput.value = settings.apiKey ?? '';
-    composeModelSelect.value = settings.composeModel ?? DEFAULT_COMPOSE_MODEL;
-    gmailImproveModelSelect.value = settings.gmailImproveModel ?? DEFAULT_GMAIL_IMPROVE_MODEL;
-    generalImproveModelSelect.value = settings.generalImproveModel ?? DEFAULT_GENERAL_IMPROVE_MODEL;
-    promptTemplateTextarea.value = settings.promptTemplate ?? DEFAULT_PROMPT_TEMPLATE;
+    anthropicApiKeyInput.value = settings.anthropicApiKey ?? '';
+    openaiBaseUrlInput.value = settings.openaiBaseUrl ?? '';
+    openaiHeadersTextarea.value = settings.openaiHeaders ?? '';
+    openaiNoApiKeyCheckbox.checked = !!settings.openaiNoApiKey;
+    anthropicBaseUrlInput.value = settings.anthropicBaseUrl ?? '';
+    anthropicHeadersTextarea.value = settings.anthropicHeaders ?? '';
+    anthropicNoApiKeyCheckbox.checked = !!settings.anthropicNoApiKey;
+    azureApiKeyInput.value = settings.azureApiKey ?? '';
+    azureResourceNameInput.value = settings.azureResourceName ?? '';
+    azureApiVersionInput.value = settings.azureApiVersion ?? DEFAULT_AZURE_API_VERSION;
+    azureHeadersTextarea.value = settings.azureHeaders ?? '';
+    maxRetriesInput.value = settings.maxRetries ?? DEFAULT_MAX_RETRIES;
+    maxContinuationsInput.value = settings.maxContinuations ?? DEFAULT_MAX_CONTINUATIONS;
+    draftVariantsInput.value = settings.draftVariants ?? DEFAULT_DRAFT_VARIANTS;
+    draftVariantTonesTextarea.value = (settings.draftVariantTones ?? DEFAULT_VARIANT_TONES).join('\n');
+    cleanEmailContextCheckbox.checked = settings.cleanEmailContext !== false;
+    contextFooterPatternsTextarea.value = (settings.contextFooterPatterns ?? DEFAULT_FOOTER_PATTERNS).join('\n');
+    requestTimeoutInput.value = settings.requestTimeoutSeconds ?? DEFAULT_REQUEST_TIMEOUT_SECONDS;
+    modelCapabilitiesTextarea.value = Object.keys(settings.modelCapabilities || {}).length > 0
+      ? JSON.stringify(settings.modelCapabilities, null, 2)
+      : '';
+    composeDeploymentInput.value = settings.composeAzureDeployment ?? '';
+    gmailImproveDeploymentInput.value = settings.gmailImproveAzureDeployment ?? '';
+    generalImproveDeploymentInput.value = settings.generalImproveAzureDeployment ?? '';
+    composeProviderSelect.value = settings.composeProvider ?? DEFAULT_PROVIDER;
+    gmailImproveProviderSelect.value = settings.gmailImproveProvider ?? DEFAULT_PROVIDER;
+    generalImproveProviderSelect.value = settings.generalImproveProvider ?? DEFAULT_PROVIDER;
+    populateModelInput(composeModelInput, composeProviderSelect.value, settings.composeModel ?? DEFAULT_COMPOSE_MODEL);
+    populateModelInput(gmailImproveModelInput, gmailImproveProviderSelect.value, settings.gmailImproveModel ?? DEFAULT_GMAIL_IMPROVE_MODEL);
+    populateModelInput(generalImproveModelInput, generalImproveProviderSelect.value, settings.generalImproveModel ?? DEFAULT_GENERAL_IMPROVE_MODEL);
+    featureSelects.forEach(updateModelFieldVisibility);
+    listProviders().filter(canListModels).forEach(provider => updateModelsStatus(provider.id));
+    renderPromptTemplates(getPromptTemplates(settings));
+    renderReplyRules(getReplyRules(settings));
+    defaultReplyToneSelect.value = settings.defaultReplyTone ?? '';
+    defaultReplyLengthSelect.value = settings.defaultReplyLength ?? '';
+    quickIntentsTextarea.value = formatQuickIntents(settings.quickIntents ?? DEFAULT_QUICK_INTENTS);
+    profileNameInput.value = settings.profileName || '';
+    profileRoleInput.value = settings.profileRole || '';
+    profileCompanyInput.value = settings.profileCompany || '';
+    profileSignOffInput.value = settings.profileSignOff || '';
+    profileLanguagesInput.value = settings.profileLanguages || '';
     improvePromptTemplateTextarea.value = settings.improvePromptTemplate ?? DEFAULT_IMPROVE_PROMPT_TEMPLATE;
     genericImprovePromptTextarea.value = settings.genericImprovePromptTemplate ?? DEFAULT_GENERIC_IMPROVE_PROMPT;
     composeEffortSelect.value = settings.composeReasoningEffort ?? DEFAULT_COMPOSE_EFFORT;
     improveEffortSelect.value = settings.improveReasoningEffort ?? DEFAULT_IMPROVE_EFFORT;
     generalImproveEffortSelect.value = settings.generalImproveEffort ?? DEFAULT_GENERAL_IMPROVE_EFFORT;
+    featureSelects.forEach(({ temperatureInput, topPInput, systemPromptTextarea, maxOutputTokensInput, defaults }) => {
+      temperatureInput.value = settings[temperatureInput.name] ?? '';
+      topPInput.value = settings[topPInput.name] ?? '';
+      systemPromptTextarea.value = settings[systemPromptTextarea.name] ?? defaults.systemPrompt;
+      maxOutputTokensInput.value = settings[maxOutputTokensInput.name] ?? defaults.maxOutputTokens;
+    });
+    featureSelects.forEach(updateCapabilityNotes);
+    composeFallbacksTextarea.value = formatFallbackList(settings.composeFallbacks);
+    gmailImproveFallbacksTextarea.value = formatFallbackList(settings.gmailImproveFallbacks);
+    generalImproveFallbacksTextarea.value = formatFallbackList(settings.generalImproveFallbacks);
     console.log('Settings loaded into form.');
   } catch (error) {
     console.error('Error loading settings into form:', error);
@@ -58,20 +723,105 @@ async function saveSettings(event) {
   event.preventDefault(); // Prevent default form submission
   console.log('Saving settings...');
 
+  // Fallback lists are edited as text and stored as { provider, model } arrays
+  const fallbacks = {};
+  for (const { label, fallbacksTextarea } of featureSelects) {
+    try {
+      fallbacks[fallbacksTextarea.name] = parseFallbackList(fallbacksTextarea.value);
+    } catch (error) {
+      displayStatus(`${label} fallback models: ${error.message}`, true);
+      return;
+    }
+  }
+
+  let modelCapabilities;
+  try {
+    modelCapabilities = parseCapabilityOverrides(modelCapabilitiesTextarea.value);
+  } catch (error) {
+    displayStatus(`Model capabilities: ${error.message}`, true);
+    return;
+  }
+
+  let contextFooterPatterns;
+  try {
+    contextFooterPatterns = parseFooterPatterns(contextFooterPatternsTextarea.value);
+  } catch (error) {
+    displayStatus(`Footer patterns: ${error.message}`, true);
+    return;
+  }
+
+  let quickIntents;
+  try {
+    quickIntents = parseQuickIntents(quickIntentsTextarea.value);
+  } catch (error) {
+    displayStatus(`Quick replies: ${error.message}`, true);
+    return;
+  }
+
+  const generation = {};
+  featureSelects.forEach(({ temperatureInput, topPInput, systemPromptTextarea, maxOutputTokensInput, defaults }) => {
+    generation[temperatureInput.name] = readOptionalNumber(temperatureInput);
+    generation[topPInput.name] = readOptionalNumber(topPInput);
+    generation[systemPromptTextarea.name] = systemPromptTextarea.value.trim();
+    generation[maxOutputTokensInput.name] = readOptionalNumber(maxOutputTokensInput) ?? defaults.maxOutputTokens;
+  });
+
   const newSettings = {
-    apiKey: apiKeyInput.value.trim(),
-    composeModel: composeModelSelect.value,
-    gmailImproveModel: gmailImproveModelSelect.value,
-    generalImproveModel: generalImproveModelSelect.value,
-    promptTemplate: promptTemplateTextarea.value,
+    ...getProviderFormSettings(),
+    modelCapabilities,
+    maxRetries: maxRetriesInput.value === '' ? DEFAULT_MAX_RETRIES : Number(maxRetriesInput.value),
+    maxContinuations: maxContinuationsInput.value === '' ? DEFAULT_MAX_CONTINUATIONS : Number(maxContinuationsInput.value),
+    draftVariants: draftVariantsInput.value === '' ? DEFAULT_DRAFT_VARIANTS : Number(draftVariantsInput.value),
+    draftVariantTones: parseToneList(draftVariantTonesTextarea.value),
+    cleanEmailContext: cleanEmailContextCheckbox.checked,
+    contextFooterPatterns,
+    requestTimeoutSeconds: requestTimeoutInput.value === '' ? DEFAULT_REQUEST_TIMEOUT_SECONDS : Number(requestTimeoutInput.value),
+    composeAzureDeployment: composeDeploymentInput.value.trim(),
+    gmailImproveAzureDeployment: gmailImproveDeploymentInput.value.trim(),
+    generalImproveAzureDeployment: generalImproveDeploymentInput.value.trim(),
+    composeProvider: composeProviderSelect.value,
+    gmailImproveProvider: gmailImproveProviderSelect.value,
+    generalImproveProvider: generalImproveProviderSelect.value,
+    composeModel: composeModelInput.value.trim(),
+    gmailImproveModel: gmailImproveModelInput.value.trim(),
+    generalImproveModel: generalImproveModelInput.value.trim(),
+    promptTemplates: readPromptTemplates(),
+    replyRules: readReplyRules(),
+    defaultReplyTone: defaultReplyToneSelect.value,
+    defaultReplyLength: defaultReplyLengthSelect.value,
+    quickIntents,
+    profileName: profileNameInput.value.trim(),
+    profileRole: profileRoleInput.value.trim(),
+    profileCompany: profileCompanyInput.value.trim(),
+    profileSignOff: profileSignOffInput.value.trim(),
+    profileLanguages: profileLanguagesInput.value.trim(),
     improvePromptTemplate: improvePromptTemplateTextarea.value,
     genericImprovePromptTemplate: genericImprovePromptTextarea.value,
     composeReasoningEffort: composeEffortSelect.value,
     improveReasoningEffort: improveEffortSelect.value,
-    generalImproveEffort: generalImproveEffortSelect.value
+    generalImproveEffort: generalImproveEffortSelect.value,
+    ...generation,
+    ...fallbacks
   };
 
+  const validationError = validateProviderSettings(newSettings)
+    || validateNetworkSettings(newSettings)
+    || validateGenerationSettings(newSettings)
+    || validatePromptTemplates(newSettings)
+    || validateReplyRules(newSettings);
+  if (validationError) {
+    displayStatus(validationError, true);
+    return;
+  }
+
   try {
+    // Chrome rejects a sync item over its size limit; the reply templates, rules and
+    // quick replies are stored apart and do not count
+    const size = getSyncSettingsSize({ ...(await getSettings()), ...newSettings });
+    if (size > SYNC_ITEM_MAX_BYTES) {
+      displayStatus(`Settings are too large to sync (${size} of ${SYNC_ITEM_MAX_BYTES} bytes). Shorten the prompts, system prompts, headers or model capability overrides.`, true);
+      return;
+    }
     const success = await setSettings(newSettings);
     if (success) {
       displayStatus('Settings saved successfully!');
@@ -108,16 +858,39 @@ async function saveSettings(event) {
  */
 function restoreDefaults() {
   console.log('Restoring default settings in form...');
-  // We only restore the prompt and model, not the API key
-  composeModelSelect.value = DEFAULT_COMPOSE_MODEL;
-  gmailImproveModelSelect.value = DEFAULT_GMAIL_IMPROVE_MODEL;
-  generalImproveModelSelect.value = DEFAULT_GENERAL_IMPROVE_MODEL;
-  promptTemplateTextarea.value = DEFAULT_PROMPT_TEMPLATE;
+  // We only restore the prompt, provider, model and network settings, not the API keys or the profile
+  composeProviderSelect.value = DEFAULT_PROVIDER;
+  gmailImproveProviderSelect.value = DEFAULT_PROVIDER;
+  generalImproveProviderSelect.value = DEFAULT_PROVIDER;
+  populateModelInput(composeModelInput, DEFAULT_PROVIDER, DEFAULT_COMPOSE_MODEL);
+  populateModelInput(gmailImproveModelInput, DEFAULT_PROVIDER, DEFAULT_GMAIL_IMPROVE_MODEL);
+  populateModelInput(generalImproveModelInput, DEFAULT_PROVIDER, DEFAULT_GENERAL_IMPROVE_MODEL);
+  featureSelects.forEach(updateModelFieldVisibility);
+  renderPromptTemplates(DEFAULT_PROMPT_TEMPLATES);
+  renderReplyRules([]);
+  defaultReplyToneSelect.value = '';
+  defaultReplyLengthSelect.value = '';
+  quickIntentsTextarea.value = formatQuickIntents(DEFAULT_QUICK_INTENTS);
   improvePromptTemplateTextarea.value = DEFAULT_IMPROVE_PROMPT_TEMPLATE;
   genericImprovePromptTextarea.value = DEFAULT_GENERIC_IMPROVE_PROMPT;
   composeEffortSelect.value = DEFAULT_COMPOSE_EFFORT;
   improveEffortSelect.value = DEFAULT_IMPROVE_EFFORT;
   generalImproveEffortSelect.value = DEFAULT_GENERAL_IMPROVE_EFFORT;
+  maxRetriesInput.value = DEFAULT_MAX_RETRIES;
+  maxContinuationsInput.value = DEFAULT_MAX_CONTINUATIONS;
+  draftVariantsInput.value = DEFAULT_DRAFT_VARIANTS;
+  draftVariantTonesTextarea.value = DEFAULT_VARIANT_TONES.join('\n');
+  cleanEmailContextCheckbox.checked = true;
+  contextFooterPatternsTextarea.value = DEFAULT_FOOTER_PATTERNS.join('\n');
+  requestTimeoutInput.value = DEFAULT_REQUEST_TIMEOUT_SECONDS;
+  featureSelects.forEach(({ temperatureInput, topPInput, systemPromptTextarea, maxOutputTokensInput, defaults, fallbacksTextarea }) => {
+    temperatureInput.value = '';
+    topPInput.value = '';
+    systemPromptTextarea.value = defaults.systemPrompt;
+    maxOutputTokensInput.value = defaults.maxOutputTokens;
+    fallbacksTextarea.value = '';
+  });
+  featureSelects.forEach(updateCapabilityNotes);
   displayStatus('Defaults loaded. Click Save to apply.'); 
 }
 
@@ -140,8 +913,45 @@ function displayStatus(message, isError = false) {
 }
 
 // --- Event Listeners ---
+featureSelects.forEach((featureSelect) => {
+  const { providerSelect, modelInput } = featureSelect;
+  populateProviderSelect(providerSelect);
+  providerSelect.addEventListener('change', () => {
+    populateModelInput(modelInput, providerSelect.value);
+    updateModelFieldVisibility(featureSelect);
+  });
+  modelInput.addEventListener('input', () => {
+    updateModelWarning(modelInput, providerSelect.value);
+    updateCapabilityNotes(featureSelect);
+  });
+  featureSelect.deploymentInput.addEventListener('input', () => updateCapabilityNotes(featureSelect));
+});
+modelCapabilitiesTextarea.addEventListener('input', () => featureSelects.forEach(updateCapabilityNotes));
+refreshModelsButtons.forEach(button => {
+  button.addEventListener('click', () => refreshModels(button));
+});
+// A cached model list only applies to the endpoint it was fetched from
+[openaiBaseUrlInput, anthropicBaseUrlInput].forEach(input => input.addEventListener('change', refreshModelInputs));
 document.addEventListener('DOMContentLoaded', loadSettings);
 form.addEventListener('submit', saveSettings);
 restoreButton.addEventListener('click', restoreDefaults);
+addPromptTemplateButton.addEventListener('click', () => {
+  // New templates start from the default prompt
+  const template = { ...DEFAULT_PROMPT_TEMPLATES[0], id: createTemplateId(), name: '' };
+  addPromptTemplateItem(template);
+  updatePromptTemplateItems();
+  document.getElementById(`${template.id}-name`).focus();
+});
+// Rules list the templates by name
+promptTemplateList.addEventListener('input', (event) => {
+  if (event.target.dataset.field === 'name') updateReplyRuleTemplates();
+});
+addReplyRuleButton.addEventListener('click', () => {
+  // A blank rule, with every field present
+  const [rule] = getReplyRules({ replyRules: [{ id: createRuleId() }] });
+  addReplyRuleItem({ ...rule, name: '' });
+  updateReplyRuleItems();
+  document.getElementById(`${rule.id}-name`).focus();
+});
 
 console.log('Options script loaded.'); 
\ No newline at end of file
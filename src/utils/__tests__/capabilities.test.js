@@ -0,0 +1,81 @@
+import { describe, it, expect } from '@jest/globals';
+
+import { getModelCapabilities, parseCapabilityOverrides } from '../capabilities.js';
+
+describe('capabilities', () => {
+  describe('getModelCapabilities', () => {
+    it('should describe known OpenAI reasoning and chat models', () => {
+      expect(getModelCapabilities('openai', 'gpt-5-mini')).toMatchObject({
+        reasoning: true,
+        temperature: false,
+        maxTokensParam: 'max_completion_tokens',
+        contextWindow: 400000
+      });
+      expect(getModelCapabilities('openai', 'gpt-5-chat-latest')).toMatchObject({ reasoning: false, temperature: true });
+      expect(getModelCapabilities('openai', 'o1-mini')).toMatchObject({ reasoning: false, temperature: false });
+      expect(getModelCapabilities('openai', 'o3').api).toBe('responses');
+      expect(getModelCapabilities('openai', 'gpt-4.1').api).toBe('chat');
+      expect(getModelCapabilities('openai', 'GPT-4o')).toMatchObject({ reasoning: false, temperature: true, contextWindow: 128000 });
+    });
+
+    it('should apply OpenAI model entries to Azure deployments named after them', () => {
+      expect(getModelCapabilities('azure', 'o3-mini')).toMatchObject({ reasoning: true, temperature: false });
+    });
+
+    it('should only enable thinking for Claude models that support it', () => {
+      expect(getModelCapabilities('anthropic', 'claude-sonnet-4-5').reasoning).toBe(true);
+      expect(getModelCapabilities('anthropic', 'claude-3-7-sonnet-latest').reasoning).toBe(true);
+      expect(getModelCapabilities('anthropic', 'claude-3-5-haiku-latest').reasoning).toBe(false);
+      expect(getModelCapabilities('anthropic', 'claude-3-5-haiku-latest').maxTokensParam).toBe('max_tokens');
+    });
+
+    it('should use conservative provider defaults for unknown models', () => {
+      expect(getModelCapabilities('openai', 'llama3')).toEqual({
+        reasoning: false,
+        temperature: true,
+        topP: true,
+        maxTokensParam: 'max_tokens',
+        contextWindow: 8192,
+        jsonMode: false,
+        streaming: true,
+        api: 'chat'
+      });
+      expect(getModelCapabilities('unknown', '').maxTokensParam).toBe('max_tokens');
+    });
+
+    it('should let exact overrides win over pattern overrides', () => {
+      const overrides = {
+        'llama3*': { contextWindow: 32768, streaming: false },
+        'llama3-reasoner': { reasoning: true, contextWindow: 65536 }
+      };
+
+      expect(getModelCapabilities('openai', 'llama3-reasoner', overrides)).toMatchObject({
+        reasoning: true,
+        streaming: false,
+        contextWindow: 65536
+      });
+      expect(getModelCapabilities('openai', 'llama3.1', overrides).contextWindow).toBe(32768);
+      expect(getModelCapabilities('openai', 'gpt-4o', { 'gpt-4o': { temperature: false } }).temperature).toBe(false);
+    });
+  });
+
+  describe('parseCapabilityOverrides', () => {
+    it('should accept an empty value and valid overrides', () => {
+      expect(parseCapabilityOverrides('')).toEqual({});
+      expect(parseCapabilityOverrides('  ')).toEqual({});
+      expect(parseCapabilityOverrides('{"m*": {"reasoning": true, "maxTokensParam": "max_tokens"}}'))
+        .toEqual({ 'm*': { reasoning: true, maxTokensParam: 'max_tokens' } });
+    });
+
+    it('should reject invalid JSON, unknown fields and wrong value types', () => {
+      expect(() => parseCapabilityOverrides('{')).toThrow('Invalid JSON');
+      expect(() => parseCapabilityOverrides('[]')).toThrow('Expected an object');
+      expect(() => parseCapabilityOverrides('{"m": true}')).toThrow('must be an object');
+      expect(() => parseCapabilityOverrides('{"m": {"vision": true}}')).toThrow('Unknown capability "vision"');
+      expect(() => parseCapabilityOverrides('{"m": {"reasoning": "yes"}}')).toThrow('must be a boolean');
+      expect(() => parseCapabilityOverrides('{"m": {"maxTokensParam": "max_output"}}')).toThrow('must be one of');
+      expect(() => parseCapabilityOverrides('{"m": {"contextWindow": 0}}')).toThrow('positive number');
+      expect(() => parseCapabilityOverrides('{"m": {"api": "completions"}}')).toThrow('must be one of');
+    });
+  });
+});
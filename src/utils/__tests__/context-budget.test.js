@@ -0,0 +1,78 @@
+import { describe, it, expect } from '@jest/globals';
+
+import {
+  estimateTokens,
+  fitMessagesToBudget,
+  getContextBudget,
+  MESSAGE_SEPARATOR,
+  TRUNCATED_MARKER
+} from '../context-budget.js';
+
+// A message of about the given number of tokens
+const message = (label, tokens) => `${label}:`.padEnd(tokens * 4, 'x');
+
+describe('context-budget', () => {
+  describe('estimateTokens', () => {
+    it('should count about four characters per token for Latin text', () => {
+      expect(estimateTokens('')).toBe(0);
+      expect(estimateTokens(undefined)).toBe(0);
+      expect(estimateTokens('abcd')).toBe(1);
+      expect(estimateTokens('Hello, world!')).toBe(4);
+    });
+
+    it('should count one token per character for CJK text', () => {
+      expect(estimateTokens('こんにちは')).toBe(5);
+      expect(estimateTokens('你好 abcd')).toBe(2 + 2);
+    });
+  });
+
+  describe('getContextBudget', () => {
+    it('should reserve the output, the rest of the prompt and a safety margin', () => {
+      const budget = getContextBudget({ contextWindow: 10000, maxOutputTokens: 1000, promptText: 'x'.repeat(400) });
+      expect(budget).toBe(9000 - 1000 - 100 - 50);
+    });
+
+    it('should never be negative', () => {
+      expect(getContextBudget({ contextWindow: 1000, maxOutputTokens: 4000 })).toBe(0);
+    });
+  });
+
+  describe('fitMessagesToBudget', () => {
+    it('should keep every message when the thread fits', () => {
+      const result = fitMessagesToBudget(['First', 'Second'], 1000);
+      expect(result).toEqual({ text: `First${MESSAGE_SEPARATOR}Second`, omitted: 0, truncated: false });
+    });
+
+    it('should drop the oldest messages first and say how many were omitted', () => {
+      const messages = [message('oldest', 100), message('older', 100), message('newer', 100), message('newest', 100)];
+
+      const result = fitMessagesToBudget(messages, 230);
+
+      expect(result.omitted).toBe(2);
+      expect(result.truncated).toBe(false);
+      expect(result.text).toBe(['[2 earlier messages omitted]', messages[2], messages[3]].join(MESSAGE_SEPARATOR));
+      expect(estimateTokens(result.text)).toBeLessThanOrEqual(230);
+    });
+
+    it('should use the singular for one omitted message', () => {
+      const result = fitMessagesToBudget([message('old', 100), message('new', 100)], 150);
+      expect(result.text.startsWith('[1 earlier message omitted]')).toBe(true);
+    });
+
+    it('should keep the beginning of the newest message when it does not fit alone', () => {
+      const newest = `Newest reply first line. ${'x'.repeat(2000)}`;
+
+      const result = fitMessagesToBudget([message('old', 100), newest], 100);
+
+      expect(result).toMatchObject({ omitted: 1, truncated: true });
+      expect(result.text).toContain('Newest reply first line.');
+      expect(result.text.endsWith(TRUNCATED_MARKER)).toBe(true);
+      expect(estimateTokens(result.text)).toBeLessThanOrEqual(100);
+    });
+
+    it('should skip empty messages and handle an empty thread', () => {
+      expect(fitMessagesToBudget([' ', '', 'Only'], 100).text).toBe('Only');
+      expect(fitMessagesToBudget([], 100)).toEqual({ text: '', omitted: 0, truncated: false });
+    });
+  });
+});
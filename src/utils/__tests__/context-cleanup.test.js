@@ -0,0 +1,83 @@
+import { describe, it, expect, jest } from '@jest/globals';
+
+import {
+  cleanMessageBody,
+  cleanThreadMessages,
+  compileFooterPatterns,
+  parseFooterPatterns,
+  DEFAULT_FOOTER_PATTERNS
+} from '../context-cleanup.js';
+
+const defaultPatterns = compileFooterPatterns(DEFAULT_FOOTER_PATTERNS);
+
+describe('context-cleanup', () => {
+  describe('cleanMessageBody', () => {
+    it('should cut the quoted reply at its attribution line', () => {
+      const body = [
+        'Friday works for me.',
+        '',
+        'On Tue, Oct 14, 2025 at 10:32 AM Jane Doe <jane@example.com> wrote:',
+        '> Can we meet on Friday?'
+      ].join('\n');
+
+      expect(cleanMessageBody(body)).toBe('Friday works for me.');
+    });
+
+    it('should recognize wrapped and translated attribution lines', () => {
+      expect(cleanMessageBody('Vale.\n\nEl mar, 14 oct 2025 a las 10:32, Jane (<jane@example.com>)\nescribió:\nHola')).toBe('Vale.');
+      expect(cleanMessageBody('OK.\nLe mar. 14 oct. 2025, Jane a écrit :\nBonjour')).toBe('OK.');
+    });
+
+    it('should cut Outlook quotes and drop remaining quoted lines', () => {
+      expect(cleanMessageBody('Thanks!\n\nFrom: Jane Doe\nSent: Tuesday\nTo: Bob\n\nOld text')).toBe('Thanks!');
+      expect(cleanMessageBody('See below.\n-----Original Message-----\nOld text')).toBe('See below.');
+      expect(cleanMessageBody('> quoted\nMy answer\n> more quoted')).toBe('My answer');
+    });
+
+    it('should remove signatures', () => {
+      expect(cleanMessageBody('Sounds good.\n--\nBob Smith\nCEO, Example')).toBe('Sounds good.');
+      expect(cleanMessageBody('Sounds good.\n\nSent from my iPhone')).toBe('Sounds good.');
+    });
+
+    it('should remove the paragraphs matching a footer pattern', () => {
+      const body = [
+        'See you Friday.',
+        '',
+        'CONFIDENTIALITY NOTICE: This e-mail is intended only for the addressee.',
+        '',
+        'This email and any files transmitted with it are confidential and intended solely for the recipient.'
+      ].join('\n');
+
+      expect(cleanMessageBody(body, defaultPatterns)).toBe('See you Friday.');
+      expect(cleanMessageBody('Keep this.\n\nCustom footer 123', compileFooterPatterns(['^custom footer']))).toBe('Keep this.');
+    });
+
+    it('should keep forwarded messages and ordinary text', () => {
+      const forwarded = 'FYI\n\n---------- Forwarded message ---------\nFrom: Jane <jane@example.com>\nSubject: Budget\n\nNumbers attached.';
+      expect(cleanMessageBody(forwarded, defaultPatterns)).toBe(forwarded);
+      expect(cleanMessageBody('On Friday we ship.\nThe message is ready.', defaultPatterns)).toBe('On Friday we ship.\nThe message is ready.');
+    });
+  });
+
+  describe('cleanThreadMessages', () => {
+    it('should clean message bodies and plain texts', () => {
+      const messages = [{ senderName: 'Bob', body: 'Yes.\n--\nBob' }, 'Plain\n> quoted', null];
+
+      expect(cleanThreadMessages(messages)).toEqual([{ senderName: 'Bob', body: 'Yes.' }, 'Plain', null]);
+    });
+
+    it('should skip invalid patterns', () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      expect(compileFooterPatterns(['(', 'ok'])).toHaveLength(1);
+      console.warn.mockRestore();
+    });
+  });
+
+  describe('parseFooterPatterns', () => {
+    it('should read one pattern per line and reject invalid ones', () => {
+      expect(parseFooterPatterns(' ^footer \n\nnotice$\n')).toEqual(['^footer', 'notice$']);
+      expect(parseFooterPatterns('')).toEqual([]);
+      expect(() => parseFooterPatterns('ok\n(')).toThrow('Invalid pattern "("');
+    });
+  });
+});
@@ -1,6 +1,6 @@
 import { describe, it, expect, beforeEach } from '@jest/globals';
 import { JSDOM } from 'jsdom';
-import { getComposeWindows } from '../gmail';
+import { getComposeWindows, parseGmailThread } from '../gmail';
 
 // Helper function to set up the DOM for tests
 const setupDOM = (html) => {
@@ -75,4 +75,67 @@ describe('getComposeWindows', () => {
   // querySelectorAll returns a *static* NodeList. The test
   // 'should find newly added compose windows on subsequent calls' verifies that
   // re-running the function picks up changes, which fulfills the likely intent.
-}); 
\ No newline at end of file
+}); 
+
+describe('parseGmailThread', () => {
+  const threadHTML = `
+    <div class="nH if">
+      <h2 class="hP">Quarterly review</h2>
+      <div class="kv">
+        <span class="gD" name="Jane Doe" email="jane@example.com">Jane Doe</span>
+        <span class="g3" title="Mon, Oct 13, 2025, 9:00 AM">Oct 13</span>
+        <span class="y2">Are you free this week?</span>
+      </div>
+      <div class="adn">
+        <span class="gD" name="Bob" email="bob@example.com">Bob</span>
+        <span class="g2" email="jane@example.com" name="Jane Doe">Jane</span>
+        <span class="g2" email="team@example.com">team@example.com</span>
+        <span class="g2" email="team@example.com">team@example.com</span>
+        <span class="g3" title="Tue, Oct 14, 2025, 10:32 AM">10:32 AM</span>
+        <div class="a3s">
+          <div>Hi Jane,</div>
+          <div>Friday   works.<br>Thanks</div>
+          <button>Reply</button><div class="ajR">...</div>
+        </div>
+      </div>
+      <div class="adn" id="draft-message">
+        <div class="a3s"><div contenteditable="true" id="compose">My draft</div></div>
+      </div>
+    </div>`;
+
+  beforeEach(() => {
+    setupDOM(`<!DOCTYPE html><html><body>${threadHTML}</body></html>`);
+    global.Node = window.Node;
+  });
+
+  it('should return each message with its headers and clean body, oldest first', () => {
+    const messages = parseGmailThread(document.querySelector('.nH'), document.getElementById('compose'));
+
+    expect(messages).toEqual([
+      {
+        senderName: 'Jane Doe',
+        senderEmail: 'jane@example.com',
+        recipients: [],
+        timestamp: 'Mon, Oct 13, 2025, 9:00 AM',
+        subject: 'Quarterly review',
+        body: 'Are you free this week?'
+      },
+      {
+        senderName: 'Bob',
+        senderEmail: 'bob@example.com',
+        recipients: [{ name: 'Jane Doe', email: 'jane@example.com' }, { name: 'team@example.com', email: 'team@example.com' }],
+        timestamp: 'Tue, Oct 14, 2025, 10:32 AM',
+        subject: 'Quarterly review',
+        body: 'Hi Jane,\nFriday works.\nThanks'
+      }
+    ]);
+  });
+
+  it('should fall back to the container text for unknown layouts', () => {
+    document.body.innerHTML = '<div class="thread"><p>Hello</p><p>World</p><div contenteditable="true">Draft</div></div>';
+
+    expect(parseGmailThread(document.querySelector('.thread'))).toEqual([
+      { senderName: '', senderEmail: '', recipients: [], timestamp: '', subject: '', body: 'Hello\n\nWorld' }
+    ]);
+  });
+});
@@ -0,0 +1,107 @@
+import { describe, it, expect } from '@jest/globals';
+
+import {
+  buildPlaceholderValues,
+  describeLanguage,
+  PROMPT_PLACEHOLDERS
+} from '../placeholders.js';
+
+const thread = [
+  {
+    senderName: 'Jane Doe',
+    senderEmail: 'jane@example.com',
+    recipients: [{ name: 'Bob Smith', email: 'bob@example.com' }],
+    timestamp: 'Tue, Oct 14, 2025, 10:32 AM',
+    subject: 'Budget review',
+    body: 'Can we meet on Friday?'
+  },
+  {
+    senderName: 'Bob Smith',
+    senderEmail: 'bob@example.com',
+    recipients: [{ name: 'Jane Doe', email: 'jane@example.com' }],
+    timestamp: 'Tue, Oct 14, 2025, 11:00 AM',
+    subject: 'Budget review',
+    body: 'Let me check.'
+  }
+];
+
+describe('placeholders', () => {
+  describe('buildPlaceholderValues', () => {
+    it('should describe the message being answered, the reply and the user', () => {
+      const values = buildPlaceholderValues({
+        messages: thread,
+        details: {
+          myName: 'Bob Smith',
+          myEmail: 'Bob@Example.com',
+          recipients: [{ name: 'Jane Doe', email: 'jane@example.com' }, { name: '', email: 'team@example.com' }],
+          currentDraft: ' Friday works. ',
+          threadLanguage: 'es'
+        },
+        tone: 'friendly',
+        length: 'short',
+        now: new Date(2026, 9, 19)
+      });
+
+      expect(values).toEqual({
+        Sender_name: 'Jane Doe',
+        Sender_email: 'jane@example.com',
+        Subject: 'Budget review',
+        Recipients: 'Jane Doe <jane@example.com>, team@example.com',
+        My_name: 'Bob Smith',
+        My_role: '',
+        My_company: '',
+        Sign_off: '',
+        My_languages: '',
+        Today: 'Monday, October 19, 2026',
+        Current_draft: 'Friday works.',
+        Thread_language: 'Spanish',
+        Tone: 'friendly',
+        Length: 'short (a few sentences)'
+      });
+      expect(Object.keys(values).sort()).toEqual([...PROMPT_PLACEHOLDERS, 'Tone', 'Length'].sort());
+    });
+
+    it('should fall back on the thread when the page details are missing', () => {
+      const values = buildPlaceholderValues({ messages: thread, details: { myEmail: 'bob@example.com' } });
+
+      expect(values.Recipients).toBe('Jane Doe <jane@example.com>');
+      expect(values.My_name).toBe('Bob Smith');
+      expect(values.Thread_language).toBe('the language of the email thread');
+      expect(values.Tone).toBe('');
+      expect(buildPlaceholderValues({ tone: 'sarcastic', length: 'epic' })).toMatchObject({ Tone: '', Length: '' });
+    });
+
+    it('should describe the user with their profile, which wins over the Gmail account', () => {
+      const values = buildPlaceholderValues({
+        messages: thread,
+        details: { myName: 'bob.smith', myEmail: 'bob@example.com' },
+        profile: { name: ' Robert Smith ', role: 'Head of Sales', company: 'Example Inc.', signOff: 'Best regards', languages: 'English, Spanish' }
+      });
+
+      expect(values).toMatchObject({
+        My_name: 'Robert Smith',
+        My_role: 'Head of Sales',
+        My_company: 'Example Inc.',
+        Sign_off: 'Best regards',
+        My_languages: 'English, Spanish'
+      });
+    });
+
+    it('should use the newest message without an account, and accept plain texts', () => {
+      expect(buildPlaceholderValues({ messages: thread }).Sender_name).toBe('Bob Smith');
+
+      const values = buildPlaceholderValues({ messages: ['Plain context'] });
+      expect(values.Sender_name).toBe('');
+      expect(values.Recipients).toBe('');
+    });
+  });
+
+  describe('describeLanguage', () => {
+    it('should name language codes', () => {
+      expect(describeLanguage('fr')).toBe('French');
+      expect(describeLanguage('und')).toBe('');
+      expect(describeLanguage('')).toBe('');
+      expect(describeLanguage('not a code')).toBe('not a code');
+    });
+  });
+});
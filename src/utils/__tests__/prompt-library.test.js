@@ -0,0 +1,76 @@
+import { describe, it, expect } from '@jest/globals';
+
+import { renderTemplate } from '../template.js';
+import {
+  createTemplateId,
+  findPromptTemplate,
+  getPromptTemplates,
+  getSenderDomain,
+  DEFAULT_PROMPT_TEMPLATES,
+  DEFAULT_REPLY_TEMPLATE
+} from '../prompt-library.js';
+
+describe('prompt-library', () => {
+  describe('getPromptTemplates', () => {
+    it('should return the default library when none is saved', () => {
+      expect(getPromptTemplates({})).toEqual(DEFAULT_PROMPT_TEMPLATES);
+      expect(getPromptTemplates(undefined)).toEqual(DEFAULT_PROMPT_TEMPLATES);
+      expect(getPromptTemplates({ promptTemplates: [] })).toEqual(DEFAULT_PROMPT_TEMPLATES);
+    });
+
+    it('should turn a legacy single template into the default template', () => {
+      expect(getPromptTemplates({ promptTemplate: 'Reply to [Email_context]' })).toEqual([
+        { ...DEFAULT_PROMPT_TEMPLATES[0], template: 'Reply to [Email_context]' }
+      ]);
+    });
+
+    it('should replace the old default template, which had a hard-coded name', () => {
+      const promptTemplate = 'Write a draft response to the emails below in the context. Keep it simple, respect my tone (informal) and the language of the email chain. Use paragraphs wisely, do not over index on them. User may leave specific instructions within <> notation, those are not part of the email but will give you info about how to redact it. Act on those instructions. Sign with Álvaro when appropriate. \n\nThese are talking points:\n[Bullet_points]\n\nEmail context:\n[Email_context]';
+      expect(getPromptTemplates({ promptTemplate })).toEqual(DEFAULT_PROMPT_TEMPLATES);
+    });
+
+    it('should fill in missing fields', () => {
+      expect(getPromptTemplates({ promptTemplates: [{ template: 'A' }, { id: 'b', name: ' Sales ', model: ' gpt-5 ' }] })).toEqual([
+        { id: 'template-1', name: 'Template 1', template: 'A', model: '', reasoningEffort: '' },
+        { id: 'b', name: 'Sales', template: '', model: 'gpt-5', reasoningEffort: '' }
+      ]);
+    });
+  });
+
+  describe('DEFAULT_REPLY_TEMPLATE', () => {
+    it('should describe the user with the profile placeholders that have a value', () => {
+      const render = values => renderTemplate(DEFAULT_REPLY_TEMPLATE, { Bullet_points: 'Yes', Email_context: '', ...values });
+
+      expect(render({ My_name: 'Ana', My_role: 'CTO', My_company: 'Acme', Sign_off: 'Best', My_languages: 'English, Spanish' }))
+        .toContain('the language of the email chain (I write in English, Spanish). Use paragraphs');
+      expect(render({ My_name: 'Ana', My_role: 'CTO', My_company: 'Acme', Sign_off: 'Best' }))
+        .toContain('Act on those instructions. I am CTO at Acme. Close with "Best" and sign with Ana when appropriate.');
+      expect(render({ My_name: 'Ana' })).toContain('Act on those instructions. Sign with Ana when appropriate.');
+      expect(render({})).toContain('Act on those instructions. \n\nThese are talking points:\nYes');
+    });
+  });
+
+  describe('findPromptTemplate', () => {
+    it('should find a template by id and fall back to the first one', () => {
+      const templates = [{ id: 'a' }, { id: 'b' }];
+
+      expect(findPromptTemplate(templates, 'b')).toBe(templates[1]);
+      expect(findPromptTemplate(templates, 'deleted')).toBe(templates[0]);
+      expect(findPromptTemplate(templates)).toBe(templates[0]);
+    });
+  });
+
+  describe('getSenderDomain', () => {
+    it('should return the lowercase domain of an address', () => {
+      expect(getSenderDomain('Jane@Example.COM')).toBe('example.com');
+      expect(getSenderDomain('not an address')).toBe('');
+      expect(getSenderDomain(undefined)).toBe('');
+    });
+  });
+
+  describe('createTemplateId', () => {
+    it('should create distinct ids', () => {
+      expect(createTemplateId()).not.toBe(createTemplateId());
+    });
+  });
+});
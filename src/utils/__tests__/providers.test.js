@@ -0,0 +1,699 @@
+import { describe, it, expect, beforeEach, jest } from '@jest/globals';
+
+// Mock fetch
+global.fetch = jest.fn();
+
+import {
+  callProvider,
+  getProvider,
+  getProviderApiKey,
+  getProviderConfigError,
+  formatFallbackList,
+  isFallbackError,
+  isProviderConfigured,
+  listProviderModels,
+  parseCustomHeaders,
+  parseFallbackList
+} from '../providers.js';
+
+const settings = {
+  apiKey: 'openai-key',
+  anthropicApiKey: 'anthropic-key'
+};
+
+const baseRequest = {
+  model: 'test-model',
+  systemPrompt: 'System prompt',
+  prompt: 'User prompt',
+  maxOutputTokens: 1000
+};
+
+const jsonResponse = (data) => ({ ok: true, status: 200, json: async () => data });
+const errorResponse = (status, text) => ({ ok: false, status, text: async () => text });
+// Builds a streamed text/event-stream response delivered in the given raw chunks
+const streamResponse = (chunks) => new Response(new ReadableStream({
+  start(controller) {
+    const encoder = new TextEncoder();
+    chunks.forEach(chunk => controller.enqueue(encoder.encode(chunk)));
+    controller.close();
+  }
+}), { status: 200, headers: { 'Content-Type': 'text/event-stream' } });
+// Same, but the stream then stays open without sending anything more
+const stalledStreamResponse = (chunks) => new Response(new ReadableStream({
+  start(controller) {
+    const encoder = new TextEncoder();
+    chunks.forEach(chunk => controller.enqueue(encoder.encode(chunk)));
+  }
+}), { status: 200, headers: { 'Content-Type': 'text/event-stream' } });
+
+describe('providers', () => {
+  beforeEach(() => {
+    global.fetch.mockReset();
+  });
+
+  describe('getProvider', () => {
+    it('should fall back to OpenAI for unknown providers', () => {
+      expect(getProvider('unknown').id).toBe('openai');
+      expect(getProvider(undefined).id).toBe('openai');
+    });
+
+    it('should read the API key from the provider specific setting', () => {
+      expect(getProviderApiKey(getProvider('openai'), settings)).toBe('openai-key');
+      expect(getProviderApiKey(getProvider('anthropic'), settings)).toBe('anthropic-key');
+    });
+  });
+
+  describe('OpenAI', () => {
+    it('should post a chat/completions request with Bearer auth', async () => {
+      global.fetch.mockResolvedValueOnce(jsonResponse({
+        choices: [{ message: { content: ' Draft ' } }]
+      }));
+
+      const text = await callProvider(settings, { ...baseRequest, provider: 'openai', model: 'gpt-4.1' });
+
+      expect(text).toBe('Draft');
+      const [url, init] = global.fetch.mock.calls[0];
+      expect(url).toBe('https://api.openai.com/v1/chat/completions');
+      expect(init.headers.Authorization).toBe('Bearer openai-key');
+      const body = JSON.parse(init.body);
+      expect(body.messages).toEqual([
+        { role: 'system', content: 'System prompt' },
+        { role: 'user', content: 'User prompt' }
+      ]);
+      expect(body.max_completion_tokens).toBe(1000);
+    });
+
+    it('should leave out an empty system prompt', async () => {
+      global.fetch.mockResolvedValueOnce(jsonResponse({ choices: [{ message: { content: 'Draft' } }] }));
+
+      await callProvider(settings, { ...baseRequest, provider: 'openai', model: 'gpt-4.1', systemPrompt: '' });
+
+      expect(JSON.parse(global.fetch.mock.calls[0][1].body).messages).toEqual([{ role: 'user', content: 'User prompt' }]);
+    });
+
+    it('should only send the parameters the model supports', async () => {
+      global.fetch
+        .mockResolvedValueOnce(jsonResponse({ choices: [{ message: { content: 'Draft' } }] }))
+        .mockResolvedValueOnce(jsonResponse({ output_text: 'Draft' }));
+      const request = { ...baseRequest, provider: 'openai', reasoningEffort: 'low', temperature: 0.7, topP: 0.9 };
+
+      await callProvider(settings, { ...request, model: 'gpt-4.1' });
+      await callProvider(settings, { ...request, model: 'o3-mini' });
+
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+      const chatBody = JSON.parse(global.fetch.mock.calls[0][1].body);
+      expect(chatBody.reasoning_effort).toBeUndefined();
+      expect(chatBody.temperature).toBe(0.7);
+      expect(chatBody.top_p).toBe(0.9);
+      const reasoningBody = JSON.parse(global.fetch.mock.calls[1][1].body);
+      expect(reasoningBody.reasoning.effort).toBe('low');
+      expect(reasoningBody.temperature).toBeUndefined();
+      expect(reasoningBody.top_p).toBeUndefined();
+    });
+
+    it('should apply capability overrides from the settings', async () => {
+      global.fetch.mockResolvedValueOnce(jsonResponse({ choices: [{ message: { content: 'Draft' } }] }));
+      const overrides = { modelCapabilities: { 'my-reasoner': { reasoning: true, temperature: false } } };
+
+      await callProvider({ ...settings, ...overrides }, {
+        ...baseRequest, provider: 'openai', model: 'my-reasoner', reasoningEffort: 'high', temperature: 1
+      });
+
+      const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+      expect(body.reasoning_effort).toBe('high');
+      expect(body.temperature).toBeUndefined();
+    });
+
+    it('should retry rate limited requests when a retry policy is given', async () => {
+      global.fetch
+        .mockResolvedValueOnce(errorResponse(429, 'Rate limit reached'))
+        .mockResolvedValueOnce(jsonResponse({ choices: [{ message: { content: 'Draft' } }] }));
+      const onRetry = jest.fn();
+
+      const text = await callProvider(settings, { ...baseRequest, provider: 'openai' }, {
+        retry: { maxRetries: 2, baseDelayMs: 1, onRetry }
+      });
+
+      expect(text).toBe('Draft');
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+      expect(onRetry).toHaveBeenCalledWith(expect.objectContaining({ attempt: 1, maxRetries: 2 }));
+    });
+
+    it('should normalize JSON error bodies', async () => {
+      global.fetch.mockResolvedValueOnce(errorResponse(401, JSON.stringify({
+        error: { message: 'Incorrect API key provided', code: 'invalid_api_key' }
+      })));
+
+      await expect(callProvider(settings, { ...baseRequest, provider: 'openai' })).rejects.toMatchObject({
+        message: 'OpenAI API error (401): Incorrect API key provided',
+        status: 401,
+        provider: 'openai',
+        type: 'invalid_api_key'
+      });
+    });
+  });
+
+  describe('OpenAI Responses API', () => {
+    const responsesResult = {
+      object: 'response',
+      status: 'completed',
+      output: [
+        { type: 'reasoning', summary: [{ type: 'summary_text', text: 'Keep it short.' }] },
+        { type: 'message', role: 'assistant', content: [{ type: 'output_text', text: ' Draft ' }] }
+      ],
+      usage: { input_tokens: 50, output_tokens: 120, output_tokens_details: { reasoning_tokens: 100 } }
+    };
+
+    it('should call /responses for reasoning models and read text, summary and usage', async () => {
+      global.fetch.mockResolvedValueOnce(jsonResponse(responsesResult));
+      const onDetails = jest.fn();
+
+      const text = await callProvider(settings, {
+        ...baseRequest, provider: 'openai', model: 'gpt-5-mini', reasoningEffort: 'low'
+      }, { onDetails });
+
+      expect(text).toBe('Draft');
+      const [url, init] = global.fetch.mock.calls[0];
+      expect(url).toBe('https://api.openai.com/v1/responses');
+      expect(JSON.parse(init.body)).toEqual({
+        model: 'gpt-5-mini',
+        instructions: 'System prompt',
+        input: 'User prompt',
+        max_output_tokens: 1000,
+        reasoning: { effort: 'low', summary: 'auto' },
+        store: false
+      });
+      expect(onDetails).toHaveBeenCalledWith({
+        usage: { inputTokens: 50, outputTokens: 120, reasoningTokens: 100 },
+        reasoningSummary: 'Keep it short.',
+        truncated: false,
+        continuations: 0
+      });
+    });
+
+    it('should retry without a reasoning summary when the organization cannot get one', async () => {
+      global.fetch
+        .mockResolvedValueOnce(errorResponse(400, 'Your organization must be verified to generate reasoning summaries.'))
+        .mockResolvedValueOnce(jsonResponse(responsesResult));
+
+      const text = await callProvider(settings, { ...baseRequest, provider: 'openai', model: 'o3', reasoningEffort: 'high' });
+
+      expect(text).toBe('Draft');
+      expect(JSON.parse(global.fetch.mock.calls[1][1].body).reasoning).toEqual({ effort: 'high' });
+    });
+
+    it('should report responses that ran out of tokens while reasoning', async () => {
+      global.fetch.mockResolvedValueOnce(jsonResponse({
+        status: 'incomplete',
+        incomplete_details: { reason: 'max_output_tokens' },
+        output: [{ type: 'reasoning', summary: [] }]
+      }));
+
+      await expect(callProvider(settings, { ...baseRequest, provider: 'openai', model: 'o4-mini' }))
+        .rejects.toThrow('response incomplete (max_output_tokens)');
+    });
+
+    it('should stream output text deltas and collect the summary and usage', async () => {
+      global.fetch.mockResolvedValueOnce(streamResponse([
+        'event: response.reasoning_summary_text.done\ndata: {"type":"response.reasoning_summary_text.done","text":"Plan"}\n\n',
+        'event: response.output_text.delta\ndata: {"type":"response.output_text.delta","delta":"Hel"}\n\n',
+        'event: response.output_text.delta\ndata: {"type":"response.output_text.delta","delta":"lo"}\n\n',
+        'event: response.completed\ndata: {"type":"response.completed","response":{"usage":{"input_tokens":5,"output_tokens":9}}}\n\n'
+      ]));
+      const deltas = [];
+      const onDetails = jest.fn();
+
+      const text = await callProvider(settings, { ...baseRequest, provider: 'openai', model: 'gpt-5' }, {
+        onDelta: delta => deltas.push(delta),
+        onDetails
+      });
+
+      expect(text).toBe('Hello');
+      expect(deltas).toEqual(['Hel', 'lo']);
+      expect(onDetails).toHaveBeenCalledWith({
+        usage: { inputTokens: 5, outputTokens: 9, reasoningTokens: 0 },
+        reasoningSummary: 'Plan',
+        truncated: false,
+        continuations: 0
+      });
+    });
+
+    it('should time out a stream that stalls, and send it again if no text arrived', async () => {
+      const delta = 'event: response.output_text.delta\ndata: {"type":"response.output_text.delta","delta":"Hi"}\n\n';
+      global.fetch
+        .mockResolvedValueOnce(stalledStreamResponse([]))
+        .mockResolvedValueOnce(stalledStreamResponse([delta]));
+      const deltas = [];
+      const onRetry = jest.fn();
+
+      const error = await callProvider(settings, { ...baseRequest, provider: 'openai', model: 'gpt-5' }, {
+        onDelta: text => deltas.push(text),
+        retry: { maxRetries: 3, timeoutMs: 20, onRetry, baseDelayMs: 1, maxDelayMs: 5 }
+      }).catch(caught => caught);
+
+      expect(error).toMatchObject({ timeout: true, message: expect.stringContaining('Response stalled') });
+      expect(isFallbackError(error)).toBe(true);
+      // Once text was shown the request is not sent again
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+      expect(onRetry).toHaveBeenCalledWith(expect.objectContaining({ attempt: 1, maxRetries: 3 }));
+      expect(deltas).toEqual(['Hi']);
+    });
+
+    it('should share one retry budget between failed responses and stalled streams', async () => {
+      global.fetch
+        .mockResolvedValueOnce(errorResponse(503, 'Unavailable'))
+        .mockImplementation(async () => stalledStreamResponse([]));
+      const onRetry = jest.fn(() => { throw new Error('Badge update failed'); });
+
+      const error = await callProvider(settings, { ...baseRequest, provider: 'openai', model: 'gpt-5' }, {
+        onDelta: () => {},
+        retry: { maxRetries: 2, timeoutMs: 20, onRetry, baseDelayMs: 1, maxDelayMs: 5 }
+      }).catch(caught => caught);
+
+      expect(error).toMatchObject({ timeout: true });
+      expect(global.fetch).toHaveBeenCalledTimes(3);
+      expect(onRetry.mock.calls.map(([progress]) => progress.attempt)).toEqual([1, 2]);
+    });
+
+    it('should surface failed responses in the stream', async () => {
+      global.fetch.mockResolvedValueOnce(streamResponse([
+        'data: {"type":"response.failed","response":{"error":{"code":"server_error","message":"Boom"}}}\n\n'
+      ]));
+
+      await expect(callProvider(settings, { ...baseRequest, provider: 'openai', model: 'gpt-5' }, { onDelta: () => {} }))
+        .rejects.toMatchObject({ message: 'OpenAI API error (stream): Boom', type: 'server_error' });
+    });
+
+    it('should be selectable for any model through capability overrides', async () => {
+      global.fetch.mockResolvedValueOnce(jsonResponse(responsesResult));
+
+      await callProvider({ ...settings, modelCapabilities: { 'gpt-4.1': { api: 'responses' } } }, {
+        ...baseRequest, provider: 'openai', model: 'gpt-4.1', temperature: 0.2
+      });
+
+      const [url, init] = global.fetch.mock.calls[0];
+      expect(url).toBe('https://api.openai.com/v1/responses');
+      expect(JSON.parse(init.body).temperature).toBe(0.2);
+    });
+  });
+
+  describe('continuations', () => {
+    const chatResult = (content, finishReason) => jsonResponse({
+      choices: [{ message: { content }, finish_reason: finishReason }],
+      usage: { prompt_tokens: 10, completion_tokens: 20 }
+    });
+
+    it('should continue a response cut off by the token limit and stitch the parts', async () => {
+      global.fetch
+        .mockResolvedValueOnce(chatResult('Dear Ana,\n\nThanks for the upd', 'length'))
+        .mockResolvedValueOnce(chatResult('ate. See you soon.', 'stop'));
+      const onDetails = jest.fn();
+
+      const text = await callProvider(settings, { ...baseRequest, provider: 'openai', model: 'gpt-4.1' }, {
+        maxContinuations: 2,
+        onDetails
+      });
+
+      expect(text).toBe('Dear Ana,\n\nThanks for the update. See you soon.');
+      const followUp = JSON.parse(global.fetch.mock.calls[1][1].body).messages;
+      expect(followUp.slice(1, 3)).toEqual([
+        { role: 'user', content: 'User prompt' },
+        { role: 'assistant', content: 'Dear Ana,\n\nThanks for the upd' }
+      ]);
+      expect(followUp[3].role).toBe('user');
+      expect(onDetails).toHaveBeenCalledWith(expect.objectContaining({
+        truncated: false,
+        continuations: 1,
+        usage: { inputTokens: 20, outputTokens: 40, reasoningTokens: 0 }
+      }));
+    });
+
+    it('should stop at the continuation limit and report the text as truncated', async () => {
+      global.fetch.mockResolvedValue(chatResult('more ', 'length'));
+      const onDetails = jest.fn();
+
+      const text = await callProvider(settings, { ...baseRequest, provider: 'openai', model: 'gpt-4.1' }, {
+        maxContinuations: 2,
+        onDetails
+      });
+
+      expect(text).toBe('more more more');
+      expect(global.fetch).toHaveBeenCalledTimes(3);
+      expect(onDetails).toHaveBeenCalledWith(expect.objectContaining({ truncated: true, continuations: 2 }));
+    });
+
+    it('should keep the partial text when a continuation fails', async () => {
+      global.fetch
+        .mockResolvedValueOnce(chatResult('Partial', 'length'))
+        .mockResolvedValueOnce(errorResponse(400, 'Bad request'));
+      const onDetails = jest.fn();
+
+      const text = await callProvider(settings, { ...baseRequest, provider: 'openai', model: 'gpt-4.1' }, {
+        maxContinuations: 1,
+        onDetails
+      });
+
+      expect(text).toBe('Partial');
+      expect(onDetails).toHaveBeenCalledWith(expect.objectContaining({ truncated: true }));
+    });
+
+    it('should detect truncated Anthropic streams and stream the continuation', async () => {
+      global.fetch
+        .mockResolvedValueOnce(streamResponse([
+          'data: {"type":"content_block_delta","delta":{"type":"text_delta","text":"Hello"}}\n\n',
+          'data: {"type":"message_delta","delta":{"stop_reason":"max_tokens"},"usage":{"output_tokens":5}}\n\n'
+        ]))
+        .mockResolvedValueOnce(streamResponse([
+          'data: {"type":"content_block_delta","delta":{"type":"text_delta","text":" world"}}\n\n',
+          'data: {"type":"message_delta","delta":{"stop_reason":"end_turn"}}\n\n'
+        ]));
+      const deltas = [];
+
+      const text = await callProvider(settings, { ...baseRequest, provider: 'anthropic', model: 'claude-haiku-4-5' }, {
+        onDelta: delta => deltas.push(delta),
+        maxContinuations: 1
+      });
+
+      expect(text).toBe('Hello world');
+      expect(deltas).toEqual(['Hello', ' world']);
+      expect(JSON.parse(global.fetch.mock.calls[1][1].body).messages[1]).toEqual({ role: 'assistant', content: 'Hello' });
+    });
+
+    it('should not continue unless asked to', async () => {
+      global.fetch.mockResolvedValueOnce(chatResult('Partial', 'length'));
+      const onDetails = jest.fn();
+
+      await callProvider(settings, { ...baseRequest, provider: 'openai', model: 'gpt-4.1' }, { onDetails });
+
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      expect(onDetails).toHaveBeenCalledWith(expect.objectContaining({ truncated: true, continuations: 0 }));
+    });
+  });
+
+  describe('OpenAI-compatible endpoints', () => {
+    it('should send max_tokens and no reasoning to unknown models', async () => {
+      global.fetch.mockResolvedValueOnce(jsonResponse({ choices: [{ message: { content: 'Draft' } }] }));
+
+      await callProvider({ ...settings, openaiBaseUrl: 'http://localhost:11434/v1' }, {
+        ...baseRequest, provider: 'openai', model: 'llama3', reasoningEffort: 'low'
+      });
+
+      const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+      expect(body.max_tokens).toBe(1000);
+      expect(body.max_completion_tokens).toBeUndefined();
+      expect(body.reasoning_effort).toBeUndefined();
+    });
+
+    it('should use a custom base URL and extra headers', async () => {
+      global.fetch.mockResolvedValueOnce(jsonResponse({ choices: [{ message: { content: 'Draft' } }] }));
+
+      await callProvider(
+        { ...settings, openaiBaseUrl: 'https://gateway.example.com/v1/', openaiHeaders: 'X-Gateway-Token: abc\nOpenAI-Project: proj_1' },
+        { ...baseRequest, provider: 'openai' }
+      );
+
+      const [url, init] = global.fetch.mock.calls[0];
+      expect(url).toBe('https://gateway.example.com/v1/chat/completions');
+      expect(init.headers).toMatchObject({
+        'Authorization': 'Bearer openai-key',
+        'X-Gateway-Token': 'abc',
+        'OpenAI-Project': 'proj_1'
+      });
+    });
+
+    it('should omit auth when no API key is configured', async () => {
+      global.fetch.mockResolvedValueOnce(jsonResponse({ choices: [{ message: { content: 'Draft' } }] }));
+      const localSettings = { apiKey: '', openaiNoApiKey: true, openaiBaseUrl: 'http://localhost:11434/v1' };
+
+      await callProvider(localSettings, { ...baseRequest, provider: 'openai' });
+
+      const [url, init] = global.fetch.mock.calls[0];
+      expect(url).toBe('http://localhost:11434/v1/chat/completions');
+      expect(init.headers.Authorization).toBeUndefined();
+      expect(isProviderConfigured(getProvider('openai'), localSettings)).toBe(true);
+      expect(isProviderConfigured(getProvider('openai'), { apiKey: '' })).toBe(false);
+    });
+
+    it('should parse custom headers and reject malformed lines', () => {
+      expect(parseCustomHeaders('# comment\n\nX-A: 1\nX-B: a:b')).toEqual({ 'X-A': '1', 'X-B': 'a:b' });
+      expect(parseCustomHeaders('')).toEqual({});
+      expect(() => parseCustomHeaders('not a header')).toThrow('line 1');
+    });
+  });
+
+  describe('Anthropic', () => {
+    it('should post a Messages API request with x-api-key auth', async () => {
+      global.fetch.mockResolvedValueOnce(jsonResponse({
+        content: [{ type: 'text', text: 'Claude draft' }]
+      }));
+
+      const text = await callProvider(settings, { ...baseRequest, provider: 'anthropic', reasoningEffort: 'minimal' });
+
+      expect(text).toBe('Claude draft');
+      const [url, init] = global.fetch.mock.calls[0];
+      expect(url).toBe('https://api.anthropic.com/v1/messages');
+      expect(init.headers['x-api-key']).toBe('anthropic-key');
+      expect(init.headers['anthropic-version']).toBeDefined();
+      const body = JSON.parse(init.body);
+      expect(body.system).toBe('System prompt');
+      expect(body.messages).toEqual([{ role: 'user', content: 'User prompt' }]);
+      expect(body.max_tokens).toBe(1000);
+      expect(body.thinking).toBeUndefined();
+    });
+
+    it('should map reasoning effort to a thinking budget and ignore thinking blocks', async () => {
+      global.fetch.mockResolvedValueOnce(jsonResponse({
+        content: [
+          { type: 'thinking', thinking: 'Let me think...' },
+          { type: 'text', text: 'Final answer' }
+        ]
+      }));
+
+      const text = await callProvider(settings, {
+        ...baseRequest, provider: 'anthropic', model: 'claude-sonnet-4-5', reasoningEffort: 'medium', temperature: 0.5
+      });
+
+      expect(text).toBe('Final answer');
+      const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+      expect(body.thinking).toEqual({ type: 'enabled', budget_tokens: 4096 });
+      expect(body.max_tokens).toBe(1000 + 4096);
+      // Thinking does not allow a custom temperature
+      expect(body.temperature).toBeUndefined();
+    });
+
+    it('should send top_p only when no temperature is set', async () => {
+      global.fetch
+        .mockResolvedValueOnce(jsonResponse({ content: [{ type: 'text', text: 'Draft' }] }))
+        .mockResolvedValueOnce(jsonResponse({ content: [{ type: 'text', text: 'Draft' }] }));
+      const request = { ...baseRequest, provider: 'anthropic', model: 'claude-haiku-4-5' };
+
+      await callProvider(settings, { ...request, temperature: 0.7, topP: 0.9 });
+      await callProvider(settings, { ...request, topP: 0.9 });
+
+      const bothBody = JSON.parse(global.fetch.mock.calls[0][1].body);
+      expect(bothBody.temperature).toBe(0.7);
+      expect(bothBody.top_p).toBeUndefined();
+      const topPBody = JSON.parse(global.fetch.mock.calls[1][1].body);
+      expect(topPBody.temperature).toBeUndefined();
+      expect(topPBody.top_p).toBe(0.9);
+    });
+
+    it('should normalize Anthropic error bodies', async () => {
+      global.fetch.mockResolvedValueOnce(errorResponse(529, JSON.stringify({
+        type: 'error',
+        error: { type: 'overloaded_error', message: 'Overloaded' }
+      })));
+
+      await expect(callProvider(settings, { ...baseRequest, provider: 'anthropic' })).rejects.toMatchObject({
+        message: 'Anthropic API error (529): Overloaded',
+        status: 529,
+        type: 'overloaded_error'
+      });
+    });
+  });
+
+  describe('Azure OpenAI', () => {
+    const azureSettings = { azureApiKey: 'azure-key', azureResourceName: 'my-resource', azureApiVersion: '2024-10-21' };
+
+    it('should post to the deployment URL with an api-key header', async () => {
+      global.fetch.mockResolvedValueOnce(jsonResponse({ choices: [{ message: { content: 'Azure draft' } }] }));
+
+      const text = await callProvider(azureSettings, { ...baseRequest, provider: 'azure', model: 'compose-deploy' });
+
+      expect(text).toBe('Azure draft');
+      const [url, init] = global.fetch.mock.calls[0];
+      expect(url).toBe('https://my-resource.openai.azure.com/openai/deployments/compose-deploy/chat/completions?api-version=2024-10-21');
+      expect(init.headers['api-key']).toBe('azure-key');
+      expect(init.headers.Authorization).toBeUndefined();
+    });
+
+    it('should accept a full endpoint URL as resource name', async () => {
+      global.fetch.mockResolvedValueOnce(jsonResponse({ choices: [{ message: { content: 'Azure draft' } }] }));
+
+      await callProvider(
+        { ...azureSettings, azureResourceName: 'https://apim.example.com/' },
+        { ...baseRequest, provider: 'azure', model: 'deploy' }
+      );
+
+      expect(global.fetch.mock.calls[0][0]).toBe('https://apim.example.com/openai/deployments/deploy/chat/completions?api-version=2024-10-21');
+    });
+
+    it('should send Responses API requests to the resource, naming the deployment as model', async () => {
+      global.fetch.mockResolvedValueOnce(jsonResponse({ output_text: 'Azure draft' }));
+
+      const text = await callProvider(azureSettings, { ...baseRequest, provider: 'azure', model: 'o4-mini' });
+
+      expect(text).toBe('Azure draft');
+      const [url, init] = global.fetch.mock.calls[0];
+      expect(url).toBe('https://my-resource.openai.azure.com/openai/responses?api-version=2024-10-21');
+      expect(JSON.parse(init.body).model).toBe('o4-mini');
+    });
+
+    it('should report missing credentials and resource name', () => {
+      const azure = getProvider('azure');
+      expect(getProviderConfigError(azure, azureSettings)).toBeNull();
+      expect(getProviderConfigError(azure, { ...azureSettings, azureApiKey: '' })).toContain('API Key is missing');
+      expect(getProviderConfigError(azure, { ...azureSettings, azureResourceName: ' ' })).toContain('resource name');
+    });
+  });
+
+  describe('streaming', () => {
+    it('should stream OpenAI chat/completions deltas split across chunks', async () => {
+      global.fetch.mockResolvedValueOnce(streamResponse([
+        'data: {"choices":[{"delta":{"role":"assistant"}}]}\n\n',
+        'data: {"choices":[{"delta":{"content":"Hel"}}]}\n\ndata: {"choices":[{"del',
+        'ta":{"content":"lo!"}}]}\n\n',
+        'data: [DONE]\n\n'
+      ]));
+      const onDelta = jest.fn();
+
+      const text = await callProvider(settings, { ...baseRequest, provider: 'openai' }, { onDelta });
+
+      expect(text).toBe('Hello!');
+      expect(onDelta.mock.calls.map(call => call[0])).toEqual(['Hel', 'lo!']);
+      expect(JSON.parse(global.fetch.mock.calls[0][1].body).stream).toBe(true);
+    });
+
+    it('should stream Anthropic text deltas and skip thinking deltas', async () => {
+      global.fetch.mockResolvedValueOnce(streamResponse([
+        'event: message_start\ndata: {"type":"message_start","message":{}}\n\n',
+        'event: content_block_delta\ndata: {"type":"content_block_delta","index":0,"delta":{"type":"thinking_delta","thinking":"hmm"}}\n\n',
+        'event: ping\ndata: {"type":"ping"}\n\n',
+        'event: content_block_delta\ndata: {"type":"content_block_delta","index":1,"delta":{"type":"text_delta","text":"Hi there"}}\n\n',
+        'event: message_stop\ndata: {"type":"message_stop"}\n\n'
+      ]));
+      const onDelta = jest.fn();
+
+      const text = await callProvider(settings, { ...baseRequest, provider: 'anthropic' }, { onDelta });
+
+      expect(text).toBe('Hi there');
+      expect(onDelta).toHaveBeenCalledTimes(1);
+    });
+
+    it('should surface errors sent inside the stream', async () => {
+      global.fetch.mockResolvedValueOnce(streamResponse([
+        'event: error\ndata: {"type":"error","error":{"type":"overloaded_error","message":"Overloaded"}}\n\n'
+      ]));
+
+      await expect(callProvider(settings, { ...baseRequest, provider: 'anthropic' }, { onDelta: jest.fn() }))
+        .rejects.toThrow('Anthropic API error (stream): Overloaded');
+    });
+
+    it('should fall back to a non-streamed request when streaming is not allowed', async () => {
+      global.fetch
+        .mockResolvedValueOnce(errorResponse(400, 'Your organization must be verified to stream this model.'))
+        .mockResolvedValueOnce(jsonResponse({ choices: [{ message: { content: 'Whole draft' } }] }));
+      const onDelta = jest.fn();
+
+      const text = await callProvider(settings, { ...baseRequest, provider: 'openai' }, { onDelta });
+
+      expect(text).toBe('Whole draft');
+      expect(onDelta).toHaveBeenCalledWith('Whole draft');
+      expect(JSON.parse(global.fetch.mock.calls[1][1].body).stream).toBeUndefined();
+    });
+  });
+
+  describe('fallbacks', () => {
+    it('should parse and format provider: model lists', () => {
+      const list = parseFallbackList('# backups\nanthropic: claude-haiku-4-5\n\nOpenAI: llama3:8b');
+      expect(list).toEqual([
+        { provider: 'anthropic', model: 'claude-haiku-4-5' },
+        { provider: 'openai', model: 'llama3:8b' }
+      ]);
+      expect(formatFallbackList(list)).toBe('anthropic: claude-haiku-4-5\nopenai: llama3:8b');
+      expect(parseFallbackList('')).toEqual([]);
+    });
+
+    it('should reject malformed lines and unknown providers', () => {
+      expect(() => parseFallbackList('gpt-5')).toThrow('line 1');
+      expect(() => parseFallbackList('openai: gpt-5\nmistral: large')).toThrow('Unknown provider "mistral" on line 2');
+    });
+
+    it('should fall back on missing models, overload and timeouts only', async () => {
+      global.fetch.mockResolvedValueOnce(errorResponse(404, JSON.stringify({
+        error: { message: 'The model `gpt-6` does not exist', code: 'model_not_found' }
+      })));
+      const notFound = await callProvider(settings, { ...baseRequest, provider: 'openai' }).catch(error => error);
+
+      expect(isFallbackError(notFound)).toBe(true);
+      expect(isFallbackError({ status: 529, type: 'overloaded_error', message: 'Overloaded' })).toBe(true);
+      expect(isFallbackError({ status: null, type: 'overloaded_error', message: 'Anthropic API error (stream): Overloaded' })).toBe(true);
+      expect(isFallbackError(Object.assign(new Error('Request timed out after 120s'), { timeout: true }))).toBe(true);
+      expect(isFallbackError({ status: 401, type: 'invalid_api_key', message: 'Incorrect API key provided' })).toBe(false);
+      expect(isFallbackError({ status: 400, message: 'Invalid value for messages' })).toBe(false);
+      expect(isFallbackError(Object.assign(new Error('Aborted'), { name: 'AbortError' }))).toBe(false);
+    });
+  });
+
+  describe('listProviderModels', () => {
+    it('should list OpenAI chat models and skip other model types', async () => {
+      global.fetch.mockResolvedValueOnce(jsonResponse({
+        data: [{ id: 'gpt-5' }, { id: 'text-embedding-3-small' }, { id: 'gpt-4.1' }, { id: 'whisper-1' }, { id: 'gpt-5' }]
+      }));
+
+      const models = await listProviderModels(settings, 'openai');
+
+      expect(models).toEqual(['gpt-4.1', 'gpt-5']);
+      const [url, init] = global.fetch.mock.calls[0];
+      expect(url).toBe('https://api.openai.com/v1/models');
+      expect(init.method).toBe('GET');
+      expect(init.headers.Authorization).toBe('Bearer openai-key');
+    });
+
+    it('should list Anthropic models with the Anthropic headers', async () => {
+      global.fetch.mockResolvedValueOnce(jsonResponse({
+        data: [{ id: 'claude-sonnet-4-5', type: 'model' }, { id: 'claude-haiku-4-5', type: 'model' }]
+      }));
+
+      const models = await listProviderModels(settings, 'anthropic');
+
+      expect(models).toEqual(['claude-haiku-4-5', 'claude-sonnet-4-5']);
+      const [url, init] = global.fetch.mock.calls[0];
+      expect(url).toBe('https://api.anthropic.com/v1/models?limit=1000');
+      expect(init.headers['x-api-key']).toBe('anthropic-key');
+      expect(init.headers['anthropic-version']).toBeDefined();
+    });
+
+    it('should report API errors and providers without a listing endpoint', async () => {
+      global.fetch.mockResolvedValueOnce(errorResponse(401, JSON.stringify({ error: { message: 'Invalid key' } })));
+
+      await expect(listProviderModels(settings, 'openai')).rejects.toThrow('OpenAI API error (401): Invalid key');
+      await expect(listProviderModels(settings, 'azure')).rejects.toThrow('does not support listing models');
+    });
+  });
+
+  describe('cancellation', () => {
+    it('should pass the abort signal to fetch and reject when aborted', async () => {
+      const controller = new AbortController();
+      global.fetch.mockImplementationOnce((url, init) => new Promise((resolve, reject) => {
+        init.signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+      }));
+
+      const pending = callProvider(settings, { ...baseRequest, provider: 'openai' }, { signal: controller.signal });
+      controller.abort();
+
+      await expect(pending).rejects.toMatchObject({ name: 'AbortError' });
+      expect(global.fetch.mock.calls[0][1].signal.aborted).toBe(true);
+    });
+  });
+});
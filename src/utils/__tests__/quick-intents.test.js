@@ -0,0 +1,32 @@
+import { describe, it, expect } from '@jest/globals';
+
+import {
+  DEFAULT_QUICK_INTENTS,
+  formatQuickIntents,
+  parseQuickIntents
+} from '../quick-intents.js';
+
+describe('quick-intents', () => {
+  describe('parseQuickIntents', () => {
+    it('should parse one "Label: instruction" per line, skipping blank lines', () => {
+      expect(parseQuickIntents(' Decline : Say no politely.\n\nReschedule: Propose next week: Tuesday or Wednesday.\n')).toEqual([
+        { label: 'Decline', instruction: 'Say no politely.' },
+        { label: 'Reschedule', instruction: 'Propose next week: Tuesday or Wednesday.' }
+      ]);
+      expect(parseQuickIntents('')).toEqual([]);
+    });
+
+    it('should reject lines without a label or an instruction', () => {
+      expect(() => parseQuickIntents('Say no politely')).toThrow('"Say no politely" should be written as "Label: instruction".');
+      expect(() => parseQuickIntents('Decline:')).toThrow('should be written as');
+      expect(() => parseQuickIntents(': Say no')).toThrow('should be written as');
+    });
+  });
+
+  describe('formatQuickIntents', () => {
+    it('should format intents so they parse back the same', () => {
+      expect(parseQuickIntents(formatQuickIntents(DEFAULT_QUICK_INTENTS))).toEqual(DEFAULT_QUICK_INTENTS);
+      expect(formatQuickIntents(undefined)).toBe('');
+    });
+  });
+});
@@ -0,0 +1,87 @@
+import { describe, it, expect } from '@jest/globals';
+
+import {
+  createRuleId,
+  findReplyRule,
+  getReplyRules,
+  matchesAddress,
+  matchesReplyRule
+} from '../reply-rules.js';
+
+describe('reply-rules', () => {
+  describe('getReplyRules', () => {
+    it('should return no rules when none are saved', () => {
+      expect(getReplyRules({})).toEqual([]);
+      expect(getReplyRules(undefined)).toEqual([]);
+    });
+
+    it('should fill in missing fields', () => {
+      expect(getReplyRules({ replyRules: [{ sender: ' @client.com ', tone: 'formal' }] })).toEqual([{
+        id: 'rule-1',
+        name: 'Rule 1',
+        sender: '@client.com',
+        subject: '',
+        recipients: '',
+        templateId: '',
+        tone: 'formal',
+        model: '',
+        reasoningEffort: ''
+      }]);
+    });
+  });
+
+  describe('matchesAddress', () => {
+    it('should match full addresses exactly', () => {
+      expect(matchesAddress('Jane@Client.com', 'jane@client.com')).toBe(true);
+      expect(matchesAddress('jane@client.com', 'john@client.com')).toBe(false);
+    });
+
+    it('should match domains and their subdomains', () => {
+      expect(matchesAddress('@client.com', 'jane@client.com')).toBe(true);
+      expect(matchesAddress('client.com', 'jane@eu.client.com')).toBe(true);
+      expect(matchesAddress('client.com', 'jane@myclient.com')).toBe(false);
+      expect(matchesAddress('client.com', '')).toBe(false);
+    });
+  });
+
+  describe('matchesReplyRule', () => {
+    const message = {
+      senderEmail: 'jane@client.com',
+      subject: 'Invoice for October',
+      recipients: ['jane@client.com', 'billing@acme.com']
+    };
+
+    it('should require every condition that is set', () => {
+      expect(matchesReplyRule({ sender: 'other.com, @client.com' }, message)).toBe(true);
+      expect(matchesReplyRule({ sender: '@client.com', subject: 'invoice, receipt' }, message)).toBe(true);
+      expect(matchesReplyRule({ sender: '@client.com', subject: 'contract' }, message)).toBe(false);
+      expect(matchesReplyRule({ recipients: 'billing@acme.com' }, message)).toBe(true);
+      expect(matchesReplyRule({ recipients: '@acme.org' }, message)).toBe(false);
+    });
+
+    it('should match every message when no condition is set', () => {
+      expect(matchesReplyRule({}, message)).toBe(true);
+      expect(matchesReplyRule({}, undefined)).toBe(true);
+    });
+  });
+
+  describe('findReplyRule', () => {
+    it('should return the first matching rule', () => {
+      const rules = [
+        { id: 'internal', sender: '@acme.com' },
+        { id: 'customers', sender: '@client.com' },
+        { id: 'everyone' }
+      ];
+      expect(findReplyRule(rules, { senderEmail: 'jane@client.com' }).id).toBe('customers');
+      expect(findReplyRule(rules, { senderEmail: 'bob@example.com' }).id).toBe('everyone');
+      expect(findReplyRule(rules.slice(0, 2), { senderEmail: 'bob@example.com' })).toBeNull();
+    });
+  });
+
+  describe('createRuleId', () => {
+    it('should create distinct ids', () => {
+      expect(createRuleId()).toMatch(/^rule-/);
+      expect(createRuleId()).not.toBe(createRuleId());
+    });
+  });
+});
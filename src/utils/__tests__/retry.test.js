@@ -0,0 +1,172 @@
+import { describe, it, expect, beforeEach, jest } from '@jest/globals';
+
+// Mock fetch
+global.fetch = jest.fn();
+
+import { fetchWithRetry, getBackoffDelay, isRetryableStatus, parseRetryAfter, readWithTimeout } from '../retry.js';
+
+const response = (status, headers = {}) => ({ ok: status < 400, status, headers: new Headers(headers) });
+const fastRetry = { baseDelayMs: 1, maxDelayMs: 5 };
+
+describe('retry', () => {
+  beforeEach(() => {
+    global.fetch.mockReset();
+  });
+
+  describe('isRetryableStatus', () => {
+    it('should retry rate limits and transient server errors only', () => {
+      [429, 500, 502, 503, 504].forEach(status => expect(isRetryableStatus(status)).toBe(true));
+      [400, 401, 403, 404, 422].forEach(status => expect(isRetryableStatus(status)).toBe(false));
+    });
+  });
+
+  describe('parseRetryAfter', () => {
+    it('should read seconds, HTTP dates and retry-after-ms', () => {
+      expect(parseRetryAfter(new Headers({ 'Retry-After': '2' }))).toBe(2000);
+      expect(parseRetryAfter(new Headers({ 'retry-after-ms': '350' }))).toBe(350);
+      const now = Date.parse('Mon, 19 Oct 2026 10:00:00 GMT');
+      expect(parseRetryAfter(new Headers({ 'Retry-After': 'Mon, 19 Oct 2026 10:00:05 GMT' }), now)).toBe(5000);
+    });
+
+    it('should return null without a usable header and cap long waits', () => {
+      expect(parseRetryAfter(new Headers())).toBeNull();
+      expect(parseRetryAfter(undefined)).toBeNull();
+      expect(parseRetryAfter(new Headers({ 'Retry-After': 'soon' }))).toBeNull();
+      expect(parseRetryAfter(new Headers({ 'Retry-After': '3600' }))).toBe(60000);
+    });
+  });
+
+  describe('getBackoffDelay', () => {
+    it('should grow exponentially with jitter up to the cap', () => {
+      for (let retry = 1; retry <= 3; retry++) {
+        const step = 1000 * 2 ** (retry - 1);
+        const delay = getBackoffDelay(retry);
+        expect(delay).toBeGreaterThanOrEqual(step / 2);
+        expect(delay).toBeLessThanOrEqual(step);
+      }
+      expect(getBackoffDelay(20)).toBeLessThanOrEqual(30000);
+    });
+  });
+
+  describe('fetchWithRetry', () => {
+    it('should retry retryable statuses and report progress', async () => {
+      global.fetch
+        .mockResolvedValueOnce(response(503))
+        .mockResolvedValueOnce(response(429, { 'Retry-After': '0' }))
+        .mockResolvedValueOnce(response(200));
+      const onRetry = jest.fn();
+
+      const result = await fetchWithRetry('https://api.test', {}, { maxRetries: 3, onRetry, ...fastRetry });
+
+      expect(result.status).toBe(200);
+      expect(global.fetch).toHaveBeenCalledTimes(3);
+      expect(onRetry.mock.calls.map(call => call[0])).toEqual([
+        expect.objectContaining({ attempt: 1, maxRetries: 3, reason: 'HTTP 503' }),
+        expect.objectContaining({ attempt: 2, maxRetries: 3, reason: 'HTTP 429', delayMs: 0 })
+      ]);
+    });
+
+    it('should cancel the body of a response that is retried', async () => {
+      const failed = { ...response(503), body: { cancel: jest.fn().mockResolvedValue(undefined) } };
+      global.fetch.mockResolvedValueOnce(failed).mockResolvedValueOnce(response(200));
+
+      await fetchWithRetry('https://api.test', {}, { maxRetries: 1, ...fastRetry });
+
+      expect(failed.body.cancel).toHaveBeenCalled();
+    });
+
+    it('should return the last failing response once retries are exhausted', async () => {
+      global.fetch.mockResolvedValue(response(500));
+
+      const result = await fetchWithRetry('https://api.test', {}, { maxRetries: 2, ...fastRetry });
+
+      expect(result.status).toBe(500);
+      expect(global.fetch).toHaveBeenCalledTimes(3);
+    });
+
+    it('should not retry client errors', async () => {
+      global.fetch.mockResolvedValueOnce(response(401));
+
+      const result = await fetchWithRetry('https://api.test', {}, { maxRetries: 3, ...fastRetry });
+
+      expect(result.status).toBe(401);
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('should retry network failures and rethrow the last one', async () => {
+      global.fetch.mockRejectedValue(new TypeError('Failed to fetch'));
+
+      await expect(fetchWithRetry('https://api.test', {}, { maxRetries: 1, ...fastRetry }))
+        .rejects.toThrow('Failed to fetch');
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+
+    it('should time out attempts that get no response', async () => {
+      global.fetch.mockImplementation((url, init) => new Promise((resolve, reject) => {
+        init.signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+      }));
+
+      await expect(fetchWithRetry('https://api.test', {}, { timeoutMs: 10 }))
+        .rejects.toMatchObject({ timeout: true });
+    });
+
+    it('should stop waiting for a retry when cancelled', async () => {
+      global.fetch.mockResolvedValue(response(503, { 'Retry-After': '30' }));
+      const controller = new AbortController();
+
+      const pending = fetchWithRetry('https://api.test', {}, {
+        maxRetries: 3,
+        signal: controller.signal,
+        onRetry: () => controller.abort()
+      });
+
+      await expect(pending).rejects.toMatchObject({ name: 'AbortError' });
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('readWithTimeout', () => {
+    // A reader whose reads resolve when the test says so
+    const createReader = () => {
+      const pending = [];
+      return {
+        pending,
+        read: jest.fn(() => new Promise(resolve => pending.push(resolve))),
+        cancel: jest.fn().mockResolvedValue(undefined)
+      };
+    };
+
+    it('should return each chunk, the wait starting over for every read', async () => {
+      const reader = createReader();
+
+      const first = readWithTimeout(reader, 50);
+      reader.pending[0]({ value: 'a', done: false });
+      await expect(first).resolves.toEqual({ value: 'a', done: false });
+      await new Promise(resolve => setTimeout(resolve, 30));
+      const second = readWithTimeout(reader, 50);
+      await new Promise(resolve => setTimeout(resolve, 30));
+      reader.pending[1]({ value: undefined, done: true });
+
+      await expect(second).resolves.toEqual({ value: undefined, done: true });
+      expect(reader.cancel).not.toHaveBeenCalled();
+    });
+
+    it('should cancel the stream when no chunk arrives in time', async () => {
+      const reader = createReader();
+
+      await expect(readWithTimeout(reader, 10)).rejects.toMatchObject({ timeout: true });
+      expect(reader.cancel).toHaveBeenCalled();
+    });
+
+    it('should cancel the stream when the signal fires', async () => {
+      const reader = createReader();
+      const controller = new AbortController();
+
+      const pending = readWithTimeout(reader, 0, controller.signal);
+      controller.abort();
+
+      await expect(pending).rejects.toMatchObject({ name: 'AbortError' });
+      expect(reader.cancel).toHaveBeenCalled();
+    });
+  });
+});
@@ -6,33 +6,127 @@ const mockStorage = {
     get: jest.fn(),
     set: jest.fn(),
   },
+  local: {
+    get: jest.fn(),
+    set: jest.fn(),
+  },
 };
 global.chrome = { storage: mockStorage };
 
 // Import functions to test AFTER mocks are set up
-import { getSettings, setSettings } from '../storage.js';
+import {
+  getSettings,
+  setSettings,
+  getModelCache,
+  setCachedModels,
+  getTemplateChoice,
+  setTemplateChoice,
+  getSyncSettingsSize,
+  SYNC_ITEM_MAX_BYTES
+} from '../storage.js';
 
 // Define defaults here for comparison (should match storage.js)
 const DEFAULT_SETTINGS = {
   apiKey: '',
-  model: 'gpt-5',
-  composeModel: 'gpt-5',
-  gmailImproveModel: 'gpt-5',
-  generalImproveModel: 'gpt-5',
+  anthropicApiKey: '',
+  openaiBaseUrl: '',
+  openaiHeaders: '',
+  openaiNoApiKey: false,
+  anthropicBaseUrl: '',
+  anthropicHeaders: '',
+  anthropicNoApiKey: false,
+  azureApiKey: '',
+  azureResourceName: '',
+  azureApiVersion: '2025-04-01-preview',
+  azureHeaders: '',
+  composeAzureDeployment: '',
+  gmailImproveAzureDeployment: '',
+  generalImproveAzureDeployment: '',
+  maxRetries: 3,
+  requestTimeoutSeconds: 120,
+  maxContinuations: 2,
+  model: 'gpt-5-mini',
+  composeProvider: 'openai',
+  gmailImproveProvider: 'openai',
+  generalImproveProvider: 'openai',
+  composeModel: 'gpt-5-mini',
+  gmailImproveModel: 'gpt-5-mini',
+  generalImproveModel: 'gpt-5-mini',
+  composeFallbacks: [],
+  gmailImproveFallbacks: [],
+  generalImproveFallbacks: [],
   composeReasoningEffort: 'minimal',
   improveReasoningEffort: 'minimal',
-  promptTemplate: `Write a draft response to the emails below in the context. Keep it simple, respect my tone (informal) and the language of the email chain. Use paragraphs wisely, do not over index on them. User may leave specific instructions within <> notation, those are not part of the email but will give you info about how to redact it. Act on those instructions. Sign with Álvaro when appropriate. \n\nThese are talking points:\n[Bullet_points]\n\nEmail context:\n[Email_context]`,
-  improvePromptTemplate: `Correct typos and improve the message, maintaining the tone and length, keeping in mind the conversation context (if available), and the language of the draft. The selected text to improve is:\n\n[Selected_text]\n\nConversation context (if any):\n[Email_context]`,
+  generalImproveEffort: 'minimal',
+  composeTemperature: null,
+  composeTopP: null,
+  gmailImproveTemperature: null,
+  gmailImproveTopP: null,
+  generalImproveTemperature: null,
+  generalImproveTopP: null,
+  modelCapabilities: {},
+  composeSystemPrompt: 'You are an email assistant that helps draft professional, contextually appropriate replies.',
+  gmailImproveSystemPrompt: 'You are an email assistant that polishes drafts while keeping the author\'s voice. Return only the improved text.',
+  generalImproveSystemPrompt: 'You are a proofreading assistant. Return only the corrected text, without comments.',
+  composeMaxOutputTokens: 2000,
+  gmailImproveMaxOutputTokens: 1000,
+  generalImproveMaxOutputTokens: 1000,
+  draftVariants: 1,
+  draftVariantTones: ['concise', 'warm and personal', 'formal'],
+  cleanEmailContext: true,
+  contextFooterPatterns: [
+    '^(confidentiality|privileged|legal) (notice|note|disclaimer)',
+    '^disclaimer\\b',
+    'this (e-?mail|message|communication)\\b.{0,80}\\b(confidential|privileged|intended (solely|only) for)',
+    'please consider the environment before printing'
+  ],
+  promptTemplates: [
+    {
+      id: 'default',
+      name: 'General reply',
+      template: `Write a draft response to the emails below in the context. Keep it simple, use [#if Tone]a [Tone] tone[else]my tone (informal)[/if] and the language of the email chain[#if My_languages] (I write in [My_languages])[/if].[#if Length] Make it [Length].[/if] Use paragraphs wisely, do not over index on them. User may leave specific instructions within <> notation, those are not part of the email but will give you info about how to redact it. Act on those instructions.[#if My_role] I am [My_role][#if My_company] at [My_company][/if].[/if][#if Sign_off] Close with "[Sign_off]"[#if My_name] and sign with [My_name][/if] when appropriate.[else][#if My_name] Sign with [My_name] when appropriate.[/if][/if] \n\nThese are talking points:\n[Bullet_points]\n\n[#if Email_context]\nEmail context:\n[Email_context]\n[/if]`,
+      model: '',
+      reasoningEffort: ''
+    }
+  ],
+  defaultReplyTone: '',
+  defaultReplyLength: '',
+  profileName: '',
+  profileRole: '',
+  profileCompany: '',
+  profileSignOff: '',
+  profileLanguages: '',
+  replyRules: [],
+  quickIntents: [
+    { label: 'Accept', instruction: 'Accept the request or invitation and thank them.' },
+    { label: 'Decline', instruction: 'Politely decline, thank them and keep the door open for the future.' },
+    { label: 'Ask for details', instruction: 'Ask for the details needed to move forward.' },
+    { label: 'Follow up', instruction: 'Follow up on the last message and ask for an update.' }
+  ],
+  improvePromptTemplate: `Correct typos and improve the message, maintaining the tone and length, keeping in mind the conversation context (if available), and the language of the draft. The selected text to improve is:\n\n[Selected_text]\n\n[#if Email_context]\nConversation context:\n[Email_context]\n[/if]`,
   genericImprovePromptTemplate: `Act as a proofreading expert. Carefully review the following text for spelling mistakes, typos, and minor grammatical errors. Correct any issues you find, but do not change the style or meaning of the original message. Return only the corrected version. Simplify when possible, less is more. Do not end sentences with a "." unless there is one already in the selected text. User may leave specific instructions within <> notation. Act on those instructions. \n\n[Selected_text]`
 };
 
 const SETTINGS_KEY = 'ai-reply.settings';
+const LIBRARY_KEY = 'ai-reply.library';
+
+// The settings kept in chrome.storage.local instead of the sync item
+const splitSettings = ({ promptTemplates, replyRules, quickIntents, ...settings }) => {
+  const syncSettings = { ...settings };
+  // The single template saved before the library is dropped
+  delete syncSettings.promptTemplate;
+  return { syncSettings, library: { promptTemplates, replyRules, quickIntents } };
+};
 
 describe('Storage Utilities', () => {
   beforeEach(() => {
     // Reset mocks before each test
     mockStorage.sync.get.mockReset();
     mockStorage.sync.set.mockReset();
+    mockStorage.local.get.mockReset();
+    mockStorage.local.set.mockReset();
+    mockStorage.local.get.mockResolvedValue({});
+    mockStorage.local.set.mockResolvedValue(undefined);
   });
 
 describe('getSettings', () => {
@@ -56,6 +150,40 @@ describe('getSettings', () => {
       expect(mockStorage.sync.get).toHaveBeenCalledWith({ [SETTINGS_KEY]: {} });
     });
 
+    it('should move a template saved before the template library into it', async () => {
+      mockStorage.sync.get.mockResolvedValue({ [SETTINGS_KEY]: { promptTemplate: 'My prompt [Bullet_points]' } });
+
+      const settings = await getSettings();
+
+      expect(settings.promptTemplates).toEqual([
+        { ...DEFAULT_SETTINGS.promptTemplates[0], template: 'My prompt [Bullet_points]' }
+      ]);
+    });
+
+    it('should keep a saved template library', async () => {
+      const promptTemplates = [
+        { id: 'sales', name: 'Sales', template: 'Sell [Bullet_points]', model: 'gpt-5', reasoningEffort: 'low' }
+      ];
+      mockStorage.sync.get.mockResolvedValue({ [SETTINGS_KEY]: { promptTemplate: 'Old', promptTemplates } });
+
+      expect((await getSettings()).promptTemplates).toEqual(promptTemplates);
+    });
+
+    it('should read the template library, rules and quick intents from local storage', async () => {
+      const promptTemplates = [
+        { id: 'sales', name: 'Sales', template: 'Sell [Bullet_points]', model: '', reasoningEffort: '' }
+      ];
+      const replyRules = [{ id: 'rule-1', name: 'Customers', sender: '@client.com', tone: 'formal' }];
+      mockStorage.sync.get.mockResolvedValue({ [SETTINGS_KEY]: { apiKey: 'key', replyRules: [] } });
+      mockStorage.local.get.mockResolvedValue({ [LIBRARY_KEY]: { promptTemplates, replyRules } });
+
+      const settings = await getSettings();
+
+      expect(settings).toMatchObject({ apiKey: 'key', promptTemplates, replyRules });
+      expect(settings.quickIntents).toEqual(DEFAULT_SETTINGS.quickIntents);
+      expect(mockStorage.local.get).toHaveBeenCalledWith({ [LIBRARY_KEY]: {} });
+    });
+
     it('should handle cases where storage explicitly returns undefined/null for the key', async () => {
         mockStorage.sync.get.mockResolvedValue({ [SETTINGS_KEY]: undefined });
         let settings = await getSettings();
@@ -81,11 +209,11 @@ describe('setSettings', () => {
     it('should save merged settings correctly', async () => {
       const initialStored = { apiKey: 'old-key', model: 'gpt-4o' };
       const partialUpdate = { apiKey: 'new-key', promptTemplate: 'New prompt' };
-      const expectedSaved = {
+      const { syncSettings: expectedSaved, library } = splitSettings({
         ...DEFAULT_SETTINGS, // Ensure defaults are included
         ...initialStored,    // Apply initial stored values
         ...partialUpdate,    // Apply partial updates
-      };
+      });
 
       // Mock get to return initial state
       mockStorage.sync.get.mockResolvedValue({ [SETTINGS_KEY]: initialStored });
@@ -99,11 +227,12 @@ describe('setSettings', () => {
       expect(mockStorage.sync.get).toHaveBeenCalledWith({ [SETTINGS_KEY]: {} });
       // Verify set was called with the correctly merged object
       expect(mockStorage.sync.set).toHaveBeenCalledWith({ [SETTINGS_KEY]: expectedSaved });
+      expect(mockStorage.local.set).toHaveBeenCalledWith({ [LIBRARY_KEY]: library });
     });
 
     it('should handle setting initial values when storage is empty', async () => {
         const partialUpdate = { apiKey: 'first-key' };
-        const expectedSaved = { ...DEFAULT_SETTINGS, ...partialUpdate };
+        const { syncSettings: expectedSaved } = splitSettings({ ...DEFAULT_SETTINGS, ...partialUpdate });
 
         // Simulate empty storage
         mockStorage.sync.get.mockResolvedValue({});
@@ -126,6 +255,27 @@ describe('setSettings', () => {
         expect(mockStorage.sync.set).not.toHaveBeenCalled();
     });
 
+    it('should keep a long template library out of the sync item', async () => {
+      mockStorage.sync.get.mockResolvedValue({ [SETTINGS_KEY]: {} });
+      const template = { ...DEFAULT_SETTINGS.promptTemplates[0], template: 'x'.repeat(2000) };
+      const promptTemplates = Array.from({ length: 10 }, (_, index) => ({ ...template, id: `t${index}`, name: `T${index}` }));
+
+      expect(await setSettings({ promptTemplates })).toBe(true);
+      const [[saved]] = mockStorage.sync.set.mock.calls;
+      expect(saved[SETTINGS_KEY]).not.toHaveProperty('promptTemplates');
+      expect(getSyncSettingsSize({ ...DEFAULT_SETTINGS, promptTemplates })).toBeLessThan(SYNC_ITEM_MAX_BYTES);
+    });
+
+    it('should not save settings larger than a sync item', async () => {
+      mockStorage.sync.get.mockResolvedValue({ [SETTINGS_KEY]: {} });
+
+      const success = await setSettings({ improvePromptTemplate: 'x'.repeat(SYNC_ITEM_MAX_BYTES) });
+
+      expect(success).toBe(false);
+      expect(mockStorage.sync.set).not.toHaveBeenCalled();
+      expect(mockStorage.local.set).not.toHaveBeenCalled();
+    });
+
     it('should return false if chrome.storage.sync.set throws an error', async () => {
       const testError = new Error('Storage set failed');
       // Mock get to return something simple
@@ -140,4 +290,49 @@ describe('setSettings', () => {
       // Optionally check console.error
     });
   });
-}); 
\ No newline at end of file
+
+describe('model cache', () => {
+    const MODEL_CACHE_KEY = 'ai-reply.modelCache';
+
+    it('should return an empty cache if nothing is stored', async () => {
+      mockStorage.local.get.mockResolvedValue({ [MODEL_CACHE_KEY]: {} });
+
+      expect(await getModelCache()).toEqual({});
+      expect(mockStorage.sync.get).not.toHaveBeenCalled();
+    });
+
+    it('should add a provider entry without dropping the others', async () => {
+      const openaiEntry = { models: ['gpt-5'], fetchedAt: 1, baseUrl: 'https://api.openai.com/v1' };
+      const anthropicEntry = { models: ['claude-haiku-4-5'], fetchedAt: 2, baseUrl: 'https://api.anthropic.com/v1' };
+      mockStorage.local.get.mockResolvedValue({ [MODEL_CACHE_KEY]: { openai: openaiEntry } });
+
+      const success = await setCachedModels('anthropic', anthropicEntry);
+
+      expect(success).toBe(true);
+      expect(mockStorage.local.set).toHaveBeenCalledWith({
+        [MODEL_CACHE_KEY]: { openai: openaiEntry, anthropic: anthropicEntry }
+      });
+    });
+  });
+
+describe('template choices', () => {
+    const TEMPLATE_CHOICES_KEY = 'ai-reply.templateChoices';
+
+    it('should return the template last used for a domain', async () => {
+      mockStorage.local.get.mockResolvedValue({ [TEMPLATE_CHOICES_KEY]: { 'example.com': 'sales' } });
+
+      expect(await getTemplateChoice('example.com')).toBe('sales');
+      expect(await getTemplateChoice('other.com')).toBeNull();
+      expect(await getTemplateChoice('')).toBeNull();
+    });
+
+    it('should move the domain to the most recently used end', async () => {
+      mockStorage.local.get.mockResolvedValue({ [TEMPLATE_CHOICES_KEY]: { 'example.com': 'sales', 'other.com': 'default' } });
+
+      expect(await setTemplateChoice('example.com', 'recruiting')).toBe(true);
+
+      const [[saved]] = mockStorage.local.set.mock.calls;
+      expect(Object.entries(saved[TEMPLATE_CHOICES_KEY])).toEqual([['other.com', 'default'], ['example.com', 'recruiting']]);
+    });
+  });
+});
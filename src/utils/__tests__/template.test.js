@@ -0,0 +1,81 @@
+import { describe, it, expect } from '@jest/globals';
+
+import { parseTemplate, renderTemplate, validateTemplate } from '../template.js';
+
+describe('template', () => {
+  describe('renderTemplate', () => {
+    it('should replace placeholders and leave unknown ones as written', () => {
+      expect(renderTemplate('Hi [Name], [Unknown]. [Name]!', { Name: 'Jane' })).toBe('Hi Jane, [Unknown]. Jane!');
+      expect(renderTemplate('Notes: [Notes] [1]', { Notes: 'costs $5 [Name]' })).toBe('Notes: costs $5 [Name] [1]');
+      expect(renderTemplate(undefined, {})).toBe('');
+    });
+
+    it('should keep conditional blocks when the placeholder has a value', () => {
+      const template = 'Hi[#if Name] [Name][/if].[#if !Name] Who are you?[else] Welcome.[/if]';
+
+      expect(renderTemplate(template, { Name: 'Jane' })).toBe('Hi Jane. Welcome.');
+      expect(renderTemplate(template, { Name: '  ' })).toBe('Hi. Who are you?');
+      expect(renderTemplate(template, {})).toBe('Hi. Who are you?');
+    });
+
+    it('should remove block tags alone on their line with the line', () => {
+      const template = 'Fix:\n[Text]\n\n[#if Context]\nContext:\n[Context]\n[/if]\nThanks';
+
+      expect(renderTemplate(template, { Text: 'x', Context: 'ctx' })).toBe('Fix:\nx\n\nContext:\nctx\nThanks');
+      expect(renderTemplate(template, { Text: 'x', Context: '' })).toBe('Fix:\nx\n\nThanks');
+    });
+
+    it('should support nested blocks', () => {
+      const template = '[#if A]a[#if B]b[else]!b[/if][else]!a[#if B]b[/if][/if].';
+
+      expect(renderTemplate(template, { A: '1', B: '1' })).toBe('ab.');
+      expect(renderTemplate(template, { A: '1' })).toBe('a!b.');
+      expect(renderTemplate(template, { B: '1' })).toBe('!ab.');
+    });
+
+    it('should throw on malformed blocks', () => {
+      expect(() => renderTemplate('[#if A]a', {})).toThrow('[#if A] is never closed with [/if].');
+      expect(() => renderTemplate('a[/if]', {})).toThrow('[/if] has no matching [#if].');
+      expect(() => renderTemplate('[else]', {})).toThrow('[else] is outside of an [#if] block.');
+      expect(() => renderTemplate('[#if A]a[else]b[else]c[/if]', {})).toThrow('[#if A] has more than one [else].');
+    });
+  });
+
+  describe('parseTemplate', () => {
+    it('should return text, placeholder and conditional nodes', () => {
+      expect(parseTemplate('a [B][#if !C]d[/if]')).toEqual([
+        { type: 'text', value: 'a ' },
+        { type: 'placeholder', name: 'B', tag: '[B]' },
+        {
+          type: 'if',
+          name: 'C',
+          negate: true,
+          then: [{ type: 'text', value: 'd' }],
+          otherwise: [],
+          tag: '[#if !C]'
+        }
+      ]);
+    });
+  });
+
+  describe('validateTemplate', () => {
+    const options = { allowed: ['Bullet_points', 'Email_context'], required: ['Bullet_points'] };
+
+    it('should accept valid templates', () => {
+      expect(validateTemplate('[Bullet_points]\n[#if Email_context]\n[Email_context]\n[/if]', options)).toEqual([]);
+    });
+
+    it('should flag unknown and missing placeholders', () => {
+      expect(validateTemplate('[Bullet_Points] [#if Context]x[/if]', options)).toEqual([
+        'Unknown placeholder [Bullet_Points] (did you mean [Bullet_points]?).',
+        'Unknown placeholder [Context].',
+        'Missing required placeholder [Bullet_points].'
+      ]);
+    });
+
+    it('should report block errors', () => {
+      expect(validateTemplate('[#if Email_context][Bullet_points]', options))
+        .toEqual(['[#if Email_context] is never closed with [/if].']);
+    });
+  });
+});
@@ -0,0 +1,66 @@
+import { describe, it, expect } from '@jest/globals';
+
+import { formatParticipant, formatThreadMessage, formatThreadMessages } from '../thread.js';
+
+const message = (overrides = {}) => ({
+  senderName: 'Jane Doe',
+  senderEmail: 'jane@example.com',
+  recipients: [{ name: 'Bob', email: 'bob@example.com' }, { name: '', email: 'team@example.com' }],
+  timestamp: 'Tue, Oct 14, 2025, 10:32 AM',
+  subject: 'Quarterly review',
+  body: 'Can we meet on Friday?',
+  ...overrides
+});
+
+describe('thread', () => {
+  describe('formatParticipant', () => {
+    it('should show the name and address, or whichever is known', () => {
+      expect(formatParticipant({ name: 'Jane', email: 'jane@example.com' })).toBe('Jane <jane@example.com>');
+      expect(formatParticipant({ name: '', email: 'jane@example.com' })).toBe('jane@example.com');
+      expect(formatParticipant({ name: 'jane@example.com', email: 'jane@example.com' })).toBe('jane@example.com');
+      expect(formatParticipant({ name: 'Jane' })).toBe('Jane');
+      expect(formatParticipant()).toBe('');
+    });
+  });
+
+  describe('formatThreadMessage', () => {
+    it('should put the headers before the body', () => {
+      expect(formatThreadMessage(message())).toBe([
+        'From: Jane Doe <jane@example.com>',
+        'To: Bob <bob@example.com>, team@example.com',
+        'Date: Tue, Oct 14, 2025, 10:32 AM',
+        'Subject: Quarterly review',
+        '',
+        'Can we meet on Friday?'
+      ].join('\n'));
+    });
+
+    it('should leave out unknown headers and keep plain strings as they are', () => {
+      expect(formatThreadMessage(message({ senderName: '', senderEmail: '', recipients: [], timestamp: '', subject: '' })))
+        .toBe('Can we meet on Friday?');
+      expect(formatThreadMessage(message(), { includeSubject: false })).not.toContain('Subject:');
+      expect(formatThreadMessage('  Plain text  ')).toBe('Plain text');
+      expect(formatThreadMessage(null)).toBe('');
+    });
+  });
+
+  describe('formatThreadMessages', () => {
+    it('should only repeat the subject when it changes', () => {
+      const formatted = formatThreadMessages([
+        message(),
+        message({ body: 'Friday works.' }),
+        message({ subject: 'Re: Quarterly review', body: 'See you then.' })
+      ]);
+
+      expect(formatted).toHaveLength(3);
+      expect(formatted[0]).toContain('Subject: Quarterly review');
+      expect(formatted[1]).not.toContain('Subject:');
+      expect(formatted[2]).toContain('Subject: Re: Quarterly review');
+    });
+
+    it('should skip empty messages and accept a missing list', () => {
+      expect(formatThreadMessages(['First', '', '  '])).toEqual(['First']);
+      expect(formatThreadMessages(undefined)).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,47 @@
+import { describe, it, expect } from '@jest/globals';
+
+import {
+  buildVariantPrompts,
+  getVariantCount,
+  parseToneList,
+  DEFAULT_VARIANT_TONES,
+  MAX_DRAFT_VARIANTS
+} from '../variants.js';
+
+describe('variants', () => {
+  describe('getVariantCount', () => {
+    it('should clamp the count between 1 and the maximum', () => {
+      expect(getVariantCount(3)).toBe(3);
+      expect(getVariantCount('2')).toBe(2);
+      expect(getVariantCount(0)).toBe(1);
+      expect(getVariantCount(undefined)).toBe(1);
+      expect(getVariantCount('many')).toBe(1);
+      expect(getVariantCount(99)).toBe(MAX_DRAFT_VARIANTS);
+    });
+  });
+
+  describe('buildVariantPrompts', () => {
+    it('should keep the first prompt as written and add a tone to the others', () => {
+      const variants = buildVariantPrompts('Reply please.', ['short', 'formal'], 3);
+
+      expect(variants).toEqual([
+        { tone: null, prompt: 'Reply please.' },
+        { tone: 'short', prompt: 'Reply please.\n\nWrite this version in a short tone.' },
+        { tone: 'formal', prompt: 'Reply please.\n\nWrite this version in a formal tone.' }
+      ]);
+    });
+
+    it('should cycle through the tones and fall back to the defaults', () => {
+      expect(buildVariantPrompts('P', ['short'], 3).map(({ tone }) => tone)).toEqual([null, 'short', 'short']);
+      expect(buildVariantPrompts('P', [' ', ''], 2)[1].tone).toBe(DEFAULT_VARIANT_TONES[0]);
+      expect(buildVariantPrompts('P', undefined, 1)).toEqual([{ tone: null, prompt: 'P' }]);
+    });
+  });
+
+  describe('parseToneList', () => {
+    it('should read one tone per line, ignoring blank lines', () => {
+      expect(parseToneList(' concise \n\nformal\n')).toEqual(['concise', 'formal']);
+      expect(parseToneList('')).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,183 @@
+/**
+ * Per-model capability registry. Requests are built from these capabilities so that
+ * each model only receives parameters it accepts, instead of guessing and retrying.
+ * Users can override or extend the table for custom models from the options page.
+ */
+
+/**
+ * Capability fields:
+ * - reasoning: accepts a reasoning effort (OpenAI `reasoning_effort`, Anthropic thinking)
+ * - temperature / topP: accepts sampling parameters
+ * - maxTokensParam: name of the output limit parameter ('max_completion_tokens' or 'max_tokens')
+ * - contextWindow: total tokens the model can take (prompt + output)
+ * - jsonMode: supports a JSON response format
+ * - streaming: supports server-sent event streaming
+ * - api: the OpenAI/Azure API to call, 'chat' (chat/completions) or 'responses' (Responses API)
+ */
+const CAPABILITY_TYPES = {
+  reasoning: 'boolean',
+  temperature: 'boolean',
+  topP: 'boolean',
+  maxTokensParam: 'string',
+  contextWindow: 'number',
+  jsonMode: 'boolean',
+  streaming: 'boolean',
+  api: 'string'
+};
+
+const MAX_TOKENS_PARAMS = ['max_completion_tokens', 'max_tokens'];
+const APIS = ['chat', 'responses'];
+
+// Used for models no table entry matches. OpenAI-compatible servers (Ollama, llama.cpp,
+// gateways) generally understand `max_tokens` and sampling parameters but not reasoning.
+const PROVIDER_DEFAULTS = {
+  openai: {
+    reasoning: false,
+    temperature: true,
+    topP: true,
+    maxTokensParam: 'max_tokens',
+    contextWindow: 8192,
+    jsonMode: false,
+    streaming: true,
+    api: 'chat'
+  },
+  azure: {
+    reasoning: false,
+    temperature: true,
+    topP: true,
+    maxTokensParam: 'max_completion_tokens',
+    contextWindow: 128000,
+    jsonMode: true,
+    streaming: true,
+    api: 'chat'
+  },
+  anthropic: {
+    reasoning: false,
+    temperature: true,
+    topP: true,
+    maxTokensParam: 'max_tokens',
+    contextWindow: 200000,
+    jsonMode: false,
+    streaming: true
+  }
+};
+
+// Reasoning models work best through the Responses API, which keeps their reasoning
+// across output items and can summarize it
+const OPENAI_REASONING_MODEL = {
+  reasoning: true,
+  temperature: false,
+  topP: false,
+  maxTokensParam: 'max_completion_tokens',
+  jsonMode: true,
+  streaming: true,
+  api: 'responses'
+};
+
+const OPENAI_CHAT_MODEL = {
+  reasoning: false,
+  temperature: true,
+  topP: true,
+  maxTokensParam: 'max_completion_tokens',
+  jsonMode: true,
+  streaming: true,
+  api: 'chat'
+};
+
+// Known model families, matched by model id (a trailing `*` matches any suffix).
+// Azure deployments are often named after their model, so OpenAI entries apply to them too.
+// The first matching entry wins, so more specific patterns come first.
+const KNOWN_MODELS = [
+  { providers: ['openai', 'azure'], pattern: 'gpt-5-chat*', capabilities: { ...OPENAI_CHAT_MODEL, contextWindow: 128000 } },
+  { providers: ['openai', 'azure'], pattern: 'gpt-5*', capabilities: { ...OPENAI_REASONING_MODEL, contextWindow: 400000 } },
+  { providers: ['openai', 'azure'], pattern: 'o1-mini*', capabilities: { ...OPENAI_REASONING_MODEL, reasoning: false, api: 'chat', contextWindow: 128000 } },
+  { providers: ['openai', 'azure'], pattern: 'o1*', capabilities: { ...OPENAI_REASONING_MODEL, contextWindow: 200000 } },
+  { providers: ['openai', 'azure'], pattern: 'o3*', capabilities: { ...OPENAI_REASONING_MODEL, contextWindow: 200000 } },
+  { providers: ['openai', 'azure'], pattern: 'o4-mini*', capabilities: { ...OPENAI_REASONING_MODEL, contextWindow: 200000 } },
+  { providers: ['openai', 'azure'], pattern: 'gpt-4.1*', capabilities: { ...OPENAI_CHAT_MODEL, contextWindow: 1047576 } },
+  { providers: ['openai', 'azure'], pattern: 'gpt-4o*', capabilities: { ...OPENAI_CHAT_MODEL, contextWindow: 128000 } },
+  { providers: ['openai', 'azure'], pattern: 'gpt-4-turbo*', capabilities: { ...OPENAI_CHAT_MODEL, contextWindow: 128000 } },
+  { providers: ['openai', 'azure'], pattern: 'gpt-3.5-turbo*', capabilities: { ...OPENAI_CHAT_MODEL, contextWindow: 16385 } },
+  // Claude 3.7+ and 4.x support extended thinking; older Claude 3 models do not.
+  { providers: ['anthropic'], pattern: 'claude-3-7-*', capabilities: { reasoning: true } },
+  { providers: ['anthropic'], pattern: 'claude-3*', capabilities: { reasoning: false } },
+  { providers: ['anthropic'], pattern: 'claude-*', capabilities: { reasoning: true } }
+];
+
+/**
+ * Checks a model id against a pattern (exact id, or a prefix ending with `*`).
+ * @param {string} pattern - The table or override key.
+ * @param {string} model - The model id.
+ * @returns {boolean}
+ */
+function matchesModel(pattern, model) {
+  if (pattern.endsWith('*')) return model.startsWith(pattern.slice(0, -1));
+  return model === pattern;
+}
+
+/**
+ * Resolves the capabilities of a model: provider defaults, then the first matching
+ * known model family, then the user's overrides (exact ids win over `*` patterns).
+ * @param {string} providerId - The provider id ('openai', 'anthropic', 'azure').
+ * @param {string} model - The model id (or Azure deployment name).
+ * @param {object} [overrides] - User overrides keyed by model id or `prefix*` pattern.
+ * @returns {{reasoning: boolean, temperature: boolean, topP: boolean, maxTokensParam: string,
+ *   contextWindow: number, jsonMode: boolean, streaming: boolean, api?: string}}
+ */
+export function getModelCapabilities(providerId, model, overrides = {}) {
+  const modelId = (model || '').trim().toLowerCase();
+  const known = KNOWN_MODELS.find(entry => entry.providers.includes(providerId) && matchesModel(entry.pattern, modelId));
+  const overrideKeys = Object.keys(overrides || {})
+    .filter(key => matchesModel(key.toLowerCase(), modelId))
+    // Apply patterns first so an exact id override has the last word
+    .sort((a, b) => Number(!a.endsWith('*')) - Number(!b.endsWith('*')));
+  return Object.assign(
+    {},
+    PROVIDER_DEFAULTS[providerId] || PROVIDER_DEFAULTS.openai,
+    known ? known.capabilities : {},
+    ...overrideKeys.map(key => overrides[key])
+  );
+}
+
+/**
+ * Parses the capability overrides edited in the options page: a JSON object mapping a
+ * model id (or `prefix*` pattern) to the capability fields to override.
+ * @param {string} text - The raw JSON text ('' for no overrides).
+ * @returns {object} - The validated overrides.
+ * @throws {Error} - If the JSON is invalid or uses unknown fields or wrong value types.
+ */
+export function parseCapabilityOverrides(text) {
+  if (!(text || '').trim()) return {};
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid JSON: ${error.message}`);
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('Expected an object mapping model IDs to capabilities.');
+  }
+  Object.entries(data).forEach(([model, capabilities]) => {
+    if (!capabilities || typeof capabilities !== 'object' || Array.isArray(capabilities)) {
+      throw new Error(`Capabilities for "${model}" must be an object.`);
+    }
+    Object.entries(capabilities).forEach(([field, value]) => {
+      if (!CAPABILITY_TYPES[field]) {
+        throw new Error(`Unknown capability "${field}" for "${model}". Use: ${Object.keys(CAPABILITY_TYPES).join(', ')}.`);
+      }
+      if (typeof value !== CAPABILITY_TYPES[field]) {
+        throw new Error(`Capability "${field}" for "${model}" must be a ${CAPABILITY_TYPES[field]}.`);
+      }
+      if (field === 'maxTokensParam' && !MAX_TOKENS_PARAMS.includes(value)) {
+        throw new Error(`"maxTokensParam" for "${model}" must be one of: ${MAX_TOKENS_PARAMS.join(', ')}.`);
+      }
+      if (field === 'api' && !APIS.includes(value)) {
+        throw new Error(`"api" for "${model}" must be one of: ${APIS.join(', ')}.`);
+      }
+      if (field === 'contextWindow' && !(value > 0)) {
+        throw new Error(`"contextWindow" for "${model}" must be a positive number.`);
+      }
+    });
+  });
+  return data;
+}
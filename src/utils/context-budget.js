@@ -0,0 +1,105 @@
+/**
+ * Sizes the email thread sent to the model to what fits its context window.
+ * Token counts are estimated, as the exact tokenizers are not available in the
+ * extension; the estimate errs on the high side and a safety margin is kept.
+ */
+
+// Roughly 4 characters per token for English and other Latin-script text
+const CHARS_PER_TOKEN = 4;
+// CJK, Hangul, Thai and similar scripts take about one token per character or more
+const DENSE_SCRIPT_PATTERN = /[\u0E00-\u0E7F\u1100-\u11FF\u3040-\u30FF\u3400-\u4DBF\u4E00-\u9FFF\uAC00-\uD7AF\uF900-\uFAFF]/g;
+// Share of the context window left unused to absorb estimation errors
+const SAFETY_MARGIN = 0.1;
+// Per-request overhead: roles, message framing, system prompt formatting
+const REQUEST_OVERHEAD_TOKENS = 50;
+
+export const MESSAGE_SEPARATOR = '\n\n---\n\n';
+export const TRUNCATED_MARKER = '[message truncated]';
+
+/**
+ * Estimates how many tokens a text uses.
+ * @param {string} text - The text to measure.
+ * @returns {number} - Estimated token count.
+ */
+export function estimateTokens(text) {
+  if (!text) return 0;
+  const denseChars = (text.match(DENSE_SCRIPT_PATTERN) || []).length;
+  return denseChars + Math.ceil((text.length - denseChars) / CHARS_PER_TOKEN);
+}
+
+/**
+ * Works out how many tokens the email context may use: the context window, minus the
+ * output reserved for the answer, the rest of the prompt and a safety margin.
+ * @param {object} options
+ * @param {number} options.contextWindow - The model's context window (prompt + output).
+ * @param {number} options.maxOutputTokens - Tokens reserved for the answer.
+ * @param {string} [options.promptText] - Everything sent besides the context (system prompt,
+ *   template, talking points...).
+ * @returns {number} - Tokens available for the context (0 if nothing fits).
+ */
+export function getContextBudget({ contextWindow, maxOutputTokens, promptText = '' }) {
+  const usable = Math.floor(contextWindow * (1 - SAFETY_MARGIN));
+  const budget = usable - maxOutputTokens - estimateTokens(promptText) - REQUEST_OVERHEAD_TOKENS;
+  return Math.max(budget, 0);
+}
+
+/**
+ * Builds the context text from the thread's messages within a token budget. The newest
+ * messages are kept intact and older ones are dropped first, replaced by an
+ * "[N earlier messages omitted]" marker. If even the newest message does not fit,
+ * its beginning is kept (quoted history and signatures come last).
+ * @param {string[]} messages - The thread's messages, oldest first.
+ * @param {number} budgetTokens - Tokens available (see getContextBudget).
+ * @returns {{text: string, omitted: number, truncated: boolean}}
+ */
+export function fitMessagesToBudget(messages, budgetTokens) {
+  const cleaned = (messages || []).map(message => (message || '').trim()).filter(Boolean);
+  const separatorTokens = estimateTokens(MESSAGE_SEPARATOR);
+
+  // Add messages from the newest back while the whole result still fits
+  let kept = 0;
+  let messageTokens = 0;
+  for (let index = cleaned.length - 1; index >= 0; index--) {
+    const total = messageTokens + estimateTokens(cleaned[index]) + kept * separatorTokens
+      + (index > 0 ? estimateTokens(formatOmittedMarker(index)) + separatorTokens : 0);
+    if (total > budgetTokens) break;
+    messageTokens += estimateTokens(cleaned[index]);
+    kept++;
+  }
+
+  // When nothing fits whole, the newest message is still sent, truncated
+  const omitted = cleaned.length - Math.max(kept, Math.min(cleaned.length, 1));
+  const parts = cleaned.slice(cleaned.length - kept);
+  let truncated = false;
+  if (kept === 0 && cleaned.length > 0) {
+    const available = budgetTokens
+      - estimateTokens(` ${TRUNCATED_MARKER}`)
+      - (omitted > 0 ? estimateTokens(formatOmittedMarker(omitted)) + separatorTokens : 0);
+    parts.push(`${truncateToTokens(cleaned[cleaned.length - 1], available)} ${TRUNCATED_MARKER}`.trim());
+    truncated = true;
+  }
+
+  if (omitted > 0) parts.unshift(formatOmittedMarker(omitted));
+  return { text: parts.join(MESSAGE_SEPARATOR), omitted, truncated };
+}
+
+function formatOmittedMarker(count) {
+  return `[${count} earlier message${count === 1 ? '' : 's'} omitted]`;
+}
+
+/**
+ * Cuts a text down to about the given number of tokens, keeping its beginning.
+ * @param {string} text - The text to cut.
+ * @param {number} maxTokens - Token limit.
+ * @returns {string}
+ */
+function truncateToTokens(text, maxTokens) {
+  if (maxTokens <= 0) return '';
+  if (estimateTokens(text) <= maxTokens) return text;
+  // Shrink proportionally, then trim until the estimate fits
+  let end = Math.floor(text.length * (maxTokens / estimateTokens(text)));
+  while (end > 0 && estimateTokens(text.slice(0, end)) > maxTokens) {
+    end = Math.floor(end * 0.9);
+  }
+  return text.slice(0, end).trimEnd();
+}
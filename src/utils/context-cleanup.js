@@ -0,0 +1,124 @@
+/**
+ * Removes what the model does not need from the thread's message bodies: quoted
+ * replies (each message repeats the chain before it), signatures and legal footers.
+ * The content script renders quoted blocks with "> " and Gmail signatures after a
+ * "--" line, like plain-text email, so the same rules apply to every message.
+ */
+
+// Footers removed by default, as case-insensitive regular expressions matched against
+// each paragraph. Users can edit the list in the options page.
+export const DEFAULT_FOOTER_PATTERNS = [
+  '^(confidentiality|privileged|legal) (notice|note|disclaimer)',
+  '^disclaimer\\b',
+  'this (e-?mail|message|communication)\\b.{0,80}\\b(confidential|privileged|intended (solely|only) for)',
+  'please consider the environment before printing'
+];
+
+// Attribution lines that introduce a quoted reply, in the languages Gmail and common
+// clients use, and Outlook's separator
+const QUOTE_HEADER_PATTERNS = [
+  /^On\b.+\bwrote:$/i,
+  /^El\b.+\bescribió:$/i,
+  /^Le\b.+\ba écrit ?:$/i,
+  /^Am\b.+\bschrieb\b.*:$/i,
+  /^Il\b.+\bha scritto:$/i,
+  /^Em\b.+\bescreveu:$/i,
+  /^-{2,} ?Original Message ?-{2,}$/i
+];
+// Outlook quotes start with a "From:" line followed by "Sent:" or "Date:"
+const OUTLOOK_FROM_PATTERN = /^\*?From:\*? .+/i;
+const OUTLOOK_SENT_PATTERN = /^\*?(Sent|Date):\*? .+/i;
+const SIGNATURE_DELIMITER_PATTERN = /^-- ?$/;
+const MOBILE_SIGNATURE_PATTERN = /^(Sent from my \w+|Sent from (Mail|Outlook) for \w+|Get Outlook for \w+)/i;
+
+/**
+ * Returns the index of the line where a quoted reply starts, or -1. Attribution lines
+ * may be wrapped over two lines.
+ * @param {string[]} lines
+ * @returns {number}
+ */
+function findQuoteStart(lines) {
+  return lines.findIndex((line, index) => {
+    const current = line.trim();
+    const withNext = `${current} ${(lines[index + 1] || '').trim()}`.trim();
+    if (QUOTE_HEADER_PATTERNS.some(pattern => pattern.test(current) || pattern.test(withNext))) return true;
+    return OUTLOOK_FROM_PATTERN.test(current)
+      && lines.slice(index + 1, index + 4).some(next => OUTLOOK_SENT_PATTERN.test(next.trim()));
+  });
+}
+
+/**
+ * Compiles footer patterns, skipping (and logging) invalid ones.
+ * @param {string[]} patterns - Regular expression sources.
+ * @returns {RegExp[]} - Case-insensitive expressions.
+ */
+export function compileFooterPatterns(patterns) {
+  return (patterns || []).flatMap(pattern => {
+    try {
+      return [new RegExp(pattern, 'im')];
+    } catch (error) {
+      console.warn(`Ignoring invalid footer pattern "${pattern}":`, error.message);
+      return [];
+    }
+  });
+}
+
+/**
+ * Cleans one message body: cuts it at the first quoted reply or signature, drops
+ * remaining "> " quoted lines and removes the paragraphs matching a footer pattern.
+ * Forwarded messages are kept, as their content is not elsewhere in the thread.
+ * @param {string} text - The message body.
+ * @param {RegExp[]} [footerPatterns] - From compileFooterPatterns.
+ * @returns {string} - The cleaned body (may be empty if the message only quoted others).
+ */
+export function cleanMessageBody(text, footerPatterns = []) {
+  let lines = (text || '').split('\n');
+
+  const quoteStart = findQuoteStart(lines);
+  if (quoteStart >= 0) lines = lines.slice(0, quoteStart);
+  lines = lines.filter(line => !line.trimStart().startsWith('>'));
+
+  const signatureStart = lines.findIndex(line => SIGNATURE_DELIMITER_PATTERN.test(line.trimEnd())
+    || MOBILE_SIGNATURE_PATTERN.test(line.trim()));
+  if (signatureStart >= 0) lines = lines.slice(0, signatureStart);
+
+  return lines.join('\n')
+    .split(/\n\s*\n/)
+    .filter(paragraph => !footerPatterns.some(pattern => pattern.test(paragraph.trim())))
+    .join('\n\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Cleans the body of every message of a thread (see cleanMessageBody).
+ * @param {Array<object|string>} messages - Parsed messages (with a `body`) or plain texts.
+ * @param {string[]} [footerPatterns] - Footer regular expression sources.
+ * @returns {Array<object|string>} - The messages with cleaned bodies.
+ */
+export function cleanThreadMessages(messages, footerPatterns = DEFAULT_FOOTER_PATTERNS) {
+  const patterns = compileFooterPatterns(footerPatterns);
+  return (messages || []).map(message => {
+    if (typeof message === 'string') return cleanMessageBody(message, patterns);
+    if (!message) return message;
+    return { ...message, body: cleanMessageBody(message.body, patterns) };
+  });
+}
+
+/**
+ * Parses the footer patterns edited in the options page, one regular expression per line.
+ * @param {string} text - The raw text.
+ * @returns {string[]} - The pattern sources.
+ * @throws {Error} - If a pattern is not a valid regular expression.
+ */
+export function parseFooterPatterns(text) {
+  const patterns = (text || '').split('\n').map(line => line.trim()).filter(Boolean);
+  patterns.forEach(pattern => {
+    try {
+      new RegExp(pattern, 'im');
+    } catch (error) {
+      throw new Error(`Invalid pattern "${pattern}": ${error.message}`);
+    }
+  });
+  return patterns;
+}
@@ -289,10 +289,145 @@ function showBanner(composeWindow, message, options = {}) {
   }
 }
 
+// Gmail thread markup. These are Gmail's generated class names and may change.
+const THREAD_SUBJECT_SELECTOR = 'h2.hP';
+// Expanded (.adn) and collapsed (.kv) messages of a thread
+const THREAD_MESSAGE_SELECTOR = '.adn, .kv';
+const MESSAGE_SENDER_SELECTOR = '.gD'; // carries `name` and `email` attributes
+const MESSAGE_RECIPIENT_SELECTOR = '.g2'; // one per recipient, same attributes
+const MESSAGE_DATE_SELECTOR = '.g3'; // `title` holds the full date
+const MESSAGE_BODY_SELECTOR = '.a3s';
+const MESSAGE_SNIPPET_SELECTOR = '.iA.g6, .y2'; // preview line of a collapsed message
+// Interface elements inside a message that are not part of its text: buttons, the
+// "show trimmed content" toggle (.ajR) and drafts being written
+const MESSAGE_CHROME_SELECTOR = 'button, [role="button"], [contenteditable="true"], script, style, .ajR';
+const MESSAGE_SIGNATURE_SELECTOR = '.gmail_signature';
+// Elements that start a new line, and those that are also set apart by a blank line
+const LINE_TAGS = new Set(['ADDRESS', 'DIV', 'LI', 'TR']);
+const PARAGRAPH_TAGS = new Set(['BLOCKQUOTE', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'HR', 'OL', 'P', 'PRE', 'TABLE', 'UL']);
+
+/**
+ * Returns the readable text of an element, with line breaks for block elements and
+ * <br>, and without interface elements (see MESSAGE_CHROME_SELECTOR). As in plain-text
+ * email, quoted blocks are prefixed with "> " and signatures follow a "--" line, so
+ * the background can strip them (see utils/context-cleanup.js).
+ * @param {Element} element - The element to read.
+ * @returns {string}
+ */
+function getElementText(element) {
+  let text = '';
+  // Ends the current line (1) or paragraph (2) unless it already is
+  const breakLine = (count) => {
+    text = text.replace(/ +$/, '');
+    const trailing = text.length - text.replace(/\n+$/, '').length;
+    if (text && trailing < count) text += '\n'.repeat(count - trailing);
+  };
+  const walk = (node) => {
+    if (node.nodeType === Node.TEXT_NODE) {
+      // Source formatting is not shown, as in the rendered message
+      text += node.nodeValue.replace(/\s+/g, ' ');
+      return;
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE || node.matches(MESSAGE_CHROME_SELECTOR)) return;
+    if (node.tagName === 'BR') {
+      text += '\n';
+      return;
+    }
+    if (node.tagName === 'BLOCKQUOTE') {
+      const quoted = getElementText(node);
+      breakLine(2);
+      if (quoted) text += quoted.split('\n').map(line => `> ${line}`.trimEnd()).join('\n');
+      breakLine(2);
+      return;
+    }
+    if (node.matches(MESSAGE_SIGNATURE_SELECTOR)) {
+      breakLine(1);
+      text += '--\n';
+    }
+    const breaks = PARAGRAPH_TAGS.has(node.tagName) ? 2 : (LINE_TAGS.has(node.tagName) ? 1 : 0);
+    if (breaks) breakLine(breaks);
+    if (node.tagName === 'LI') text += '- ';
+    node.childNodes.forEach(walk);
+    if (breaks) breakLine(breaks);
+  };
+  walk(element);
+  return text
+    .replace(/ ?\n ?/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Reads a sender or recipient element.
+ * @param {Element} element - An element with `name`/`email` attributes.
+ * @returns {{name: string, email: string}}
+ */
+function parseParticipant(element) {
+  return {
+    name: (element.getAttribute('name') || element.textContent || '').trim(),
+    email: (element.getAttribute('email') || '').trim()
+  };
+}
+
+/**
+ * Reads one message of a thread.
+ * @param {Element} element - An expanded or collapsed message element.
+ * @param {string} subject - The thread subject.
+ * @returns {{senderName: string, senderEmail: string, recipients: {name: string, email: string}[],
+ *   timestamp: string, subject: string, body: string}}
+ */
+function parseThreadMessage(element, subject) {
+  const sender = element.querySelector(MESSAGE_SENDER_SELECTOR);
+  const { name: senderName, email: senderEmail } = sender ? parseParticipant(sender) : { name: '', email: '' };
+
+  const recipients = [];
+  element.querySelectorAll(MESSAGE_RECIPIENT_SELECTOR).forEach(recipientElement => {
+    const recipient = parseParticipant(recipientElement);
+    const key = recipient.email || recipient.name;
+    if (key && !recipients.some(known => (known.email || known.name) === key)) recipients.push(recipient);
+  });
+
+  const date = element.querySelector(MESSAGE_DATE_SELECTOR);
+  const timestamp = (date?.getAttribute('title') || date?.textContent || '').trim();
+
+  // Collapsed messages only show a preview line
+  const bodyElement = element.querySelector(MESSAGE_BODY_SELECTOR) || element.querySelector(MESSAGE_SNIPPET_SELECTOR);
+  const body = bodyElement ? getElementText(bodyElement) : '';
+
+  return { senderName, senderEmail, recipients, timestamp, subject, body };
+}
+
+/**
+ * Parses the messages of a Gmail thread, oldest first. Messages that contain the
+ * compose window (the user's own draft) are skipped. If the layout is not recognized,
+ * the container's text is returned as a single message without headers.
+ * @param {Element} container - The thread container.
+ * @param {Element} [composeWindow] - The compose window being written in.
+ * @returns {{senderName: string, senderEmail: string, recipients: {name: string, email: string}[],
+ *   timestamp: string, subject: string, body: string}[]}
+ */
+function parseGmailThread(container, composeWindow) {
+  const subjectElement = container.querySelector(THREAD_SUBJECT_SELECTOR);
+  const subject = subjectElement ? getElementText(subjectElement) : '';
+  const messageElements = Array.from(container.querySelectorAll(THREAD_MESSAGE_SELECTOR))
+    // Nested matches (a collapsed message inside an expanded one) would be read twice
+    .filter(element => !element.parentElement?.closest(THREAD_MESSAGE_SELECTOR))
+    .filter(element => !(composeWindow && element.contains(composeWindow)));
+  if (messageElements.length > 0) {
+    return messageElements
+      .map(element => parseThreadMessage(element, subject))
+      .filter(message => message.body);
+  }
+
+  const body = getElementText(container);
+  return body ? [{ senderName: '', senderEmail: '', recipients: [], timestamp: '', subject, body }] : [];
+}
+
 // Assign to CommonJS-style exports for backward compatibility
 exports.getComposeWindows = getComposeWindows;
 exports.appendDraft = appendDraft;
 exports.showBanner = showBanner;
+exports.parseGmailThread = parseGmailThread;
 
 // Also export as ES module named exports
-export { getComposeWindows, appendDraft, showBanner };
\ No newline at end of file
+export { getComposeWindows, appendDraft, showBanner, parseGmailThread };
\ No newline at end of file
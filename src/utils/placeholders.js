@@ -0,0 +1,133 @@
+/**
+ * Prompt placeholders besides [Bullet_points], [Selected_text] and [Email_context]:
+ * details of the thread, the reply being written and the user. The content script
+ * sends the parsed thread and what it reads from the compose window (see
+ * getPromptDetails in content.js), the user's profile comes from the settings; the
+ * values are worked out here and put in the templates by utils/template.js.
+ */
+
+import { formatParticipant } from './thread.js';
+
+// Names accepted in templates, written as [Name]. Documented in the options page.
+export const PROMPT_PLACEHOLDERS = [
+  'Sender_name',
+  'Sender_email',
+  'Subject',
+  'Recipients',
+  'My_name',
+  'My_role',
+  'My_company',
+  'Sign_off',
+  'My_languages',
+  'Today',
+  'Current_draft',
+  'Thread_language'
+];
+
+// The user's profile ([My_name] falls back on the Gmail account), also available
+// outside Gmail
+const PROFILE_PLACEHOLDERS = ['My_name', 'My_role', 'My_company', 'Sign_off', 'My_languages'];
+
+// Tones and lengths picked in the reply modal ([Tone], [Length]), with the text put
+// in the prompt. An empty choice leaves the placeholder empty, so templates can fall
+// back on their own wording with [#if Tone]...[else]...[/if].
+export const REPLY_TONES = {
+  formal: 'formal',
+  neutral: 'neutral',
+  friendly: 'friendly',
+  direct: 'direct'
+};
+export const REPLY_LENGTHS = {
+  'one-liner': 'a one-liner (a single sentence)',
+  short: 'short (a few sentences)',
+  detailed: 'detailed (covering every point)'
+};
+const REPLY_PLACEHOLDERS = ['Tone', 'Length'];
+
+// Placeholders each prompt template setting may use, and those it must use
+export const TEMPLATE_PLACEHOLDERS = {
+  // Every template of the reply template library
+  promptTemplates: {
+    allowed: ['Bullet_points', 'Email_context', ...REPLY_PLACEHOLDERS, ...PROMPT_PLACEHOLDERS],
+    required: ['Bullet_points', 'Email_context']
+  },
+  improvePromptTemplate: {
+    allowed: ['Selected_text', 'Email_context', ...PROMPT_PLACEHOLDERS],
+    required: ['Selected_text']
+  },
+  // Other pages have no thread or compose window
+  genericImprovePromptTemplate: {
+    allowed: ['Selected_text', 'Today', ...PROFILE_PLACEHOLDERS],
+    required: ['Selected_text']
+  }
+};
+
+// Used for [Thread_language] when the language could not be detected
+const UNKNOWN_LANGUAGE = 'the language of the email thread';
+
+/**
+ * Returns the English name of a language code ("es" -> "Spanish").
+ * @param {string} code - A BCP 47 language code.
+ * @returns {string} - The name, the code itself if it has none, or '' for no code.
+ */
+export function describeLanguage(code) {
+  const value = (code || '').trim();
+  if (!value || value === 'und') return '';
+  try {
+    return new Intl.DisplayNames(['en'], { type: 'language' }).of(value) || value;
+  } catch {
+    // Not a valid language code
+    return value;
+  }
+}
+
+/**
+ * Works out the placeholder values of a request.
+ * @param {object} [options]
+ * @param {Array<object|string>} [options.messages] - The parsed thread, oldest first.
+ * @param {object} [options.details] - What the content script read from the page.
+ * @param {string} [options.details.myName] - The Gmail account's name.
+ * @param {string} [options.details.myEmail] - The Gmail account's address.
+ * @param {{name: string, email: string}[]} [options.details.recipients] - The reply's recipients.
+ * @param {string} [options.details.currentDraft] - What is already written in the compose window.
+ * @param {string} [options.details.threadLanguage] - Detected language code of the thread.
+ * @param {object} [options.profile] - The user's profile, from the settings.
+ * @param {string} [options.profile.name]
+ * @param {string} [options.profile.role] - e.g. "Head of Sales".
+ * @param {string} [options.profile.company]
+ * @param {string} [options.profile.signOff] - e.g. "Best regards".
+ * @param {string} [options.profile.languages] - e.g. "English, Spanish".
+ * @param {string} [options.tone] - A key of REPLY_TONES, picked in the reply modal.
+ * @param {string} [options.length] - A key of REPLY_LENGTHS, picked in the reply modal.
+ * @param {Date} [options.now] - The current date.
+ * @returns {Object<string, string>} - The value of each name of PROMPT_PLACEHOLDERS, Tone and Length.
+ */
+export function buildPlaceholderValues({ messages = [], details = {}, profile = {}, tone, length, now = new Date() } = {}) {
+  const myEmail = (details.myEmail || '').trim().toLowerCase();
+  const parsed = (messages || []).filter(message => message && typeof message === 'object');
+  const isMine = message => Boolean(myEmail) && (message.senderEmail || '').trim().toLowerCase() === myEmail;
+  // The reply answers the newest message someone else sent
+  const replyTo = [...parsed].reverse().find(message => !isMine(message)) || parsed[parsed.length - 1] || {};
+  const ownMessage = parsed.find(isMine);
+
+  const recipients = Array.isArray(details.recipients) && details.recipients.length > 0
+    ? details.recipients
+    : [{ name: replyTo.senderName, email: replyTo.senderEmail }];
+
+  return {
+    Sender_name: (replyTo.senderName || '').trim(),
+    Sender_email: (replyTo.senderEmail || '').trim(),
+    Subject: (replyTo.subject || '').trim(),
+    Recipients: recipients.map(formatParticipant).filter(Boolean).join(', '),
+    My_name: (profile.name || details.myName || ownMessage?.senderName || '').trim(),
+    My_role: (profile.role || '').trim(),
+    My_company: (profile.company || '').trim(),
+    Sign_off: (profile.signOff || '').trim(),
+    My_languages: (profile.languages || '').trim(),
+    Today: now.toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' }),
+    Current_draft: (details.currentDraft || '').trim(),
+    Thread_language: describeLanguage(details.threadLanguage) || UNKNOWN_LANGUAGE,
+    Tone: REPLY_TONES[tone] || '',
+    Length: REPLY_LENGTHS[length] || ''
+  };
+}
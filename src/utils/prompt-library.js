@@ -0,0 +1,69 @@
+/**
+ * The library of named reply templates (sales follow-ups, recruiting replies...).
+ * Each template has its own prompt and may override the compose model and reasoning
+ * effort. The reply modal offers them in a dropdown and remembers the last one used
+ * for each sender domain (see getTemplateChoice in utils/storage.js).
+ */
+
+export const DEFAULT_REPLY_TEMPLATE = `Write a draft response to the emails below in the context. Keep it simple, use [#if Tone]a [Tone] tone[else]my tone (informal)[/if] and the language of the email chain[#if My_languages] (I write in [My_languages])[/if].[#if Length] Make it [Length].[/if] Use paragraphs wisely, do not over index on them. User may leave specific instructions within <> notation, those are not part of the email but will give you info about how to redact it. Act on those instructions.[#if My_role] I am [My_role][#if My_company] at [My_company][/if].[/if][#if Sign_off] Close with "[Sign_off]"[#if My_name] and sign with [My_name][/if] when appropriate.[else][#if My_name] Sign with [My_name] when appropriate.[/if][/if] \n\nThese are talking points:\n[Bullet_points]\n\n[#if Email_context]\nEmail context:\n[Email_context]\n[/if]`;
+
+// The default prompt before the library and the profile existed, with the author's
+// name hard-coded. Saved copies are replaced with DEFAULT_REPLY_TEMPLATE.
+const LEGACY_DEFAULT_REPLY_TEMPLATE = `Write a draft response to the emails below in the context. Keep it simple, respect my tone (informal) and the language of the email chain. Use paragraphs wisely, do not over index on them. User may leave specific instructions within <> notation, those are not part of the email but will give you info about how to redact it. Act on those instructions. Sign with Álvaro when appropriate. \n\nThese are talking points:\n[Bullet_points]\n\nEmail context:\n[Email_context]`;
+
+// The first template is the default, used until another one is picked for a sender
+export const DEFAULT_PROMPT_TEMPLATES = [
+  { id: 'default', name: 'General reply', template: DEFAULT_REPLY_TEMPLATE, model: '', reasoningEffort: '' }
+];
+
+/**
+ * Returns the template library of the settings, with every field present. Settings
+ * saved before the library existed have a single `promptTemplate`, which becomes
+ * the default template (unless it is the old unedited default).
+ * @param {object} settings - The stored settings.
+ * @returns {{id: string, name: string, template: string, model: string, reasoningEffort: string}[]}
+ */
+export function getPromptTemplates(settings) {
+  const templates = settings?.promptTemplates;
+  if (!Array.isArray(templates) || templates.length === 0) {
+    const legacyTemplate = settings?.promptTemplate;
+    return typeof legacyTemplate === 'string' && legacyTemplate && legacyTemplate !== LEGACY_DEFAULT_REPLY_TEMPLATE
+      ? [{ ...DEFAULT_PROMPT_TEMPLATES[0], template: legacyTemplate }]
+      : DEFAULT_PROMPT_TEMPLATES.map(template => ({ ...template }));
+  }
+  return templates.map((template, index) => ({
+    id: String(template.id || `template-${index + 1}`),
+    name: (template.name || '').trim() || `Template ${index + 1}`,
+    template: template.template || '',
+    model: (template.model || '').trim(),
+    reasoningEffort: template.reasoningEffort || ''
+  }));
+}
+
+/**
+ * Finds a template by id, falling back to the default (first) one.
+ * @param {object[]} templates - From getPromptTemplates.
+ * @param {string} [id] - The template id.
+ * @returns {object}
+ */
+export function findPromptTemplate(templates, id) {
+  return templates.find(template => template.id === id) || templates[0];
+}
+
+/**
+ * Creates an id for a new template.
+ * @returns {string}
+ */
+export function createTemplateId() {
+  return `template-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Returns the domain of an email address, used to remember the template per sender.
+ * @param {string} email
+ * @returns {string} - The lowercase domain, or '' if the address has none.
+ */
+export function getSenderDomain(email) {
+  const match = (email || '').trim().toLowerCase().match(/@([^@\s>]+)$/);
+  return match ? match[1] : '';
+}
@@ -0,0 +1,904 @@
+/**
+ * Registry of LLM providers used by the background script.
+ * Each provider owns its endpoint, auth headers, request body shape and
+ * response/error normalization, so callers only deal with plain text.
+ */
+
+import { fetchWithRetry, readWithTimeout, waitToRetry } from './retry.js';
+import { getModelCapabilities } from './capabilities.js';
+
+const DEFAULT_PROVIDER = 'openai';
+
+const ANTHROPIC_VERSION = '2023-06-01';
+
+// Anthropic has no "effort" knob; map our effort levels onto extended thinking budgets.
+// 'minimal' (or no effort) leaves thinking disabled.
+const ANTHROPIC_THINKING_BUDGETS = {
+  low: 1024,
+  medium: 4096,
+  high: 8192
+};
+
+/**
+ * Extracts a readable message from an API error body, falling back to the raw text.
+ * Both OpenAI and Anthropic return `{ error: { message, type } }` shaped errors.
+ * @param {string} errorText - The raw response body.
+ * @returns {{ message: string, type: string|undefined }}
+ */
+function parseErrorBody(errorText) {
+  try {
+    const data = JSON.parse(errorText);
+    if (data && data.error) {
+      return {
+        message: data.error.message || errorText,
+        type: data.error.code || data.error.type
+      };
+    }
+  } catch {
+    // Not JSON, use the raw text
+  }
+  return { message: errorText, type: undefined };
+}
+
+/**
+ * Builds a normalized Error for a failed provider request.
+ * @param {object} provider - The provider definition.
+ * @param {number|null} status - HTTP status code, or null for errors sent inside a stream.
+ * @param {string} errorText - The raw response body.
+ * @returns {Error} - Error carrying `status`, `provider` and `type` properties.
+ */
+function createProviderError(provider, status, errorText) {
+  const { message, type } = parseErrorBody(errorText);
+  const error = new Error(`${provider.label} API error (${status ?? 'stream'}): ${message}`);
+  error.status = status;
+  error.provider = provider.id;
+  error.type = type;
+  return error;
+}
+
+// Error types/codes that mean the model is unavailable rather than the request being bad
+const MODEL_UNAVAILABLE_TYPES = ['model_not_found', 'DeploymentNotFound', 'not_found_error', 'overloaded_error', 'server_is_overloaded'];
+
+/**
+ * Checks whether a failed request should move on to the next model of a fallback chain:
+ * the model was not found (or is deprecated), the provider is overloaded, or the
+ * request timed out. Auth, quota and validation errors are not retried elsewhere.
+ * @param {Error} error - An error thrown by callProvider.
+ * @returns {boolean}
+ */
+export function isFallbackError(error) {
+  if (!error || error.name === 'AbortError') return false;
+  if (error.timeout) return true;
+  if ([404, 503, 529].includes(error.status)) return true;
+  if (MODEL_UNAVAILABLE_TYPES.includes(error.type)) return true;
+  return /model\b.*\b(not found|does not exist|deprecated|decommissioned)/i.test(error.message);
+}
+
+/**
+ * Parses user supplied extra headers, one `Name: value` pair per line.
+ * Blank lines and lines starting with `#` are ignored.
+ * @param {string} text - The raw headers text from settings.
+ * @returns {object} - Header name/value map.
+ * @throws {Error} - If a line is not a valid `Name: value` pair.
+ */
+export function parseCustomHeaders(text) {
+  const headers = {};
+  (text || '').split('\n').forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) return;
+    const separator = line.indexOf(':');
+    const name = separator > 0 ? line.slice(0, separator).trim() : '';
+    if (!name || !/^[A-Za-z0-9!#$%&'*+.^_`|~-]+$/.test(name)) {
+      throw new Error(`Invalid header on line ${index + 1}: "${line}". Use "Name: value".`);
+    }
+    headers[name] = line.slice(separator + 1).trim();
+  });
+  return headers;
+}
+
+/**
+ * Returns the base URL configured for a provider without a trailing slash.
+ * @param {object} provider - The provider definition.
+ * @param {object} settings - The extension settings.
+ * @returns {string} - The configured base URL, or the provider default.
+ */
+export function getProviderBaseUrl(provider, settings) {
+  const baseUrl = (settings[provider.settingKeys.baseUrl] || '').trim() || provider.defaultBaseUrl || '';
+  return baseUrl.replace(/\/+$/, '');
+}
+
+/**
+ * Builds the final headers for a request: provider defaults, auth (when a key is set)
+ * and finally the user's custom headers, which may override either.
+ * @param {object} provider - The provider definition.
+ * @param {object} settings - The extension settings.
+ * @param {object} authHeaders - Auth headers to use when an API key is configured.
+ * @param {object} [providerHeaders] - Fixed headers the provider always sends.
+ * @returns {object} - The request headers.
+ */
+function buildHeaders(provider, settings, authHeaders, providerHeaders = {}) {
+  return {
+    'Content-Type': 'application/json',
+    ...providerHeaders,
+    ...(getProviderApiKey(provider, settings) ? authHeaders : {}),
+    ...parseCustomHeaders(settings[provider.settingKeys.headers])
+  };
+}
+
+/**
+ * Builds the optional sampling parameters. Unsupported ones were already dropped
+ * by callProvider based on the model's capabilities.
+ * @param {object} request - The provider-agnostic request.
+ * @returns {object} - `temperature` and/or `top_p`, when set.
+ */
+function buildSamplingParams(request) {
+  return {
+    ...(request.temperature != null ? { temperature: request.temperature } : {}),
+    ...(request.topP != null ? { top_p: request.topP } : {})
+  };
+}
+
+// Sent after a response cut off by the output token limit (see callProvider)
+const CONTINUE_PROMPT = 'Your previous answer was cut off. Continue exactly where you stopped, without repeating anything or adding any preamble.';
+
+/**
+ * Returns the conversation to send: the prompt, followed by any later turns
+ * (e.g. an earlier partial answer and a request to continue it).
+ * @param {object} request - The provider-agnostic request.
+ * @returns {Array<{role: string, content: string}>}
+ */
+function getConversation(request) {
+  return [{ role: 'user', content: request.prompt }, ...(request.turns || [])];
+}
+
+/**
+ * Builds a chat/completions request body (shared by OpenAI and Azure OpenAI).
+ * @param {object} request - The provider-agnostic request, with its model's `capabilities`.
+ * @returns {object} - The JSON body.
+ */
+function buildChatCompletionsBody(request) {
+  return {
+    model: request.model,
+    messages: [
+      ...(request.systemPrompt ? [{ role: 'system', content: request.systemPrompt }] : []),
+      ...getConversation(request)
+    ],
+    // Newer models only accept max_completion_tokens, most compatible servers only max_tokens
+    [request.capabilities.maxTokensParam]: request.maxOutputTokens,
+    ...(request.reasoningEffort ? { reasoning_effort: request.reasoningEffort } : {}),
+    ...buildSamplingParams(request),
+    ...(request.stream ? { stream: true } : {})
+  };
+}
+
+/**
+ * Normalizes the token usage reported by any of the APIs.
+ * @param {object} [usage] - The raw `usage` object.
+ * @returns {{inputTokens: number, outputTokens: number, reasoningTokens: number}|null}
+ */
+function normalizeUsage(usage) {
+  if (!usage) return null;
+  return {
+    inputTokens: usage.input_tokens ?? usage.prompt_tokens ?? 0,
+    outputTokens: usage.output_tokens ?? usage.completion_tokens ?? 0,
+    reasoningTokens: usage.output_tokens_details?.reasoning_tokens
+      ?? usage.completion_tokens_details?.reasoning_tokens
+      ?? 0
+  };
+}
+
+/**
+ * Extracts the text delta from a chat/completions stream event.
+ * @param {object} provider - The provider definition (for errors).
+ * @param {{data: string}} event - The server-sent event.
+ * @param {object} details - `truncated` is set when the output token limit was hit.
+ * @returns {string} - The text delta ('' for events without text).
+ */
+function parseChatCompletionsStreamEvent(provider, event, details) {
+  if (!event.data || event.data === '[DONE]') return '';
+  const data = JSON.parse(event.data);
+  if (data.error) {
+    throw createProviderError(provider, null, event.data);
+  }
+  if (data.choices?.[0]?.finish_reason === 'length') details.truncated = true;
+  return data.choices?.[0]?.delta?.content || '';
+}
+
+/**
+ * Extracts the generated text from a chat/completions response.
+ * @param {object} provider - The provider definition (for the error message).
+ * @param {object} data - The parsed JSON response.
+ * @param {object} details - `truncated` is set when the output token limit was hit.
+ * @returns {string} - The generated text.
+ */
+function parseChatCompletionsResponse(provider, data, details) {
+  const choice = data.choices?.[0];
+  if (!choice || !choice.message || !choice.message.content) {
+    // Reasoning models can use up the whole output budget before any answer is written
+    if (choice?.finish_reason === 'length') {
+      throw new Error(`${provider.label} API returned no text: the output token limit was reached`);
+    }
+    throw new Error(`Invalid response format from ${provider.label} API`);
+  }
+  details.truncated = choice.finish_reason === 'length';
+  return choice.message.content;
+}
+
+/**
+ * Builds a Responses API request body (OpenAI `/responses`, also served by Azure).
+ * Reasoning models keep their reasoning between output items here and can return a
+ * summary of it, which chat/completions does not offer.
+ * @param {object} request - The provider-agnostic request, with its model's `capabilities`.
+ * @returns {object} - The JSON body.
+ */
+function buildResponsesBody(request) {
+  return {
+    model: request.model,
+    ...(request.systemPrompt ? { instructions: request.systemPrompt } : {}),
+    input: request.turns?.length ? getConversation(request) : request.prompt,
+    // Includes reasoning tokens, like max_completion_tokens
+    max_output_tokens: request.maxOutputTokens,
+    ...(request.reasoningEffort
+      ? {
+        reasoning: {
+          effort: request.reasoningEffort,
+          ...(request.reasoningSummary ? { summary: 'auto' } : {})
+        }
+      }
+      : {}),
+    ...buildSamplingParams(request),
+    // Nothing refers back to earlier responses, so do not keep them server-side
+    store: false,
+    ...(request.stream ? { stream: true } : {})
+  };
+}
+
+/**
+ * Reads the visible text, reasoning summary and usage of a Responses API response.
+ * The raw API has no `output_text` convenience field (only the SDKs add it), so the
+ * `output_text` parts of the message items are joined instead.
+ * @param {object} provider - The provider definition (for errors).
+ * @param {object} data - The parsed JSON response.
+ * @param {object} [details] - Filled with `usage`, `reasoningSummary` and `truncated`.
+ * @returns {string} - The generated text.
+ */
+function parseResponsesResponse(provider, data, details = {}) {
+  const output = Array.isArray(data.output) ? data.output : [];
+  const text = typeof data.output_text === 'string'
+    ? data.output_text
+    : output
+      .filter(item => item.type === 'message')
+      .flatMap(item => item.content || [])
+      .filter(part => part.type === 'output_text')
+      .map(part => part.text)
+      .join('');
+  const summary = output
+    .filter(item => item.type === 'reasoning')
+    .flatMap(item => item.summary || [])
+    .map(part => part.text)
+    .join('\n\n');
+  details.usage = normalizeUsage(data.usage);
+  details.truncated = isOutputLimitReached(data);
+  if (summary) details.reasoningSummary = summary;
+
+  if (!text.trim()) {
+    // Reasoning can use up the whole output budget before any answer is written
+    if (data.status === 'incomplete') {
+      const reason = data.incomplete_details?.reason || 'unknown reason';
+      throw new Error(`${provider.label} API returned no text: response incomplete (${reason})`);
+    }
+    throw new Error(`Invalid response format from ${provider.label} API`);
+  }
+  return text;
+}
+
+// A Responses API response stopped by max_output_tokens
+function isOutputLimitReached(response) {
+  return response?.status === 'incomplete' && response.incomplete_details?.reason === 'max_output_tokens';
+}
+
+/**
+ * Handles a Responses API stream event: returns text deltas, collects the reasoning
+ * summary and usage into `details`, and throws on error events.
+ * @param {object} provider - The provider definition (for errors).
+ * @param {{event: string, data: string}} event - The server-sent event.
+ * @param {object} details - Filled with `usage`, `reasoningSummary` and `truncated`.
+ * @returns {string} - The text delta ('' for other events).
+ */
+function parseResponsesStreamEvent(provider, event, details) {
+  if (!event.data || event.data === '[DONE]') return '';
+  const data = JSON.parse(event.data);
+  switch (data.type) {
+    case 'response.output_text.delta':
+      return data.delta || '';
+    case 'response.reasoning_summary_text.done':
+      details.reasoningSummary = details.reasoningSummary
+        ? `${details.reasoningSummary}\n\n${data.text}`
+        : data.text;
+      return '';
+    case 'response.completed':
+    case 'response.incomplete':
+      details.usage = normalizeUsage(data.response?.usage);
+      details.truncated = isOutputLimitReached(data.response);
+      return '';
+    case 'response.failed':
+      throw createProviderError(provider, null, JSON.stringify({ error: data.response?.error || {} }));
+    case 'error':
+      // Error events carry code/message at the top level
+      throw createProviderError(provider, null, JSON.stringify({ error: data }));
+    default:
+      return '';
+  }
+}
+
+/**
+ * Parses an OpenAI or Azure response from whichever API the request was sent to.
+ * @param {object} provider - The provider definition.
+ * @param {object} data - The parsed JSON response.
+ * @param {object} request - The request that was sent (with its `capabilities`).
+ * @param {object} details - Filled with `usage`, `truncated` and, for the Responses API,
+ *   `reasoningSummary`.
+ * @returns {string} - The generated text.
+ */
+function parseOpenAIResponse(provider, data, request, details) {
+  if (request.capabilities.api === 'responses') {
+    return parseResponsesResponse(provider, data, details);
+  }
+  details.usage = normalizeUsage(data.usage);
+  return parseChatCompletionsResponse(provider, data, details);
+}
+
+/**
+ * Parses an OpenAI or Azure stream event from whichever API the request was sent to.
+ * @returns {string} - The text delta.
+ */
+function parseOpenAIStreamEvent(provider, event, request, details) {
+  return request.capabilities.api === 'responses'
+    ? parseResponsesStreamEvent(provider, event, details)
+    : parseChatCompletionsStreamEvent(provider, event, details);
+}
+
+// OpenAI's /models also lists embedding, audio, image and moderation models, which
+// cannot be used for chat
+const NON_CHAT_MODEL_PATTERN = /embedding|tts|whisper|dall-e|moderation|davinci|babbage|audio|realtime|transcribe|image|search/i;
+
+const openaiProvider = {
+  id: 'openai',
+  label: 'OpenAI',
+  // Also used for any OpenAI-compatible endpoint (gateways, Ollama, llama.cpp, ...)
+  defaultBaseUrl: 'https://api.openai.com/v1',
+  settingKeys: {
+    apiKey: 'apiKey',
+    baseUrl: 'openaiBaseUrl',
+    headers: 'openaiHeaders',
+    noApiKey: 'openaiNoApiKey'
+  },
+  models: [
+    { id: 'gpt-5', label: 'GPT-5' },
+    { id: 'gpt-5-mini', label: 'GPT-5 Mini' },
+    { id: 'gpt-5-nano', label: 'GPT-5 Nano' },
+    { id: 'gpt-4.1', label: 'GPT-4.1' }
+  ],
+
+  buildRequest(request, settings) {
+    const useResponses = request.capabilities.api === 'responses';
+    return {
+      url: `${getProviderBaseUrl(this, settings)}/${useResponses ? 'responses' : 'chat/completions'}`,
+      headers: buildHeaders(this, settings, {
+        'Authorization': `Bearer ${getProviderApiKey(this, settings)}`
+      }),
+      body: useResponses ? buildResponsesBody(request) : buildChatCompletionsBody(request)
+    };
+  },
+
+  buildModelsRequest(settings) {
+    return {
+      url: `${getProviderBaseUrl(this, settings)}/models`,
+      headers: buildHeaders(this, settings, {
+        'Authorization': `Bearer ${getProviderApiKey(this, settings)}`
+      })
+    };
+  },
+
+  parseModels(data) {
+    return (data.data || []).map(model => model.id).filter(id => id && !NON_CHAT_MODEL_PATTERN.test(id));
+  },
+
+  parseResponse(data, request, details) {
+    return parseOpenAIResponse(this, data, request, details);
+  },
+
+  parseStreamEvent(event, request, details) {
+    return parseOpenAIStreamEvent(this, event, request, details);
+  }
+};
+
+const azureProvider = {
+  id: 'azure',
+  label: 'Azure OpenAI',
+  defaultApiVersion: '2025-04-01-preview',
+  settingKeys: {
+    apiKey: 'azureApiKey',
+    headers: 'azureHeaders'
+  },
+  // Azure addresses deployments, not models: each feature stores its deployment name
+  // under FEATURE_SETTINGS[feature].azureDeployment instead of the model key.
+  // Deployments cannot be listed with an API key, so there is no buildModelsRequest.
+  modelSetting: 'azureDeployment',
+  models: [],
+
+  validateSettings(settings) {
+    if (!(settings.azureResourceName || '').trim()) {
+      return 'Azure OpenAI resource name is missing. Please set it in the extension options.';
+    }
+    return null;
+  },
+
+  buildRequest(request, settings) {
+    const resource = settings.azureResourceName.trim().replace(/\/+$/, '');
+    // Accept either the bare resource name or a full endpoint URL (custom domains, APIM)
+    const endpoint = /^https?:\/\//i.test(resource) ? resource : `https://${resource}.openai.azure.com`;
+    const apiVersion = (settings.azureApiVersion || '').trim() || this.defaultApiVersion;
+    const headers = buildHeaders(this, settings, { 'api-key': getProviderApiKey(this, settings) });
+    if (request.capabilities.api === 'responses') {
+      // The Responses API is not deployment-scoped: the deployment goes in the body as the model
+      return {
+        url: `${endpoint}/openai/responses?api-version=${encodeURIComponent(apiVersion)}`,
+        headers,
+        body: buildResponsesBody(request)
+      };
+    }
+    return {
+      url: `${endpoint}/openai/deployments/${encodeURIComponent(request.model)}/chat/completions?api-version=${encodeURIComponent(apiVersion)}`,
+      headers,
+      body: buildChatCompletionsBody(request)
+    };
+  },
+
+  parseResponse(data, request, details) {
+    return parseOpenAIResponse(this, data, request, details);
+  },
+
+  parseStreamEvent(event, request, details) {
+    return parseOpenAIStreamEvent(this, event, request, details);
+  }
+};
+
+const anthropicProvider = {
+  id: 'anthropic',
+  label: 'Anthropic',
+  defaultBaseUrl: 'https://api.anthropic.com/v1',
+  settingKeys: {
+    apiKey: 'anthropicApiKey',
+    baseUrl: 'anthropicBaseUrl',
+    headers: 'anthropicHeaders',
+    noApiKey: 'anthropicNoApiKey'
+  },
+  models: [
+    { id: 'claude-sonnet-4-5', label: 'Claude Sonnet 4.5' },
+    { id: 'claude-haiku-4-5', label: 'Claude Haiku 4.5' },
+    { id: 'claude-opus-4-1', label: 'Claude Opus 4.1' }
+  ],
+
+  buildRequest(request, settings) {
+    const thinkingBudget = ANTHROPIC_THINKING_BUDGETS[request.reasoningEffort];
+    return {
+      url: `${getProviderBaseUrl(this, settings)}/messages`,
+      headers: buildHeaders(this, settings, { 'x-api-key': getProviderApiKey(this, settings) }, {
+        'anthropic-version': ANTHROPIC_VERSION,
+        // Required for calls made directly from a browser context
+        'anthropic-dangerous-direct-browser-access': 'true'
+      }),
+      body: {
+        model: request.model,
+        ...(request.systemPrompt ? { system: request.systemPrompt } : {}),
+        messages: getConversation(request),
+        // max_tokens includes the thinking budget, so add it on top of the visible output
+        max_tokens: request.maxOutputTokens + (thinkingBudget || 0),
+        // Extended thinking does not allow changing temperature/top_p, and newer Claude
+        // models reject requests setting both, so top_p is only sent without a temperature
+        ...(thinkingBudget
+          ? { thinking: { type: 'enabled', budget_tokens: thinkingBudget } }
+          : buildSamplingParams(request.temperature != null ? { ...request, topP: undefined } : request)),
+        ...(request.stream ? { stream: true } : {})
+      }
+    };
+  },
+
+  buildModelsRequest(settings) {
+    return {
+      url: `${getProviderBaseUrl(this, settings)}/models?limit=1000`,
+      headers: buildHeaders(this, settings, { 'x-api-key': getProviderApiKey(this, settings) }, {
+        'anthropic-version': ANTHROPIC_VERSION,
+        'anthropic-dangerous-direct-browser-access': 'true'
+      })
+    };
+  },
+
+  parseModels(data) {
+    return (data.data || []).map(model => model.id).filter(Boolean);
+  },
+
+  parseResponse(data, request, details) {
+    details.usage = normalizeUsage(data.usage);
+    details.truncated = data.stop_reason === 'max_tokens';
+    // Thinking blocks come back alongside text blocks; only keep the visible text
+    const text = Array.isArray(data.content)
+      ? data.content.filter(block => block.type === 'text').map(block => block.text).join('')
+      : '';
+    if (!text) {
+      throw new Error('Invalid response format from Anthropic API');
+    }
+    return text;
+  },
+
+  parseStreamEvent(event, request, details) {
+    if (!event.data) return '';
+    const data = JSON.parse(event.data);
+    if (data.type === 'error') {
+      throw createProviderError(this, null, event.data);
+    }
+    // Input tokens are reported when the message starts, output tokens as it ends
+    if (data.type === 'message_start') {
+      details.usage = normalizeUsage(data.message?.usage);
+    } else if (data.type === 'message_delta') {
+      if (data.usage && details.usage) {
+        details.usage.outputTokens = data.usage.output_tokens ?? details.usage.outputTokens;
+      }
+      if (data.delta?.stop_reason === 'max_tokens') details.truncated = true;
+    }
+    // Only text deltas are visible output; thinking/signature deltas are skipped
+    if (data.type === 'content_block_delta' && data.delta?.type === 'text_delta') {
+      return data.delta.text;
+    }
+    return '';
+  }
+};
+
+const PROVIDERS = {
+  [openaiProvider.id]: openaiProvider,
+  [anthropicProvider.id]: anthropicProvider,
+  [azureProvider.id]: azureProvider
+};
+
+/**
+ * Returns the provider definition for an id, falling back to OpenAI for unknown/missing ids.
+ * @param {string} providerId - The provider id stored in settings.
+ * @returns {object} - The provider definition.
+ */
+export function getProvider(providerId) {
+  return PROVIDERS[providerId] || PROVIDERS[DEFAULT_PROVIDER];
+}
+
+/**
+ * Lists all registered providers (for the options page).
+ * @returns {Array<object>} - Provider definitions.
+ */
+export function listProviders() {
+  return Object.values(PROVIDERS);
+}
+
+/**
+ * Parses a fallback model list, one `provider: model` pair per line (Azure entries
+ * name a deployment). Blank lines and lines starting with `#` are ignored.
+ * @param {string} text - The raw list from the options page.
+ * @returns {Array<{provider: string, model: string}>}
+ * @throws {Error} - If a line has no model or names an unknown provider.
+ */
+export function parseFallbackList(text) {
+  const entries = [];
+  (text || '').split('\n').forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) return;
+    // Split on the first colon only: model ids may contain colons (e.g. "llama3:8b")
+    const separator = line.indexOf(':');
+    const provider = separator > 0 ? line.slice(0, separator).trim().toLowerCase() : '';
+    const model = separator > 0 ? line.slice(separator + 1).trim() : '';
+    if (!provider || !model) {
+      throw new Error(`Invalid fallback on line ${index + 1}: "${line}". Use "provider: model".`);
+    }
+    if (!PROVIDERS[provider]) {
+      throw new Error(`Unknown provider "${provider}" on line ${index + 1}. Use one of: ${Object.keys(PROVIDERS).join(', ')}.`);
+    }
+    entries.push({ provider, model });
+  });
+  return entries;
+}
+
+/**
+ * Formats a fallback model list for editing, the inverse of parseFallbackList.
+ * @param {Array<{provider: string, model: string}>} [entries]
+ * @returns {string}
+ */
+export function formatFallbackList(entries) {
+  return (entries || []).map(({ provider, model }) => `${provider}: ${model}`).join('\n');
+}
+
+/**
+ * Checks whether a provider exposes a model-listing endpoint.
+ * @param {object} provider - The provider definition.
+ * @returns {boolean}
+ */
+export function canListModels(provider) {
+  return typeof provider.buildModelsRequest === 'function';
+}
+
+/**
+ * Fetches the ids of the models currently offered by a provider's endpoint.
+ * @param {object} settings - The extension settings (used for keys and endpoints).
+ * @param {string} providerId - The provider to query.
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Aborts the request.
+ * @param {object} [options.retry] - Retry policy (see fetchWithRetry).
+ * @returns {Promise<string[]>} - Sorted, de-duplicated model ids.
+ * @throws {Error} - If the provider cannot list models or the request fails.
+ */
+export async function listProviderModels(settings, providerId, { signal, retry } = {}) {
+  const provider = getProvider(providerId);
+  if (!canListModels(provider)) {
+    throw new Error(`${provider.label} does not support listing models.`);
+  }
+  const { url, headers } = provider.buildModelsRequest(settings);
+  const response = await fetchWithRetry(url, { method: 'GET', headers }, { ...retry, signal });
+  if (!response.ok) {
+    throw createProviderError(provider, response.status, await response.text());
+  }
+  const models = provider.parseModels(await response.json());
+  return [...new Set(models)].sort();
+}
+
+/**
+ * Returns the API key configured for a provider.
+ * @param {object} provider - The provider definition.
+ * @param {object} settings - The extension settings.
+ * @returns {string} - The API key, or an empty string if not set.
+ */
+export function getProviderApiKey(provider, settings) {
+  return settings[provider.settingKeys.apiKey] || '';
+}
+
+/**
+ * Checks whether a provider has the credentials it needs: an API key, unless the
+ * user marked the endpoint as not requiring one (e.g. a local server or a gateway).
+ * @param {object} provider - The provider definition.
+ * @param {object} settings - The extension settings.
+ * @returns {boolean} - True if requests can be sent.
+ */
+export function isProviderConfigured(provider, settings) {
+  return !!settings[provider.settingKeys.noApiKey] || !!getProviderApiKey(provider, settings);
+}
+
+/**
+ * Returns a user-facing error if a provider cannot be used with the current settings.
+ * @param {object} provider - The provider definition.
+ * @param {object} settings - The extension settings.
+ * @returns {string|null} - The error message, or null if requests can be sent.
+ */
+export function getProviderConfigError(provider, settings) {
+  if (!isProviderConfigured(provider, settings)) {
+    return `${provider.label} API Key is missing. Please set it in the extension options.`;
+  }
+  return provider.validateSettings ? provider.validateSettings(settings) : null;
+}
+
+// Some accounts/endpoints cannot stream a model (e.g. unverified OpenAI organizations)
+function isStreamingUnsupported(status, errorText) {
+  return status === 400 && /stream/i.test(errorText);
+}
+
+// Reasoning summaries also require a verified OpenAI organization
+function isReasoningSummaryUnsupported(status, errorText) {
+  return status === 400 && /summar/i.test(errorText);
+}
+
+/**
+ * Parses one raw server-sent event block into its event name and data.
+ * @param {string} rawEvent - The lines of a single event.
+ * @returns {{event: string, data: string}}
+ */
+function parseServerSentEvent(rawEvent) {
+  let event = 'message';
+  const data = [];
+  rawEvent.split(/\r?\n/).forEach(line => {
+    if (!line || line.startsWith(':')) return; // Comments / keep-alives
+    const separator = line.indexOf(':');
+    const field = separator === -1 ? line : line.slice(0, separator);
+    const value = separator === -1 ? '' : line.slice(separator + 1).replace(/^ /, '');
+    if (field === 'event') event = value;
+    else if (field === 'data') data.push(value);
+  });
+  return { event, data: data.join('\n') };
+}
+
+/**
+ * Reads a text/event-stream response body and calls onEvent for every event.
+ * @param {Response} response - The fetch response.
+ * @param {function({event: string, data: string}): void} onEvent - Event callback.
+ * @param {object} [options]
+ * @param {number} [options.timeoutMs=0] - Longest wait for the next chunk (0 = none).
+ * @param {AbortSignal} [options.signal] - Stops reading the stream.
+ * @returns {Promise<void>}
+ * @throws {Error} - An error with `timeout: true` if the stream stalls, or an `AbortError`.
+ */
+async function readServerSentEvents(response, onEvent, { timeoutMs = 0, signal } = {}) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for (;;) {
+    const { value, done } = await readWithTimeout(reader, timeoutMs, signal);
+    buffer += decoder.decode(value || new Uint8Array(), { stream: !done });
+
+    // Events are separated by a blank line
+    let match;
+    while ((match = /\r?\n\r?\n/.exec(buffer))) {
+      const rawEvent = buffer.slice(0, match.index);
+      buffer = buffer.slice(match.index + match[0].length);
+      if (rawEvent.trim()) onEvent(parseServerSentEvent(rawEvent));
+    }
+
+    if (done) {
+      if (buffer.trim()) onEvent(parseServerSentEvent(buffer));
+      return;
+    }
+  }
+}
+
+/**
+ * Adds up the token usage of several requests.
+ * @param {object|null} total - Usage so far.
+ * @param {object|null} usage - Usage of the latest request.
+ * @returns {object|null}
+ */
+function addUsage(total, usage) {
+  if (!total || !usage) return total || usage;
+  return {
+    inputTokens: total.inputTokens + usage.inputTokens,
+    outputTokens: total.outputTokens + usage.outputTokens,
+    reasoningTokens: total.reasoningTokens + usage.reasoningTokens
+  };
+}
+
+/**
+ * Sends a chat request through the given provider.
+ * Parameters the model does not support (per its capabilities, see getModelCapabilities)
+ * are left out of the request.
+ * When `onDelta` is given the response is streamed and each text chunk is reported as it
+ * arrives; if the endpoint cannot stream, the full text is reported as a single chunk.
+ * OpenAI and Azure models whose capabilities say `api: 'responses'` are called through the
+ * Responses API, which also returns a summary of the model's reasoning.
+ * A response cut off by the output token limit is continued with up to `maxContinuations`
+ * follow-up requests, whose text is appended (and streamed) as if it were one response.
+ * @param {object} settings - The extension settings (used for keys and endpoints).
+ * @param {object} request - The request to send.
+ * @param {string} request.provider - Provider id (e.g. 'openai', 'anthropic').
+ * @param {string} request.model - The model to use.
+ * @param {string} [request.systemPrompt] - The system instruction (omitted when empty).
+ * @param {string} request.prompt - The user prompt.
+ * @param {Array<{role: string, content: string}>} [request.turns] - Later conversation turns,
+ *   alternating 'assistant' and 'user', sent after the prompt.
+ * @param {string} [request.reasoningEffort] - 'minimal' | 'low' | 'medium' | 'high'.
+ * @param {number} [request.temperature] - Sampling temperature (provider default if unset).
+ * @param {number} [request.topP] - Nucleus sampling (provider default if unset).
+ * @param {number} request.maxOutputTokens - Upper bound for generated tokens (per request).
+ * @param {object} [options]
+ * @param {function(string): void} [options.onDelta] - Called with each streamed text chunk.
+ * @param {AbortSignal} [options.signal] - Aborts the request (and any stream) when signalled.
+ * @param {object} [options.retry] - Retry policy for transient failures (see fetchWithRetry).
+ * @param {number} [options.maxContinuations=0] - Follow-up requests allowed for a cut-off response.
+ * @param {function(object): void} [options.onDetails] - Called once the request succeeds with
+ *   `{ usage, reasoningSummary, truncated, continuations }`: normalized token usage of all
+ *   requests (null if the API did not report it), the reasoning summary if the model
+ *   returned one, whether the text is still cut off, and the follow-up requests made.
+ * @returns {Promise<string>} - The generated text response.
+ * @throws {Error} - If the API request fails or is aborted (an `AbortError`).
+ */
+export async function callProvider(settings, request, { onDelta, signal, retry, onDetails, maxContinuations = 0 } = {}) {
+  const provider = getProvider(request.provider);
+  const capabilities = getModelCapabilities(provider.id, request.model, settings.modelCapabilities);
+  const supportedRequest = {
+    ...request,
+    capabilities,
+    reasoningEffort: capabilities.reasoning ? request.reasoningEffort : undefined,
+    temperature: capabilities.temperature ? request.temperature : undefined,
+    topP: capabilities.topP ? request.topP : undefined,
+    reasoningSummary: capabilities.api === 'responses'
+  };
+  let stream = typeof onDelta === 'function' && capabilities.streaming;
+
+  async function doRequest(turnRequest, counter) {
+    const { url, headers, body } = provider.buildRequest({ ...turnRequest, stream }, settings);
+    return fetchWithRetry(url, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(body)
+    }, { ...retry, signal, counter });
+  }
+
+  /**
+   * Sends one request and reads its untrimmed text, so continuations can be appended as is.
+   * A stream that stalls before any text arrived is sent again, within the retry policy.
+   * @param {object} turnRequest - The request to send.
+   * @param {{attempt: number}} [counter] - Attempts made so far (see fetchWithRetry).
+   * @returns {Promise<{text: string, details: object}>}
+   */
+  async function send(turnRequest, counter = { attempt: 0 }) {
+    let response = await doRequest(turnRequest, counter);
+
+    // Streaming and reasoning summaries can also be refused per account (e.g. unverified
+    // organizations), not just per model: retry once without them
+    if (!response.ok) {
+      const errorText = await response.text();
+      if (stream && isStreamingUnsupported(response.status, errorText)) {
+        stream = false;
+      } else if (supportedRequest.reasoningSummary && isReasoningSummaryUnsupported(response.status, errorText)) {
+        supportedRequest.reasoningSummary = false;
+        turnRequest = { ...turnRequest, reasoningSummary: false };
+      } else {
+        throw createProviderError(provider, response.status, errorText);
+      }
+      response = await doRequest(turnRequest, counter);
+      if (!response.ok) {
+        throw createProviderError(provider, response.status, await response.text());
+      }
+    }
+
+    const details = { usage: null, truncated: false };
+    if (!stream) {
+      const text = provider.parseResponse(await response.json(), turnRequest, details);
+      if (onDelta) onDelta(text);
+      return { text, details };
+    }
+
+    let text = '';
+    try {
+      await readServerSentEvents(response, (event) => {
+        const delta = provider.parseStreamEvent(event, turnRequest, details);
+        if (delta) {
+          text += delta;
+          onDelta(delta);
+        }
+      }, { timeoutMs: retry?.timeoutMs, signal });
+    } catch (error) {
+      // Text already shown cannot be taken back: a later stall goes to the caller
+      if (!error.timeout || text || counter.attempt > (retry?.maxRetries ?? 0)) throw error;
+      await waitToRetry(counter.attempt, error.message, { ...retry, signal });
+      return send(turnRequest, counter);
+    }
+    if (!text.trim()) {
+      throw new Error(`Invalid response format from ${provider.label} API`);
+    }
+    return { text, details };
+  }
+
+  let { text, details } = await send(supportedRequest);
+  let continuations = 0;
+  while (details.truncated && continuations < maxContinuations) {
+    continuations++;
+    console.log(`[callProvider] ${provider.label} ${request.model} hit the output limit; continuing (${continuations}/${maxContinuations})`);
+    let next;
+    try {
+      next = await send({
+        ...supportedRequest,
+        turns: [
+          ...(supportedRequest.turns || []),
+          { role: 'assistant', content: text },
+          { role: 'user', content: CONTINUE_PROMPT }
+        ]
+      });
+    } catch (error) {
+      // Keep what was generated so far; the caller is told it is incomplete
+      if (signal?.aborted || error.name === 'AbortError') throw error;
+      console.warn('[callProvider] Continuation request failed:', error);
+      break;
+    }
+    text += next.text;
+    details = {
+      ...details,
+      usage: addUsage(details.usage, next.details.usage),
+      truncated: next.details.truncated
+    };
+  }
+
+  if (onDetails) onDetails({ ...details, continuations });
+  return text.trim();
+}
@@ -0,0 +1,39 @@
+/**
+ * Quick intents: chips in the reply modal for replies that need no talking points
+ * (accept, decline...). Clicking one sends its instruction as the [Bullet_points]
+ * instead of what is typed in the textarea.
+ */
+
+export const DEFAULT_QUICK_INTENTS = [
+  { label: 'Accept', instruction: 'Accept the request or invitation and thank them.' },
+  { label: 'Decline', instruction: 'Politely decline, thank them and keep the door open for the future.' },
+  { label: 'Ask for details', instruction: 'Ask for the details needed to move forward.' },
+  { label: 'Follow up', instruction: 'Follow up on the last message and ask for an update.' }
+];
+
+/**
+ * Parses the quick intents edited in the options page, one "Label: instruction" per line.
+ * @param {string} text - The raw text.
+ * @returns {{label: string, instruction: string}[]}
+ * @throws {Error} - If a line has no label or no instruction.
+ */
+export function parseQuickIntents(text) {
+  return (text || '').split('\n').map(line => line.trim()).filter(Boolean).map(line => {
+    const separator = line.indexOf(':');
+    const label = separator >= 0 ? line.slice(0, separator).trim() : '';
+    const instruction = separator >= 0 ? line.slice(separator + 1).trim() : '';
+    if (!label || !instruction) {
+      throw new Error(`"${line}" should be written as "Label: instruction".`);
+    }
+    return { label, instruction };
+  });
+}
+
+/**
+ * Formats quick intents for the options page (see parseQuickIntents).
+ * @param {{label: string, instruction: string}[]} intents
+ * @returns {string}
+ */
+export function formatQuickIntents(intents) {
+  return (intents || []).map(({ label, instruction }) => `${label}: ${instruction}`).join('\n');
+}
@@ -0,0 +1,95 @@
+/**
+ * Reply rules, checked when the reply modal opens: the first rule (in the order of
+ * the options page) matching the message being answered picks the reply template,
+ * tone, model and reasoning effort, e.g. customers at @client.com get the sales
+ * template in a formal tone while internal replies use a cheaper model.
+ */
+
+/**
+ * Returns the reply rules of the settings, with every field present.
+ * @param {object} settings - The stored settings.
+ * @returns {{id: string, name: string, sender: string, subject: string, recipients: string,
+ *   templateId: string, tone: string, model: string, reasoningEffort: string}[]}
+ */
+export function getReplyRules(settings) {
+  const rules = Array.isArray(settings?.replyRules) ? settings.replyRules : [];
+  return rules.filter(Boolean).map((rule, index) => ({
+    id: String(rule.id || `rule-${index + 1}`),
+    name: (rule.name || '').trim() || `Rule ${index + 1}`,
+    sender: (rule.sender || '').trim(),
+    subject: (rule.subject || '').trim(),
+    recipients: (rule.recipients || '').trim(),
+    templateId: rule.templateId || '',
+    tone: rule.tone || '',
+    model: (rule.model || '').trim(),
+    reasoningEffort: rule.reasoningEffort || ''
+  }));
+}
+
+/**
+ * Creates an id for a new rule.
+ * @returns {string}
+ */
+export function createRuleId() {
+  return `rule-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Splits a rule condition into its lowercase entries, separated by commas or lines.
+ * @param {string} text
+ * @returns {string[]}
+ */
+function parseConditionList(text) {
+  return (text || '').split(/[,\n]/).map(entry => entry.trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Whether an address matches a rule entry: a full address ("jane@client.com") or a
+ * domain ("client.com" or "@client.com"), which also covers its subdomains.
+ * @param {string} pattern - The rule entry.
+ * @param {string} email - The address.
+ * @returns {boolean}
+ */
+export function matchesAddress(pattern, email) {
+  const address = (email || '').trim().toLowerCase();
+  const entry = (pattern || '').trim().toLowerCase();
+  if (!address || !entry) return false;
+  if (entry.includes('@') && !entry.startsWith('@')) return address === entry;
+  const domain = entry.replace(/^@/, '');
+  const addressDomain = address.slice(address.lastIndexOf('@') + 1);
+  return addressDomain === domain || addressDomain.endsWith(`.${domain}`);
+}
+
+/**
+ * Whether a rule matches a message. Each condition that is set must match: one of
+ * the sender entries, one of the subject keywords or, for recipients, one entry
+ * matching any recipient. A rule without conditions matches every message.
+ * @param {object} rule - From getReplyRules.
+ * @param {object} message
+ * @param {string} [message.senderEmail] - Who sent the message being answered.
+ * @param {string} [message.subject]
+ * @param {string[]} [message.recipients] - The reply's recipient addresses.
+ * @returns {boolean}
+ */
+export function matchesReplyRule(rule, { senderEmail = '', subject = '', recipients = [] } = {}) {
+  const senders = parseConditionList(rule.sender);
+  const keywords = parseConditionList(rule.subject);
+  const recipientPatterns = parseConditionList(rule.recipients);
+  const lowerSubject = (subject || '').toLowerCase();
+
+  if (senders.length > 0 && !senders.some(pattern => matchesAddress(pattern, senderEmail))) return false;
+  if (keywords.length > 0 && !keywords.some(keyword => lowerSubject.includes(keyword))) return false;
+  if (recipientPatterns.length > 0
+    && !recipientPatterns.some(pattern => (recipients || []).some(email => matchesAddress(pattern, email)))) return false;
+  return true;
+}
+
+/**
+ * Finds the first rule matching a message (see matchesReplyRule).
+ * @param {object[]} rules - From getReplyRules, in order.
+ * @param {object} message
+ * @returns {object|null}
+ */
+export function findReplyRule(rules, message) {
+  return (rules || []).find(rule => matchesReplyRule(rule, message)) || null;
+}
@@ -0,0 +1,243 @@
+/**
+ * Retry policy for LLM API requests: exponential backoff with jitter for rate limits,
+ * transient server errors and network failures, honoring Retry-After when present.
+ */
+
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+const DEFAULT_BASE_DELAY_MS = 1000;
+const DEFAULT_MAX_DELAY_MS = 30000;
+// Longer server-requested waits are capped so the user is not left hanging
+const MAX_RETRY_AFTER_MS = 60000;
+
+/**
+ * Checks whether a response status is worth retrying.
+ * @param {number} status - HTTP status code.
+ * @returns {boolean}
+ */
+export function isRetryableStatus(status) {
+  return RETRYABLE_STATUSES.includes(status);
+}
+
+/**
+ * Reads the delay requested by the server, from `retry-after-ms` (OpenAI) or the
+ * standard `Retry-After` header (seconds or an HTTP date).
+ * @param {object} [headers] - The response headers.
+ * @param {number} [now] - Current time in ms (for HTTP dates).
+ * @returns {number|null} - Delay in ms, or null if the server gave none.
+ */
+export function parseRetryAfter(headers, now = Date.now()) {
+  if (!headers || typeof headers.get !== 'function') return null;
+
+  const retryAfterMs = parseFloat(headers.get('retry-after-ms'));
+  if (Number.isFinite(retryAfterMs) && retryAfterMs >= 0) {
+    return Math.min(retryAfterMs, MAX_RETRY_AFTER_MS);
+  }
+
+  const retryAfter = headers.get('retry-after');
+  if (!retryAfter) return null;
+  const seconds = Number(retryAfter);
+  if (Number.isFinite(seconds) && seconds >= 0) {
+    return Math.min(seconds * 1000, MAX_RETRY_AFTER_MS);
+  }
+  const date = Date.parse(retryAfter);
+  if (!Number.isNaN(date)) {
+    return Math.min(Math.max(date - now, 0), MAX_RETRY_AFTER_MS);
+  }
+  return null;
+}
+
+/**
+ * Exponential backoff with jitter: a random delay between half and the full
+ * exponential step, so clients hitting the same limit do not retry in lockstep.
+ * @param {number} retry - The retry number (1 for the first retry).
+ * @param {number} [baseDelayMs] - Delay for the first retry.
+ * @param {number} [maxDelayMs] - Upper bound for any delay.
+ * @returns {number} - Delay in ms.
+ */
+export function getBackoffDelay(retry, baseDelayMs = DEFAULT_BASE_DELAY_MS, maxDelayMs = DEFAULT_MAX_DELAY_MS) {
+  const step = Math.min(baseDelayMs * 2 ** (retry - 1), maxDelayMs);
+  return Math.round(step / 2 + Math.random() * (step / 2));
+}
+
+function createAbortError() {
+  const error = new Error('Request cancelled.');
+  error.name = 'AbortError';
+  return error;
+}
+
+// Timeouts are marked so they are retried and move on to fallback models
+function createTimeoutError(message) {
+  const error = new Error(message);
+  error.timeout = true;
+  return error;
+}
+
+/**
+ * Waits for the given time, rejecting early if the signal is aborted.
+ * @param {number} ms - Time to wait.
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createAbortError());
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createAbortError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Runs a single fetch that is aborted when the caller's signal fires or when no
+ * response has arrived within `timeoutMs`.
+ * @returns {Promise<Response>}
+ * @throws {Error} - An `AbortError` if cancelled, or an error with `timeout: true`.
+ */
+async function fetchWithTimeout(url, init, timeoutMs, signal) {
+  const controller = new AbortController();
+  const onAbort = () => controller.abort();
+  signal?.addEventListener('abort', onAbort, { once: true });
+  let timedOut = false;
+  const timer = timeoutMs > 0
+    ? setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeoutMs)
+    : null;
+
+  try {
+    return await fetch(url, { ...init, signal: controller.signal });
+  } catch (error) {
+    if (timedOut) throw createTimeoutError(`Request timed out after ${Math.round(timeoutMs / 1000)}s`);
+    throw error;
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', onAbort);
+  }
+}
+
+/**
+ * Waits before a retry: the delay the server asked for, or the backoff step of the
+ * attempt. Reports the retry to `onRetry` first; a failing callback does not stop it.
+ * @param {number} attempt - The attempt that failed (1 for the first one).
+ * @param {string} reason - Why it failed, for the log and `onRetry`.
+ * @param {object} policy - The retry options of fetchWithRetry.
+ * @param {number|null} [retryAfterMs] - The delay the server asked for.
+ * @returns {Promise<void>}
+ * @throws {Error} - An `AbortError` if cancelled while waiting.
+ */
+export async function waitToRetry(attempt, reason, {
+  maxRetries = 0,
+  signal,
+  onRetry,
+  baseDelayMs = DEFAULT_BASE_DELAY_MS,
+  maxDelayMs = DEFAULT_MAX_DELAY_MS
+} = {}, retryAfterMs = null) {
+  const delayMs = retryAfterMs ?? getBackoffDelay(attempt, baseDelayMs, maxDelayMs);
+  console.warn(`[fetchWithRetry] ${reason}; retrying (${attempt}/${maxRetries}) in ${delayMs}ms`);
+  if (onRetry) {
+    try {
+      onRetry({ attempt, maxRetries, delayMs, reason });
+    } catch (error) {
+      console.error('[fetchWithRetry] onRetry callback failed:', error);
+    }
+  }
+  await sleep(delayMs, signal);
+}
+
+/**
+ * Fetches with retries. Retryable statuses, network failures and timeouts are retried up
+ * to `maxRetries` times; any other response (or the last failing one) is returned as is,
+ * so callers keep handling API errors themselves.
+ * The timeout covers the wait for the response headers; streamed bodies are read with
+ * readWithTimeout. Responses that are retried are cancelled, so their connection is closed.
+ * @param {string} url - The request URL.
+ * @param {object} init - fetch options (without `signal`).
+ * @param {object} [options]
+ * @param {number} [options.maxRetries=0] - Retries after the first attempt.
+ * @param {number} [options.timeoutMs=0] - Per-attempt timeout (0 = none).
+ * @param {AbortSignal} [options.signal] - Cancels the request and any pending wait.
+ * @param {function(object): void} [options.onRetry] - Called before each retry with
+ *   `{ attempt, maxRetries, delayMs, reason }`.
+ * @param {number} [options.baseDelayMs] - First backoff step.
+ * @param {number} [options.maxDelayMs] - Backoff cap.
+ * @param {{attempt: number}} [options.counter] - Numbers the attempts; pass the same
+ *   counter to several calls (e.g. to send a stalled stream again) so they share one
+ *   budget of `maxRetries`. Holds the number of the latest attempt.
+ * @returns {Promise<Response>}
+ * @throws {Error} - The network/timeout error once retries are exhausted, or an `AbortError`.
+ */
+export async function fetchWithRetry(url, init, policy = {}) {
+  const { maxRetries = 0, timeoutMs = 0, signal, counter = { attempt: 0 } } = policy;
+  for (;;) {
+    const attempt = ++counter.attempt;
+    let response = null;
+    let failure = null;
+    try {
+      response = await fetchWithTimeout(url, init, timeoutMs, signal);
+    } catch (error) {
+      // Never retry a cancelled request
+      if (signal?.aborted || error.name === 'AbortError') throw error;
+      failure = error;
+    }
+
+    const retryable = failure || isRetryableStatus(response.status);
+    if (!retryable || attempt > maxRetries) {
+      if (failure) throw failure;
+      return response;
+    }
+
+    // The failed response's body is not read: release the connection
+    if (response?.body) response.body.cancel().catch(() => {});
+    const retryAfterMs = response ? parseRetryAfter(response.headers) : null;
+    const reason = failure ? failure.message : `HTTP ${response.status}`;
+    await waitToRetry(attempt, reason, policy, retryAfterMs);
+  }
+}
+
+/**
+ * Reads the next chunk of a streamed body, giving up when nothing arrives within
+ * `timeoutMs` (the wait starts over with each chunk) or when the signal fires. The
+ * stream is cancelled in both cases.
+ * @param {ReadableStreamDefaultReader} reader - The body's reader.
+ * @param {number} [timeoutMs=0] - Longest wait for a chunk (0 = none).
+ * @param {AbortSignal} [signal] - Cancels the read.
+ * @returns {Promise<{value: *, done: boolean}>}
+ * @throws {Error} - An `AbortError` if cancelled, or an error with `timeout: true`.
+ */
+export function readWithTimeout(reader, timeoutMs = 0, signal) {
+  return new Promise((resolve, reject) => {
+    let timer = null;
+    const finish = (settle, value) => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+      settle(value);
+    };
+    const stop = (error) => {
+      reader.cancel().catch(() => {});
+      finish(reject, error);
+    };
+    const onAbort = () => stop(createAbortError());
+
+    if (signal?.aborted) {
+      stop(createAbortError());
+      return;
+    }
+    if (timeoutMs > 0) {
+      timer = setTimeout(() => {
+        stop(createTimeoutError(`Response stalled: no data for ${Math.round(timeoutMs / 1000)}s`));
+      }, timeoutMs);
+    }
+    signal?.addEventListener('abort', onAbort, { once: true });
+    reader.read().then(result => finish(resolve, result), error => finish(reject, error));
+  });
+}
@@ -1,9 +1,39 @@
+import { DEFAULT_FOOTER_PATTERNS } from './context-cleanup.js';
+import { DEFAULT_PROMPT_TEMPLATES, getPromptTemplates } from './prompt-library.js';
+import { DEFAULT_QUICK_INTENTS } from './quick-intents.js';
+
 /**
  * Storage key for extension settings.
  */
 const SETTINGS_KEY = 'ai-reply.settings';
 
-const DEFAULT_GENERIC_IMPROVE_PROMPT = `Act as a proofreading expert. Carefully review the following text for spelling mistakes, typos, and minor grammatical errors. Correct any issues you find, but do not change the style or meaning of the original message. Return only the corrected version. Simplify when possible, less is more. Do not end sentences with a "." unless there is one already in the selected text. User may leave specific instructions within <> notation. Act on those instructions. 
+/**
+ * Chrome limits each chrome.storage.sync item to 8192 bytes (the key plus its value
+ * as JSON), so the settings whose size grows with use are kept apart.
+ */
+export const SYNC_ITEM_MAX_BYTES = 8192;
+
+/**
+ * Storage key for the reply template library, reply rules and quick intents. Kept in
+ * chrome.storage.local: a few long prompts would fill the settings' sync item.
+ */
+const LIBRARY_KEY = 'ai-reply.library';
+const LIBRARY_SETTINGS = ['promptTemplates', 'replyRules', 'quickIntents'];
+
+/**
+ * Storage key for model lists fetched from the providers. Kept in chrome.storage.local:
+ * the lists can be long and are cheap to fetch again, so they are not synced.
+ */
+const MODEL_CACHE_KEY = 'ai-reply.modelCache';
+
+/**
+ * Storage key for the reply template last used for each sender domain. Kept in
+ * chrome.storage.local, trimmed to the most recently used domains.
+ */
+const TEMPLATE_CHOICES_KEY = 'ai-reply.templateChoices';
+const MAX_TEMPLATE_CHOICES = 200;
+
+export const DEFAULT_GENERIC_IMPROVE_PROMPT = `Act as a proofreading expert. Carefully review the following text for spelling mistakes, typos, and minor grammatical errors. Correct any issues you find, but do not change the style or meaning of the original message. Return only the corrected version. Simplify when possible, less is more. Do not end sentences with a "." unless there is one already in the selected text. User may leave specific instructions within <> notation. Act on those instructions. 
 
 [Selected_text]`
 
@@ -12,24 +42,167 @@ const DEFAULT_GENERIC_IMPROVE_PROMPT = `Act as a proofreading expert. Carefully
  */
 const DEFAULT_SETTINGS = {
   apiKey: '',
+  anthropicApiKey: '',
+  // Per-provider endpoint overrides (empty base URL = provider default).
+  // Headers are stored as text, one "Name: value" per line.
+  openaiBaseUrl: '',
+  openaiHeaders: '',
+  openaiNoApiKey: false,
+  anthropicBaseUrl: '',
+  anthropicHeaders: '',
+  anthropicNoApiKey: false,
+  // Azure OpenAI: resource name (or full endpoint URL) plus one deployment per feature
+  azureApiKey: '',
+  azureResourceName: '',
+  azureApiVersion: '2025-04-01-preview',
+  azureHeaders: '',
+  composeAzureDeployment: '',
+  gmailImproveAzureDeployment: '',
+  generalImproveAzureDeployment: '',
+  // Retry policy for rate limits and transient errors (see utils/retry.js)
+  maxRetries: 3,
+  requestTimeoutSeconds: 120,
+  // Follow-up requests for a response cut off by the output token limit
+  maxContinuations: 2,
   // Legacy single-model key retained for backward compatibility
   model: 'gpt-5-mini',
+  // Per-feature provider (see utils/providers.js)
+  composeProvider: 'openai',
+  gmailImproveProvider: 'openai',
+  generalImproveProvider: 'openai',
   // New per-feature models default to gpt-5-mini (lower latency)
   composeModel: 'gpt-5-mini',
   gmailImproveModel: 'gpt-5-mini',
   generalImproveModel: 'gpt-5-mini',
+  // Per-feature fallback chains, tried in order when the model is unavailable:
+  // arrays of { provider, model } (model is the deployment name for Azure)
+  composeFallbacks: [],
+  gmailImproveFallbacks: [],
+  generalImproveFallbacks: [],
   // Per-feature reasoning effort (default minimal)
   composeReasoningEffort: 'minimal',
   improveReasoningEffort: 'minimal',
   generalImproveEffort: 'minimal',
-  // Prompts
-  promptTemplate: `Write a draft response to the emails below in the context. Keep it simple, respect my tone (informal) and the language of the email chain. Use paragraphs wisely, do not over index on them. User may leave specific instructions within <> notation, those are not part of the email but will give you info about how to redact it. Act on those instructions. Sign with Álvaro when appropriate. \n\nThese are talking points:\n[Bullet_points]\n\nEmail context:\n[Email_context]`,
-  improvePromptTemplate: `Correct typos and improve the message, maintaining the tone and length, keeping in mind the conversation context (if available), and the language of the draft. The selected text to improve is:\n\n[Selected_text]\n\nConversation context (if any):\n[Email_context]`,
+  // Per-feature sampling parameters (null = provider default); only sent to models
+  // whose capabilities allow them (see utils/capabilities.js)
+  composeTemperature: null,
+  composeTopP: null,
+  gmailImproveTemperature: null,
+  gmailImproveTopP: null,
+  generalImproveTemperature: null,
+  generalImproveTopP: null,
+  // User overrides of the model capability table, keyed by model id or "prefix*"
+  modelCapabilities: {},
+  // Per-feature system prompt (empty = none) and output token limit. For reasoning
+  // models the limit also covers the reasoning tokens.
+  composeSystemPrompt: 'You are an email assistant that helps draft professional, contextually appropriate replies.',
+  gmailImproveSystemPrompt: 'You are an email assistant that polishes drafts while keeping the author\'s voice. Return only the improved text.',
+  generalImproveSystemPrompt: 'You are a proofreading assistant. Return only the corrected text, without comments.',
+  composeMaxOutputTokens: 2000,
+  gmailImproveMaxOutputTokens: 1000,
+  generalImproveMaxOutputTokens: 1000,
+  // Number of drafts written per request (1 = insert directly, more = pick one in
+  // the modal) and the tones asked for in the extra drafts (see utils/variants.js)
+  draftVariants: 1,
+  draftVariantTones: ['concise', 'warm and personal', 'formal'],
+  // Remove quoted replies, signatures and footers (paragraphs matching these
+  // case-insensitive patterns) from the email context (see utils/context-cleanup.js)
+  cleanEmailContext: true,
+  contextFooterPatterns: DEFAULT_FOOTER_PATTERNS,
+  // Prompts. Replies use a library of named templates, each with optional compose
+  // model and effort overrides (see utils/prompt-library.js)
+  promptTemplates: DEFAULT_PROMPT_TEMPLATES,
+  // Tone and length preselected in the reply modal ('' = as the template says), see
+  // REPLY_TONES and REPLY_LENGTHS in utils/placeholders.js
+  defaultReplyTone: '',
+  defaultReplyLength: '',
+  // The user's profile, put in the prompts as [My_name] (instead of the Gmail account
+  // name), [My_role], [My_company], [Sign_off] and [My_languages]
+  profileName: '',
+  profileRole: '',
+  profileCompany: '',
+  profileSignOff: '',
+  profileLanguages: '',
+  // Rules picking the template, tone, model and effort from the message being
+  // answered, first match wins (see utils/reply-rules.js)
+  replyRules: [],
+  // One-click replies offered in the modal (see utils/quick-intents.js)
+  quickIntents: DEFAULT_QUICK_INTENTS,
+  improvePromptTemplate: `Correct typos and improve the message, maintaining the tone and length, keeping in mind the conversation context (if available), and the language of the draft. The selected text to improve is:\n\n[Selected_text]\n\n[#if Email_context]\nConversation context:\n[Email_context]\n[/if]`,
   genericImprovePromptTemplate: DEFAULT_GENERIC_IMPROVE_PROMPT
 };
 
 /**
- * Retrieves settings from chrome.storage.sync.
+ * Settings keys used by each AI feature.
+ * Reasoning effort keys predate this table, hence the irregular names.
+ */
+export const FEATURE_SETTINGS = {
+  compose: {
+    provider: 'composeProvider',
+    model: 'composeModel',
+    effort: 'composeReasoningEffort',
+    temperature: 'composeTemperature',
+    topP: 'composeTopP',
+    systemPrompt: 'composeSystemPrompt',
+    maxOutputTokens: 'composeMaxOutputTokens',
+    azureDeployment: 'composeAzureDeployment',
+    fallbacks: 'composeFallbacks'
+  },
+  gmailImprove: {
+    provider: 'gmailImproveProvider',
+    model: 'gmailImproveModel',
+    effort: 'improveReasoningEffort',
+    temperature: 'gmailImproveTemperature',
+    topP: 'gmailImproveTopP',
+    systemPrompt: 'gmailImproveSystemPrompt',
+    maxOutputTokens: 'gmailImproveMaxOutputTokens',
+    azureDeployment: 'gmailImproveAzureDeployment',
+    fallbacks: 'gmailImproveFallbacks'
+  },
+  generalImprove: {
+    provider: 'generalImproveProvider',
+    model: 'generalImproveModel',
+    effort: 'generalImproveEffort',
+    temperature: 'generalImproveTemperature',
+    topP: 'generalImproveTopP',
+    systemPrompt: 'generalImproveSystemPrompt',
+    maxOutputTokens: 'generalImproveMaxOutputTokens',
+    azureDeployment: 'generalImproveAzureDeployment',
+    fallbacks: 'generalImproveFallbacks'
+  }
+};
+
+/**
+ * Splits settings into the item saved in chrome.storage.sync and the library saved in
+ * chrome.storage.local (see LIBRARY_SETTINGS).
+ * @param {object} settings - The complete settings.
+ * @returns {{syncSettings: object, library: object}}
+ */
+function splitSettings(settings) {
+  const syncSettings = { ...settings };
+  const library = {};
+  LIBRARY_SETTINGS.forEach(key => {
+    if (key in syncSettings) library[key] = syncSettings[key];
+    delete syncSettings[key];
+  });
+  // The single template saved before the library, now part of it
+  delete syncSettings.promptTemplate;
+  return { syncSettings, library };
+}
+
+/**
+ * Returns the size chrome.storage.sync counts for the settings' item.
+ * @param {object} settings - The complete settings; the library is left out.
+ * @returns {number} - The size in bytes.
+ */
+export function getSyncSettingsSize(settings) {
+  const { syncSettings } = splitSettings(settings);
+  return new TextEncoder().encode(SETTINGS_KEY + JSON.stringify(syncSettings)).length;
+}
+
+/**
+ * Retrieves settings from chrome.storage.sync, and the template library, reply rules
+ * and quick intents from chrome.storage.local.
  * Merges stored settings with defaults.
  * @returns {Promise<object>} A promise that resolves with the settings object.
  */
@@ -37,9 +210,12 @@ export async function getSettings() {
   try {
     // Use an empty object as default for chrome.storage.sync.get
     const result = await chrome.storage.sync.get({ [SETTINGS_KEY]: {} });
-    const storedSettings = result[SETTINGS_KEY] || {};
-    // Merge stored settings with defaults, ensuring all keys are present
-    return { ...DEFAULT_SETTINGS, ...storedSettings };
+    const localResult = await chrome.storage.local.get({ [LIBRARY_KEY]: {} });
+    // Settings saved before the library moved to local storage still have it in sync
+    const storedSettings = { ...result[SETTINGS_KEY], ...localResult?.[LIBRARY_KEY] };
+    // Merge stored settings with defaults, ensuring all keys are present. Settings
+    // saved before the template library have their single template moved into it.
+    return { ...DEFAULT_SETTINGS, ...storedSettings, promptTemplates: getPromptTemplates(storedSettings) };
   } catch (error) {
     console.error('Error getting settings:', error);
     // Return defaults in case of error
@@ -48,8 +224,9 @@ export async function getSettings() {
 }
 
 /**
- * Saves partial settings to chrome.storage.sync.
+ * Saves partial settings to chrome.storage.sync, and the library to chrome.storage.local.
  * Merges the partial settings with the currently stored settings before saving.
+ * Nothing is saved if the sync item would be larger than SYNC_ITEM_MAX_BYTES.
  * @param {object} partialSettings - An object containing the settings to update.
  * @returns {Promise<boolean>} A promise that resolves with true on success, false on failure.
  */
@@ -63,13 +240,93 @@ export async function setSettings(partialSettings) {
     // First, get the current settings to merge with
     const currentSettings = await getSettings();
     const newSettings = { ...currentSettings, ...partialSettings };
-    
+    const size = getSyncSettingsSize(newSettings);
+    if (size > SYNC_ITEM_MAX_BYTES) {
+      console.error(`Settings take ${size} bytes, more than the ${SYNC_ITEM_MAX_BYTES} bytes of a sync item.`);
+      return false;
+    }
+
     // Save the merged settings object
-    await chrome.storage.sync.set({ [SETTINGS_KEY]: newSettings });
+    const { syncSettings, library } = splitSettings(newSettings);
+    await chrome.storage.local.set({ [LIBRARY_KEY]: library });
+    await chrome.storage.sync.set({ [SETTINGS_KEY]: syncSettings });
     console.log('Settings saved successfully:', newSettings);
     return true;
   } catch (error) {
     console.error('Error setting settings:', error);
     return false;
   }
-} 
\ No newline at end of file
+}
+
+/**
+ * Retrieves the cached provider model lists.
+ * @returns {Promise<object>} A promise that resolves with a map of provider id to
+ *   `{ models: string[], fetchedAt: number, baseUrl: string }`.
+ */
+export async function getModelCache() {
+  try {
+    const result = await chrome.storage.local.get({ [MODEL_CACHE_KEY]: {} });
+    return result[MODEL_CACHE_KEY] || {};
+  } catch (error) {
+    console.error('Error getting model cache:', error);
+    return {};
+  }
+}
+
+/**
+ * Stores the model list fetched for a provider.
+ * @param {string} providerId - The provider the list belongs to.
+ * @param {{models: string[], fetchedAt: number, baseUrl: string}} entry - The fetched list.
+ * @returns {Promise<boolean>} A promise that resolves with true on success, false on failure.
+ */
+export async function setCachedModels(providerId, entry) {
+  try {
+    const cache = await getModelCache();
+    await chrome.storage.local.set({ [MODEL_CACHE_KEY]: { ...cache, [providerId]: entry } });
+    return true;
+  } catch (error) {
+    console.error('Error caching models:', error);
+    return false;
+  }
+}
+
+/**
+ * Returns the reply template last used for a sender domain.
+ * @param {string} domain - The sender's domain (see getSenderDomain).
+ * @returns {Promise<string|null>} A promise that resolves with the template id, or null.
+ */
+export async function getTemplateChoice(domain) {
+  if (!domain) return null;
+  try {
+    const result = await chrome.storage.local.get({ [TEMPLATE_CHOICES_KEY]: {} });
+    return (result[TEMPLATE_CHOICES_KEY] || {})[domain] || null;
+  } catch (error) {
+    console.error('Error getting template choice:', error);
+    return null;
+  }
+}
+
+/**
+ * Remembers the reply template used for a sender domain. Only the most recently used
+ * domains are kept.
+ * @param {string} domain - The sender's domain (see getSenderDomain).
+ * @param {string} templateId - The template id.
+ * @returns {Promise<boolean>} A promise that resolves with true on success, false on failure.
+ */
+export async function setTemplateChoice(domain, templateId) {
+  if (!domain || !templateId) return false;
+  try {
+    const result = await chrome.storage.local.get({ [TEMPLATE_CHOICES_KEY]: {} });
+    const choices = { ...(result[TEMPLATE_CHOICES_KEY] || {}) };
+    // Re-inserted so the object stays ordered from least to most recently used
+    delete choices[domain];
+    choices[domain] = templateId;
+    const domains = Object.keys(choices);
+    domains.slice(0, Math.max(0, domains.length - MAX_TEMPLATE_CHOICES)).forEach(oldest => delete choices[oldest]);
+    await chrome.storage.local.set({ [TEMPLATE_CHOICES_KEY]: choices });
+    return true;
+  } catch (error) {
+    console.error('Error saving template choice:', error);
+    return false;
+  }
+}
@@ -0,0 +1,151 @@
+/**
+ * Prompt templates: [Name] placeholders and conditional blocks,
+ * `[#if Name]...[else]...[/if]`, kept when the placeholder has a value (or, with
+ * `[#if !Name]`, when it has none). Blocks can be nested. A block tag alone on its
+ * line takes the line with it, so optional sections leave no blank lines behind.
+ */
+
+// [#if Name], [#if !Name], [else], [/if] or [Name]
+const TAG_PATTERN = /\[(?:#if\s+(!?)([A-Za-z][A-Za-z0-9_]*)|(else)|(\/if)|([A-Za-z][A-Za-z0-9_]*))\]/g;
+
+/**
+ * Parses a template into text, placeholder and conditional nodes.
+ * @param {string} template - The template text.
+ * @returns {object[]} - The nodes.
+ * @throws {Error} - If the blocks are not properly opened and closed.
+ */
+export function parseTemplate(template) {
+  const source = template || '';
+  const nodes = [];
+  // Open blocks, innermost last, with the list each was added to
+  const stack = [];
+  let current = nodes;
+  let position = 0;
+
+  const addText = (text) => {
+    if (text) current.push({ type: 'text', value: text });
+  };
+
+  for (const match of source.matchAll(TAG_PATTERN)) {
+    const [tag, negate, condition, elseTag, closeTag, name] = match;
+    if (name) {
+      addText(source.slice(position, match.index));
+      current.push({ type: 'placeholder', name, tag });
+      position = match.index + tag.length;
+      continue;
+    }
+
+    // Block tags alone on their line are removed with the line
+    let before = source.slice(position, match.index);
+    let end = match.index + tag.length;
+    const lineEnd = source.slice(end).match(/^[ \t]*(\r?\n|$)/);
+    if (lineEnd && /(^|\n)[ \t]*$/.test(source.slice(0, match.index))) {
+      before = before.replace(/[ \t]*$/, '');
+      end += lineEnd[0].length;
+    }
+    addText(before);
+    position = end;
+
+    const open = stack[stack.length - 1];
+    if (condition) {
+      const node = { type: 'if', name: condition, negate: negate === '!', then: [], otherwise: [], tag };
+      current.push(node);
+      stack.push({ node, parent: current });
+      current = node.then;
+    } else if (elseTag) {
+      if (!open) throw new Error('[else] is outside of an [#if] block.');
+      if (current === open.node.otherwise) throw new Error(`${open.node.tag} has more than one [else].`);
+      current = open.node.otherwise;
+    } else if (closeTag) {
+      if (!open) throw new Error('[/if] has no matching [#if].');
+      stack.pop();
+      current = open.parent;
+    }
+  }
+  if (stack.length > 0) throw new Error(`${stack[stack.length - 1].node.tag} is never closed with [/if].`);
+  addText(source.slice(position));
+  return nodes;
+}
+
+/**
+ * Lists the placeholder names used by a template, in placeholders and conditions.
+ * @param {object[]} nodes - From parseTemplate.
+ * @returns {string[]} - The name of each use, in order.
+ */
+function listPlaceholders(nodes) {
+  return nodes.flatMap(node => {
+    if (node.type === 'placeholder') return [node.name];
+    if (node.type === 'if') return [node.name, ...listPlaceholders(node.then), ...listPlaceholders(node.otherwise)];
+    return [];
+  });
+}
+
+/**
+ * Whether a placeholder has a value; blank text counts as none.
+ * @param {*} value
+ * @returns {boolean}
+ */
+function hasValue(value) {
+  return value !== undefined && value !== null && String(value).trim() !== '';
+}
+
+/**
+ * Renders parsed nodes.
+ * @param {object[]} nodes - From parseTemplate.
+ * @param {Object<string, string>} values - Placeholder values by name.
+ * @returns {string}
+ */
+function renderNodes(nodes, values) {
+  return nodes.map(node => {
+    if (node.type === 'text') return node.value;
+    if (node.type === 'placeholder') {
+      // Unknown placeholders are left as written (the options page flags them)
+      return Object.prototype.hasOwnProperty.call(values, node.name) ? String(values[node.name] ?? '') : node.tag;
+    }
+    const kept = hasValue(values[node.name]) !== node.negate;
+    return renderNodes(kept ? node.then : node.otherwise, values);
+  }).join('');
+}
+
+/**
+ * Renders a template. Values are inserted as they are: placeholders inside them are
+ * not expanded.
+ * @param {string} template - The template text.
+ * @param {Object<string, string>} values - Placeholder values by name.
+ * @returns {string}
+ * @throws {Error} - If the template's blocks are malformed (see parseTemplate).
+ */
+export function renderTemplate(template, values) {
+  return renderNodes(parseTemplate(template), values || {});
+}
+
+/**
+ * Checks a template before it is saved: block syntax, unknown placeholders (with a
+ * suggestion for wrong capitalization) and required placeholders that are missing.
+ * @param {string} template - The template text.
+ * @param {object} options
+ * @param {string[]} options.allowed - Names the template may use.
+ * @param {string[]} [options.required] - Names the template must use.
+ * @returns {string[]} - The problems found (empty if the template is valid).
+ */
+export function validateTemplate(template, { allowed, required = [] }) {
+  let nodes;
+  try {
+    nodes = parseTemplate(template);
+  } catch (error) {
+    return [error.message];
+  }
+  const problems = [];
+  const used = listPlaceholders(nodes);
+  const unknown = [...new Set(used.filter(name => !allowed.includes(name)))];
+  unknown.forEach(name => {
+    const suggestion = allowed.find(known => known.toLowerCase() === name.toLowerCase());
+    problems.push(suggestion
+      ? `Unknown placeholder [${name}] (did you mean [${suggestion}]?).`
+      : `Unknown placeholder [${name}].`);
+  });
+  required
+    .filter(name => !used.includes(name))
+    .forEach(name => problems.push(`Missing required placeholder [${name}].`));
+  return problems;
+}
@@ -0,0 +1,55 @@
+/**
+ * Formats the thread messages parsed by the content script (see parseGmailThread in
+ * utils/gmail.js) into the transcript put in [Email_context].
+ */
+
+/**
+ * Formats a sender or recipient as "Name <address>", or whichever part is known.
+ * @param {{name?: string, email?: string}} participant
+ * @returns {string}
+ */
+export function formatParticipant({ name, email } = {}) {
+  const cleanName = (name || '').trim();
+  const cleanEmail = (email || '').trim();
+  if (cleanName && cleanEmail && cleanName !== cleanEmail) return `${cleanName} <${cleanEmail}>`;
+  return cleanName || cleanEmail;
+}
+
+/**
+ * Formats one message as a header block (From, To, Date, Subject) followed by its body.
+ * Plain strings, sent by older content scripts, are returned as they are.
+ * @param {object|string} message - A parsed message or plain message text.
+ * @param {object} [options]
+ * @param {boolean} [options.includeSubject=true] - False to leave the Subject line out.
+ * @returns {string}
+ */
+export function formatThreadMessage(message, { includeSubject = true } = {}) {
+  if (typeof message === 'string') return message.trim();
+  if (!message) return '';
+  const headers = [];
+  const from = formatParticipant({ name: message.senderName, email: message.senderEmail });
+  if (from) headers.push(`From: ${from}`);
+  const recipients = (message.recipients || []).map(formatParticipant).filter(Boolean);
+  if (recipients.length > 0) headers.push(`To: ${recipients.join(', ')}`);
+  if (message.timestamp) headers.push(`Date: ${message.timestamp}`);
+  if (includeSubject && message.subject) headers.push(`Subject: ${message.subject}`);
+  return [headers.join('\n'), (message.body || '').trim()].filter(Boolean).join('\n\n');
+}
+
+/**
+ * Formats the messages of a thread, oldest first. The subject is only repeated when
+ * it changes from one message to the next.
+ * @param {Array<object|string>} messages - Parsed messages or plain message texts.
+ * @returns {string[]} - One formatted block per message, empty ones left out.
+ */
+export function formatThreadMessages(messages) {
+  let previousSubject = null;
+  return (messages || [])
+    .map(message => {
+      const subject = typeof message === 'object' && message ? message.subject || '' : previousSubject;
+      const text = formatThreadMessage(message, { includeSubject: subject !== previousSubject });
+      previousSubject = subject;
+      return text;
+    })
+    .filter(Boolean);
+}
@@ -0,0 +1,49 @@
+/**
+ * Draft variants: the compose prompt is sent several times in parallel, each extra
+ * request asking for a different tone, and the modal lets the user pick one.
+ * Parallel calls are used rather than the `n` parameter, which only some
+ * providers and APIs support.
+ */
+
+export const MAX_DRAFT_VARIANTS = 4;
+
+export const DEFAULT_VARIANT_TONES = ['concise', 'warm and personal', 'formal'];
+
+/**
+ * Clamps a requested variant count to 1..MAX_DRAFT_VARIANTS.
+ * @param {*} count - The requested count (from the message or the settings).
+ * @returns {number}
+ */
+export function getVariantCount(count) {
+  const value = Math.floor(Number(count));
+  if (!Number.isFinite(value) || value < 1) return 1;
+  return Math.min(value, MAX_DRAFT_VARIANTS);
+}
+
+/**
+ * Builds the prompts of each variant. The first one is the prompt as written; the
+ * others append a tone instruction, cycling through the tones if there are fewer
+ * tones than variants.
+ * @param {string} prompt - The compose prompt.
+ * @param {string[]} tones - Tones for the extra variants.
+ * @param {number} count - Number of variants (see getVariantCount).
+ * @returns {{tone: string|null, prompt: string}[]}
+ */
+export function buildVariantPrompts(prompt, tones, count) {
+  const toneList = (tones || []).map(tone => (tone || '').trim()).filter(Boolean);
+  const usableTones = toneList.length > 0 ? toneList : DEFAULT_VARIANT_TONES;
+  return Array.from({ length: getVariantCount(count) }, (_, index) => {
+    if (index === 0) return { tone: null, prompt };
+    const tone = usableTones[(index - 1) % usableTones.length];
+    return { tone, prompt: `${prompt}\n\nWrite this version in a ${tone} tone.` };
+  });
+}
+
+/**
+ * Parses the variant tones edited in the options page, one per line.
+ * @param {string} text - The raw text.
+ * @returns {string[]}
+ */
+export function parseToneList(text) {
+  return (text || '').split('\n').map(line => line.trim()).filter(Boolean);
+}